@@ -0,0 +1,89 @@
+// billing-history.js
+// Turns the user's subscription_events rows (billingHelpers.getBillingEvents)
+// into the account page's purchase history. Stripe sends amounts in cents.
+
+const INVOICE_DESCRIPTIONS = {
+  subscription_create: 'Pro Unlimited, first month',
+  subscription_cycle: 'Pro Unlimited, monthly renewal',
+  subscription_update: 'Pro Unlimited, plan change'
+};
+
+function formatAmount(amount, currency = 'usd') {
+  if (!Number.isFinite(amount)) return null;
+  const code = String(currency || 'usd').toUpperCase();
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: code }).format(amount / 100);
+  } catch (e) {
+    return `${(amount / 100).toFixed(2)} ${code}`;
+  }
+}
+
+const SETTLED_CHECKOUT_EVENTS = ['checkout.session.async_payment_succeeded', 'checkout.session.async_payment_failed'];
+
+// One history entry per payment or plan change, or null for events that
+// only repeat another one (a Pro checkout is also its first invoice, and a
+// delayed pack payment is shown by the event that settled it)
+function describeEvent(row, settledSessions) {
+  const object = row.event_data || {};
+  const entry = { id: row.id, date: row.created_at, amount: null };
+
+  switch (row.event_type) {
+    case 'checkout.session.completed':
+      if (object.mode !== 'payment' || settledSessions.has(object.id)) return null;
+      return {
+        ...entry,
+        description: '100 Analyses Pack',
+        amount: formatAmount(object.amount_total, object.currency),
+        status: row.processed && object.payment_status === 'paid' ? 'paid' : 'processing'
+      };
+
+    case 'checkout.session.async_payment_succeeded':
+    case 'checkout.session.async_payment_failed':
+      if (object.mode !== 'payment') return null;
+      return {
+        ...entry,
+        description: '100 Analyses Pack',
+        amount: formatAmount(object.amount_total, object.currency),
+        status: row.event_type === 'checkout.session.async_payment_failed'
+          ? 'failed'
+          : row.processed ? 'paid' : 'processing'
+      };
+
+    case 'invoice.payment_succeeded':
+      return {
+        ...entry,
+        description: object.amount_paid === 0 && object.billing_reason === 'subscription_create'
+          ? 'Pro Unlimited, free trial'
+          : INVOICE_DESCRIPTIONS[object.billing_reason] || 'Pro Unlimited',
+        amount: formatAmount(object.amount_paid, object.currency),
+        status: 'paid'
+      };
+
+    case 'invoice.payment_failed':
+      return {
+        ...entry,
+        description: INVOICE_DESCRIPTIONS[object.billing_reason] || 'Pro Unlimited',
+        amount: formatAmount(object.amount_due, object.currency),
+        status: 'failed'
+      };
+
+    case 'customer.subscription.deleted':
+      return { ...entry, description: 'Pro Unlimited ended', status: 'ended' };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {Array<Object>} rows subscription_events rows, newest first
+ * @returns {Array<{id: string, date: string, description: string, amount: string|null, status: string}>}
+ */
+function getPurchaseHistory(rows) {
+  const settledSessions = new Set((rows || [])
+    .filter(row => SETTLED_CHECKOUT_EVENTS.includes(row.event_type))
+    .map(row => row.event_data?.id));
+  return (rows || []).map(row => describeEvent(row, settledSessions)).filter(Boolean);
+}
+
+export { getPurchaseHistory, formatAmount };
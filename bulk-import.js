@@ -0,0 +1,73 @@
+// bulk-import.js
+// Reads a batch of tweets from an uploaded file. Plain text is one tweet per
+// line; CSV uses the tweet/text/content column when there's a header and the
+// first column otherwise. Quoted CSV fields may contain commas and newlines.
+
+const TWEET_COLUMN_NAMES = ['tweet', 'text', 'content', 'tweet_content', 'tweet text', 'post'];
+
+function parseCSV(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * @param {string} content File contents
+ * @param {string} filename Used to tell CSV from plain text
+ * @returns {string[]} Non-empty, trimmed tweets in file order
+ */
+function parseTweetFile(content, filename = '') {
+  const text = (content || '').replace(/^\uFEFF/, '');
+
+  if (!/\.csv$/i.test(filename)) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+
+  const rows = parseCSV(text).filter(row => row.some(cell => cell.trim()));
+  if (!rows.length) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const columnIndex = header.findIndex(cell => TWEET_COLUMN_NAMES.includes(cell));
+  const dataRows = columnIndex === -1 ? rows : rows.slice(1);
+  const column = Math.max(0, columnIndex);
+
+  return dataRows.map(row => (row[column] || '').trim()).filter(Boolean);
+}
+
+export { parseTweetFile, parseCSV };
@@ -0,0 +1,150 @@
+// draft-library.js
+// Named tweet drafts with per-draft version history. Signed-in users' drafts
+// live in the tweet_drafts table (see dbHelpers); LocalDraftStore keeps the
+// same shape in localStorage for when nobody is signed in. The composer's
+// unsaved text is autosaved separately so a refresh never loses it.
+
+const LOCAL_DRAFTS_KEY = 'tweet_drafts';
+const COMPOSER_AUTOSAVE_KEY = 'tweet_composer_autosave';
+
+// Oldest revisions are dropped beyond this, keeping the row small
+const MAX_VERSIONS = 50;
+
+function generateId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  // RFC 4122 v4 layout for browsers without randomUUID
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+  });
+}
+
+/**
+ * @param {string} name
+ * @param {string} content
+ * @param {number|null} score Provisional score of the content
+ */
+function createDraft(name, content, score) {
+  const now = new Date().toISOString();
+  return addVersion({
+    id: generateId(),
+    name: name.trim().slice(0, 100),
+    content: '',
+    versions: [],
+    created_at: now,
+    updated_at: now
+  }, content, score);
+}
+
+// Returns a copy with the content saved as a new revision. Saving unchanged
+// content only refreshes the timestamp.
+function addVersion(draft, content, score) {
+  const now = new Date().toISOString();
+  const versions = [...(draft.versions || [])];
+  const latest = versions[versions.length - 1];
+
+  if (!latest || latest.content !== content) {
+    versions.push({ content, score, savedAt: now });
+  }
+
+  return {
+    ...draft,
+    content,
+    versions: versions.slice(-MAX_VERSIONS),
+    updated_at: now
+  };
+}
+
+// Each revision alongside its score change from the one before, newest first
+function getVersionHistory(draft) {
+  const versions = draft.versions || [];
+  return versions.map((version, index) => {
+    const previous = versions[index - 1] || null;
+    return {
+      ...version,
+      number: index + 1,
+      previous,
+      scoreDelta: previous && Number.isFinite(previous.score) && Number.isFinite(version.score)
+        ? version.score - previous.score
+        : null
+    };
+  }).reverse();
+}
+
+// === Local Draft Store ===
+// Mirrors the dbHelpers draft methods, including their { data, error } results
+class LocalDraftStore {
+  constructor(storageKey = LOCAL_DRAFTS_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  read() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+    } catch (e) {
+      console.warn('Could not read local drafts:', e);
+      return [];
+    }
+  }
+
+  write(drafts) {
+    localStorage.setItem(this.storageKey, JSON.stringify(drafts));
+  }
+
+  async list() {
+    const drafts = this.read().sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    return { data: drafts, error: null };
+  }
+
+  async save(draft) {
+    try {
+      this.write([draft, ...this.read().filter(existing => existing.id !== draft.id)]);
+      return { data: draft, error: null };
+    } catch (err) {
+      return { data: null, error: err };
+    }
+  }
+
+  async remove(draftId) {
+    try {
+      this.write(this.read().filter(draft => draft.id !== draftId));
+      return { error: null };
+    } catch (err) {
+      return { error: err };
+    }
+  }
+
+  clear() {
+    localStorage.removeItem(this.storageKey);
+  }
+}
+
+// === Composer Autosave ===
+const composerAutoSave = {
+  save(content, draftId = null) {
+    try {
+      if (!content) {
+        localStorage.removeItem(COMPOSER_AUTOSAVE_KEY);
+        return;
+      }
+      localStorage.setItem(COMPOSER_AUTOSAVE_KEY, JSON.stringify({
+        content,
+        draftId,
+        savedAt: new Date().toISOString()
+      }));
+    } catch (e) {
+      console.warn('Could not autosave tweet:', e);
+    }
+  },
+
+  // { content, draftId, savedAt } or null
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(COMPOSER_AUTOSAVE_KEY) || 'null');
+    } catch (e) {
+      return null;
+    }
+  }
+};
+
+export { createDraft, addVersion, getVersionHistory, LocalDraftStore, composerAutoSave };
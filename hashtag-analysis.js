@@ -0,0 +1,163 @@
+// hashtag-analysis.js
+// Checks how a tweet uses its hashtags (placement, CamelCase, length) and
+// recommends new ones from the user's own high-scoring tweets and the bundled
+// topic taxonomy. Hashtags are found with the same rules Twitter uses, so
+// "C#" and "#1" are not counted.
+
+import { extractHashtags, extractHashtagsWithIndices } from './twitter-text.js';
+import { TOPIC_TAXONOMY, detectTopic } from './topic-taxonomy.js';
+
+// Longer tags (not counting #) are hard to read and rarely searched
+const MAX_HASHTAG_LENGTH = 20;
+
+// Single-case tags at least this long are probably several words run together
+const MIN_MULTIWORD_LENGTH = 10;
+
+// Past tweets scoring at least this much are mined for hashtags
+const HIGH_SCORE_THRESHOLD = 70;
+
+const DEFAULT_RECOMMENDATION_COUNT = 5;
+
+// Long single words from the taxonomy, so "#entrepreneur" isn't mistaken for
+// a run-together phrase
+const KNOWN_WORDS = new Set(
+  Object.values(TOPIC_TAXONOMY)
+    .flatMap(topic => [...topic.keywords, ...topic.hashtags.map(tag => tag.slice(1))])
+    .filter(word => /^[a-z]+$/.test(word))
+);
+
+// Preferred casing for multi-word tags, keyed by lowercase
+const CAMEL_CASE_TAGS = new Map(
+  Object.values(TOPIC_TAXONOMY)
+    .flatMap(topic => topic.hashtags)
+    .filter(tag => /[a-z][A-Z]/.test(tag))
+    .map(tag => [tag.toLowerCase(), tag])
+);
+
+function isReadable(tag) {
+  if (tag.length < MIN_MULTIWORD_LENGTH) return true;
+  if (KNOWN_WORDS.has(tag.toLowerCase())) return true;
+  // Mixed case, digits or underscores already mark the word boundaries
+  return tag !== tag.toLowerCase() && tag !== tag.toUpperCase() || /[\d_]/.test(tag);
+}
+
+// Where the tag sits relative to the rest of the tweet: "leading" when it
+// comes before any words, "trailing" when only other hashtags follow it
+function getPlacement(text, start, end) {
+  const stripHashtags = part => part
+    .replace(/(^|[^\p{L}\p{M}\p{N}_&])[#\uFF03][\p{L}\p{M}\p{N}_]+/gu, '$1')
+    .replace(/[\s\p{P}]/gu, '');
+
+  if (!stripHashtags(text.slice(end))) return 'trailing';
+  if (!stripHashtags(text.slice(0, start))) return 'leading';
+  return 'inline';
+}
+
+/**
+ * @param {string} text
+ * @returns {{hashtags: Array<Object>, count: number, leading: string[], unreadable: string[], tooLong: string[]}}
+ */
+function analyzeHashtags(text = '') {
+  const hashtags = extractHashtagsWithIndices(text).map(({ hashtag, indices: [start, end] }) => {
+    const readable = isReadable(hashtag);
+    const placement = getPlacement(text, start, end);
+    const issues = [];
+    if (placement === 'leading') issues.push('leading');
+    if (!readable) issues.push('camelCase');
+    if (hashtag.length > MAX_HASHTAG_LENGTH) issues.push('tooLong');
+
+    return {
+      text: `#${hashtag}`,
+      tag: hashtag,
+      start,
+      end,
+      length: hashtag.length,
+      placement,
+      readable,
+      suggestedCasing: readable ? null : CAMEL_CASE_TAGS.get(`#${hashtag.toLowerCase()}`) || null,
+      issues
+    };
+  });
+
+  const withIssue = issue => hashtags.filter(item => item.issues.includes(issue)).map(item => item.text);
+
+  return {
+    hashtags,
+    count: hashtags.length,
+    leading: withIssue('leading'),
+    unreadable: withIssue('camelCase'),
+    tooLong: withIssue('tooLong')
+  };
+}
+
+// === Hashtag Recommender Class ===
+class HashtagRecommender {
+  /**
+   * @param {Object} options
+   * @param {Array<{tweet_content: string, overall_score: number}>} [options.history]
+   *   The user's past analyses; only high scorers are used
+   * @param {number} [options.minScore]
+   */
+  constructor({ history = [], minScore = HIGH_SCORE_THRESHOLD } = {}) {
+    this.history = (history || []).filter(row =>
+      row.tweet_content && Number(row.overall_score) >= minScore);
+  }
+
+  static get highScoreThreshold() {
+    return HIGH_SCORE_THRESHOLD;
+  }
+
+  // Best first: tags from the user's own winners on the same topic, then the
+  // taxonomy's tags for the topic
+  recommend(text, limit = DEFAULT_RECOMMENDATION_COUNT) {
+    const { topic } = detectTopic(text);
+    const used = new Set(extractHashtags(text).map(tag => `#${tag.toLowerCase()}`));
+    const recommendations = new Map();
+
+    this.getHistoryTags(topic).forEach(entry => {
+      if (used.has(entry.key) || recommendations.has(entry.key)) return;
+      recommendations.set(entry.key, {
+        tag: CAMEL_CASE_TAGS.get(entry.key) || entry.tag,
+        source: 'history',
+        reason: `Used in ${entry.uses} of your tweets scoring ${entry.averageScore} on average`,
+        uses: entry.uses,
+        averageScore: entry.averageScore
+      });
+    });
+
+    (TOPIC_TAXONOMY[topic]?.hashtags || []).forEach(tag => {
+      const key = tag.toLowerCase();
+      if (used.has(key) || recommendations.has(key)) return;
+      recommendations.set(key, {
+        tag,
+        source: 'taxonomy',
+        reason: `Established in ${TOPIC_TAXONOMY[topic].label}`,
+        uses: 0,
+        averageScore: null
+      });
+    });
+
+    return [...recommendations.values()].slice(0, limit);
+  }
+
+  getHistoryTags(topic) {
+    const tags = new Map();
+    this.history
+      .filter(row => detectTopic(row.tweet_content).topic === topic)
+      .forEach(row => {
+        extractHashtags(row.tweet_content).forEach(hashtag => {
+          const key = `#${hashtag.toLowerCase()}`;
+          const entry = tags.get(key) || { key, tag: `#${hashtag}`, uses: 0, totalScore: 0 };
+          entry.uses += 1;
+          entry.totalScore += Number(row.overall_score);
+          tags.set(key, entry);
+        });
+      });
+
+    return [...tags.values()]
+      .map(entry => ({ ...entry, averageScore: Math.round(entry.totalScore / entry.uses) }))
+      .sort((a, b) => b.averageScore - a.averageScore || b.uses - a.uses);
+  }
+}
+
+export { analyzeHashtags, HashtagRecommender, MAX_HASHTAG_LENGTH };
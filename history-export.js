@@ -0,0 +1,245 @@
+// history-export.js
+// Turns tweet_analyses rows (as returned by dbHelpers.getAnalysisHistory)
+// into CSV, JSON and a self-contained printable HTML report. Everything is
+// generated in the browser.
+
+const DEFAULT_BRANDING = {
+  name: 'Tweet Performance Predictor',
+  logoUrl: '',
+  primaryColor: '#3b82f6',
+  showPoweredBy: true
+};
+
+const CSV_COLUMNS = [
+  ['created_at', row => row.created_at],
+  ['tweet_content', row => row.tweet_content],
+  ['type', row => row.analysis_metadata?.type || 'single'],
+  ['overall_score', row => row.overall_score],
+  ['engagement_level', row => row.engagement_level],
+  ['reach_level', row => row.reach_level],
+  ['analysis_version', row => row.analysis_version],
+  ['optimal_posting_time', row => row.optimal_posting_time],
+  ['suggestions', row => normalizeSuggestions(row.suggestions).map(item => item.message).join(' | ')],
+  ['impressions', row => getPerformance(row)?.impressions],
+  ['likes', row => getPerformance(row)?.likes],
+  ['retweets', row => getPerformance(row)?.retweets],
+  ['replies', row => getPerformance(row)?.replies],
+  ['posted_at', row => getPerformance(row)?.posted_at]
+];
+
+const SCORE_BUCKETS = [
+  { label: '0-39', min: 0, max: 39 },
+  { label: '40-49', min: 40, max: 49 },
+  { label: '50-59', min: 50, max: 59 },
+  { label: '60-69', min: 60, max: 69 },
+  { label: '70-79', min: 70, max: 79 },
+  { label: '80-100', min: 80, max: 100 }
+];
+
+// Older rows stored suggestions as one newline-separated string
+function normalizeSuggestions(suggestions) {
+  if (!suggestions) return [];
+  if (typeof suggestions === 'string') {
+    return suggestions.split('\n').map(message => message.trim()).filter(Boolean).map(message => ({ message }));
+  }
+  return Array.isArray(suggestions) ? suggestions : [];
+}
+
+function getPerformance(row) {
+  const performance = row.tweet_performance;
+  return Array.isArray(performance) ? performance[0] || null : performance || null;
+}
+
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// === History Exporter Class ===
+class HistoryExporter {
+  /**
+   * @param {Array<Object>} rows
+   * @param {Object} [options]
+   * @param {string} [options.timezone] IANA timezone for dates in the report;
+   *   the browser's when omitted
+   */
+  constructor(rows, { timezone = null } = {}) {
+    this.rows = rows || [];
+    this.timezone = timezone;
+  }
+
+  toCSV() {
+    const lines = [
+      CSV_COLUMNS.map(([name]) => name).join(','),
+      ...this.rows.map(row => CSV_COLUMNS.map(([, getValue]) => this.toCSVCell(getValue(row))).join(','))
+    ];
+    // CRLF per RFC 4180; spreadsheet apps handle it everywhere
+    return lines.join('\r\n');
+  }
+
+  toCSVCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Stop spreadsheets from evaluating cells that look like formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  toJSON() {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      count: this.rows.length,
+      analyses: this.rows.map(row => ({
+        id: row.id,
+        createdAt: row.created_at,
+        tweetContent: row.tweet_content,
+        type: row.analysis_metadata?.type || 'single',
+        overallScore: row.overall_score,
+        engagementLevel: row.engagement_level,
+        reachLevel: row.reach_level,
+        analysisVersion: row.analysis_version,
+        detailedAnalysis: row.detailed_analysis,
+        suggestions: normalizeSuggestions(row.suggestions),
+        optimalPostingTime: row.optimal_posting_time,
+        metadata: row.analysis_metadata || {},
+        performance: getPerformance(row)
+      }))
+    }, null, 2);
+  }
+
+  getSummary() {
+    const scores = this.rows.map(row => row.overall_score).filter(Number.isFinite);
+    const dates = this.rows.map(row => new Date(row.created_at)).sort((a, b) => a - b);
+
+    return {
+      count: this.rows.length,
+      averageScore: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0,
+      bestScore: scores.length ? Math.max(...scores) : 0,
+      from: dates[0] || null,
+      to: dates[dates.length - 1] || null
+    };
+  }
+
+  getScoreDistribution() {
+    return SCORE_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: this.rows.filter(row => row.overall_score >= bucket.min && row.overall_score <= bucket.max).length
+    }));
+  }
+
+  getTopTweets(limit = 10) {
+    return [...this.rows]
+      .sort((a, b) => b.overall_score - a.overall_score)
+      .slice(0, limit);
+  }
+
+  // Suggestions grouped by rule id (or message for legacy rows), most common first
+  getSuggestionFrequency(limit = 10) {
+    const counts = new Map();
+    this.rows.forEach(row => {
+      normalizeSuggestions(row.suggestions).forEach(suggestion => {
+        const key = suggestion.id || suggestion.message;
+        const entry = counts.get(key) || { key, category: suggestion.category || null, example: suggestion.message, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+      });
+    });
+
+    return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+  }
+
+  /**
+   * Standalone HTML document meant to be printed or saved as PDF.
+   * @param {Object} branding name, logoUrl, primaryColor, showPoweredBy
+   */
+  toReportHTML(branding = {}) {
+    const brand = { ...DEFAULT_BRANDING, ...branding };
+    const color = /^#[0-9a-f]{3,8}$/i.test(brand.primaryColor) ? brand.primaryColor : DEFAULT_BRANDING.primaryColor;
+    const summary = this.getSummary();
+    const distribution = this.getScoreDistribution();
+    const maxBucket = Math.max(1, ...distribution.map(bucket => bucket.count));
+    const formatDate = date => date ? date.toLocaleDateString(undefined, { timeZone: this.timezone || undefined }) : '—';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(brand.name)} - Tweet Performance Report</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; margin: 40px; }
+  header { display: flex; align-items: center; gap: 16px; border-bottom: 4px solid ${color}; padding-bottom: 16px; margin-bottom: 24px; }
+  header img { max-height: 48px; }
+  h1 { margin: 0; font-size: 24px; }
+  h2 { color: ${color}; font-size: 18px; margin-top: 32px; }
+  .meta { color: #64748b; font-size: 14px; }
+  .stats { display: flex; gap: 16px; }
+  .stat { flex: 1; border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px; text-align: center; }
+  .stat strong { display: block; font-size: 24px; color: ${color}; }
+  .bar-row { display: flex; align-items: center; gap: 8px; margin: 4px 0; font-size: 14px; }
+  .bar-row span:first-child { width: 60px; }
+  .bar { height: 14px; background: ${color}; border-radius: 3px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  th { color: #64748b; }
+  footer { margin-top: 40px; color: #94a3b8; font-size: 12px; text-align: center; }
+  @media print { body { margin: 16px; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<header>
+  ${brand.logoUrl ? `<img src="${escapeHTML(brand.logoUrl)}" alt="">` : ''}
+  <div>
+    <h1>${escapeHTML(brand.name)}</h1>
+    <div class="meta">Tweet performance report · ${formatDate(summary.from)} - ${formatDate(summary.to)} · Generated ${formatDate(new Date())}</div>
+  </div>
+</header>
+
+<div class="stats">
+  <div class="stat"><strong>${summary.count}</strong>Analyses</div>
+  <div class="stat"><strong>${summary.averageScore}</strong>Average score</div>
+  <div class="stat"><strong>${summary.bestScore}</strong>Best score</div>
+</div>
+
+<h2>Score Distribution</h2>
+${distribution.map(bucket => `
+<div class="bar-row">
+  <span>${bucket.label}</span>
+  <div class="bar" style="width: ${Math.round(bucket.count / maxBucket * 70)}%"></div>
+  <span>${bucket.count}</span>
+</div>`).join('')}
+
+<h2>Top Tweets</h2>
+<table>
+  <thead><tr><th>Tweet</th><th>Score</th><th>Engagement</th><th>Reach</th><th>Date</th></tr></thead>
+  <tbody>
+  ${this.getTopTweets().map(row => `
+    <tr>
+      <td>${escapeHTML(row.tweet_content)}</td>
+      <td>${row.overall_score}</td>
+      <td>${escapeHTML(row.engagement_level)}</td>
+      <td>${escapeHTML(row.reach_level)}</td>
+      <td>${formatDate(new Date(row.created_at))}</td>
+    </tr>`).join('')}
+  </tbody>
+</table>
+
+<h2>Most Frequent Suggestions</h2>
+<table>
+  <thead><tr><th>Suggestion</th><th>Times given</th></tr></thead>
+  <tbody>
+  ${this.getSuggestionFrequency().map(entry => `
+    <tr><td>${escapeHTML(entry.example)}</td><td>${entry.count}</td></tr>`).join('') || '<tr><td colspan="2">No suggestions recorded</td></tr>'}
+  </tbody>
+</table>
+
+${brand.showPoweredBy ? '<footer>Generated with Tweet Performance Predictor</footer>' : ''}
+</body>
+</html>`;
+  }
+}
+
+export { HistoryExporter, DEFAULT_BRANDING };
@@ -2,7 +2,46 @@
 // Import Supabase helpers (assumes supabase-config.js is loaded)
 // Make sure to include: <script src="supabase-config.js"></script> before this file
 
-import { authHelpers, dbHelpers, initAuthListener } from './supabase-config.js'
+import { authHelpers, dbHelpers, billingHelpers, initAuthListener } from './supabase-config.js'
+import { SentimentAnalyzer } from './sentiment-analyzer.js';
+import { ReadabilityAnalyzer } from './readability-analyzer.js';
+import { PostingTimeRecommender } from './posting-time.js';
+import { detectTopic } from './topic-taxonomy.js';
+import { PredictionAccuracy, getEngagementRate } from './prediction-accuracy.js';
+import { ModelCalibrator } from './model-calibration.js';
+import { HistoryExporter, DEFAULT_BRANDING } from './history-export.js';
+import { parseTweetFile } from './bulk-import.js';
+import { UserAnalytics, renderBarChart, renderLineChart } from './user-analytics.js';
+import { analyzeHashtags, HashtagRecommender, MAX_HASHTAG_LENGTH } from './hashtag-analysis.js';
+import { createDraft, addVersion, getVersionHistory, LocalDraftStore, composerAutoSave } from './draft-library.js';
+import { getPurchaseHistory } from './billing-history.js';
+import {
+  THEMES,
+  SCHEDULE_DAYS,
+  ANALYSIS_DEPTHS,
+  normalizeSettings,
+  normalizeSchedule,
+  getAnalysisDepth,
+  getBrowserTimezone,
+  getTimezones,
+  applyTheme,
+  getStoredTheme,
+  storeTheme,
+  fromZonedDate,
+  toZonedDayKey,
+  toDateTimeInputValue,
+  formatZonedDate,
+  formatZonedDateTime
+} from './user-settings.js';
+import {
+  TWEET_CONFIG,
+  parseTweet,
+  extractUrls,
+  extractMentions,
+  extractEntitiesWithIndices,
+  getDisplayUrl,
+  splitIntoThread
+} from './twitter-text.js';
 
 // === Rate Limiter Class ===
 class RateLimiter {
@@ -195,17 +234,56 @@ class FormAutoSave {
 class TweetPredictor {
   constructor() {
     this.config = {
-      maxTweetLength: 280,
-      analysisDelay: 2000
+      maxTweetLength: TWEET_CONFIG.maxWeightedTweetLength,
+      analysisDelay: 2000,
+      livePreviewDelay: 300,
+      historyPageSize: 20,
+      // How long to wait for Stripe's webhook after returning from checkout
+      checkoutPollInterval: 2000,
+      checkoutPollAttempts: 15
     };
 
     this.state = {
       currentUser: null,
       userProfile: null,
+      userSettings: null,
+      // Result of dbHelpers.canPerformAnalysis(), see loadQuota()
+      quota: null,
+      performanceHistory: [],
+      // { postedAt, engagement } results of posts the user actually published
+      postingOutcomes: [],
+      // High-scoring past analyses used for hashtag recommendations
+      hashtagHistory: [],
       analysisHistory: [],
+      historyBrowser: {
+        filters: {},
+        items: [],
+        // null until the first page of a search comes back
+        total: null,
+        isLoading: false,
+        // Bumped on every new search so late responses from older ones are dropped
+        requestId: 0
+      },
       isAnalyzing: false,
       isLoading: false,
-      rememberMe: false
+      rememberMe: false,
+      previewExpanded: false,
+      composerMode: 'single',
+      threadTweets: ['', ''],
+      compareVariants: ['', ''],
+      bulk: {
+        // { index, content, status, analysis, message } per tweet in the file
+        items: [],
+        affordable: 0,
+        isRunning: false,
+        cancelled: false,
+        sort: { key: 'index', ascending: true }
+      },
+      drafts: {
+        items: [],
+        // Draft the composer is currently editing, if any
+        currentId: null
+      }
     };
 
     this.elements = {};
@@ -214,7 +292,9 @@ class TweetPredictor {
     // Enhanced security and UX features
     this.rateLimiter = new RateLimiter(5, 15 * 60 * 1000); // 5 attempts per 15 minutes
     this.formAutoSave = new FormAutoSave('#authModal');
+    this.localDrafts = new LocalDraftStore();
     this.debounceTimers = new Map();
+    this.quotaResetTimer = null;
     
     this.init();
   }
@@ -223,6 +303,7 @@ class TweetPredictor {
   async init() {
     try {
       this.injectSchemas();
+      this.setupTheme();
       this.cacheElements();
       this.setupEventListeners();
       this.setupAccessibility();
@@ -233,6 +314,9 @@ class TweetPredictor {
       // Check for existing session
       await this.checkExistingSession();
       
+      // Finish up if Stripe Checkout just sent the user back
+      await this.handleCheckoutReturn();
+      
       // Start form auto-save
       this.formAutoSave.startAutoSave();
       
@@ -370,20 +454,25 @@ class TweetPredictor {
     try {
       this.state.currentUser = user;
       
-      // Load user profile from Supabase
+      // Load user profile and settings from Supabase
       await this.loadUserProfile();
+      await this.loadUserSettings();
+      await this.loadPerformanceHistory();
+      await this.loadHashtagHistory();
+      await this.loadDrafts();
       
       // Load analysis history
       await this.loadAnalysisHistory();
       
       this.updateUI();
+      this.showAnalysisReminder();
       
       // Clear form auto-save data on successful login
       this.formAutoSave.clearSavedData();
       
       // Log the sign-in action
       if (typeof dbHelpers !== 'undefined') {
-        await dbHelpers.logUserAction(user.id, 'sign_in');
+        await dbHelpers.logUserAction(user.id, 'login');
       }
       
     } catch (error) {
@@ -394,7 +483,20 @@ class TweetPredictor {
   async handleSupabaseSignOut() {
     this.state.currentUser = null;
     this.state.userProfile = null;
+    this.state.userSettings = null;
+    this.state.performanceHistory = [];
+    this.state.postingOutcomes = [];
+    this.state.hashtagHistory = [];
+    this.state.quota = null;
+    clearTimeout(this.quotaResetTimer);
+    this.state.drafts.items = [];
+    this.state.drafts.currentId = null;
     this.state.analysisHistory = [];
+    this.clearComposer();
+    this.closeHistoryBrowser();
+    this.closeAnalyticsDashboard();
+    this.closeAccountPage();
+    this.closeSettingsPanel();
     this.updateUI();
     this.hideResults();
   }
@@ -410,11 +512,187 @@ class TweetPredictor {
       }
       
       this.state.userProfile = profile;
+      await this.loadQuota();
     } catch (error) {
       console.error('Error loading user profile:', error);
     }
   }
 
+  // Remaining analyses as the database counts them; the usage display and
+  // bulk upload both read this. Refreshes itself at the next local midnight.
+  async loadQuota() {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    const quota = await dbHelpers.canPerformAnalysis(this.state.currentUser.id);
+    if (quota.error) {
+      console.error('Error loading analysis quota:', quota.error);
+      return;
+    }
+    this.state.quota = quota;
+
+    clearTimeout(this.quotaResetTimer);
+    const untilReset = new Date(quota.resetsAt) - Date.now();
+    if (quota.planType === 'free' && untilReset > 0 && untilReset < 24 * 60 * 60 * 1000 + 60 * 1000) {
+      this.quotaResetTimer = setTimeout(async () => {
+        await this.loadQuota();
+        this.updateUsageDisplay();
+      }, untilReset + 1000);
+    }
+  }
+
+  async loadUserSettings() {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    try {
+      const { data: settings, error } = await dbHelpers.getUserSettings(this.state.currentUser.id);
+      if (error) {
+        console.error('Error loading user settings:', error);
+        return;
+      }
+
+      this.state.userSettings = settings;
+      await this.adoptBrowserTimezone();
+      this.applySettings();
+    } catch (error) {
+      console.error('Error loading user settings:', error);
+    }
+  }
+
+  // New rows get the schema's 'UTC' default. Until the user picks a timezone
+  // themselves, use the browser's so dates and the daily reset match their clock.
+  async adoptBrowserTimezone() {
+    const settings = this.state.userSettings;
+    const browserTimezone = getBrowserTimezone();
+    if (!settings || settings.timezone !== 'UTC' || browserTimezone === 'UTC' ||
+        settings.created_at !== settings.updated_at) return;
+
+    const { data, error } = await dbHelpers.updateUserSettings(this.state.currentUser.id, { timezone: browserTimezone });
+    if (error) {
+      console.error('Error saving detected timezone:', error);
+      return;
+    }
+
+    this.state.userSettings = data;
+    await this.loadQuota();
+  }
+
+  // The user_settings row with defaults filled in; browser defaults when signed out
+  getSettings() {
+    return normalizeSettings(this.state.userSettings);
+  }
+
+  getTimezone() {
+    return this.getSettings().timezone;
+  }
+
+  // Every date on the page goes through these so it shows in the user's timezone
+  formatDate(value, options) {
+    return formatZonedDate(value, this.getTimezone(), options);
+  }
+
+  formatDateTime(value, options) {
+    return formatZonedDateTime(value, this.getTimezone(), options);
+  }
+
+  // The theme is also kept in localStorage so it applies on the next visit
+  // before the session is restored
+  applySettings() {
+    const { theme } = this.getSettings();
+    applyTheme(theme);
+    storeTheme(theme);
+  }
+
+  setupTheme() {
+    applyTheme(getStoredTheme() || 'light');
+
+    // 'auto' follows the system setting as it changes
+    window.matchMedia?.('(prefers-color-scheme: dark)').addEventListener?.('change', () => {
+      const theme = this.state.userSettings ? this.getSettings().theme : getStoredTheme();
+      if (theme === 'auto') applyTheme(theme);
+    });
+  }
+
+  // A nudge on sign-in when the user has analyses left but hasn't used one
+  // today. Shown at most once a day, and never with analysis_reminders off.
+  showAnalysisReminder() {
+    const settings = this.getSettings();
+    const quota = this.state.quota;
+    if (!settings.analysis_reminders || !quota?.canAnalyze) return;
+
+    const today = toZonedDayKey(new Date(), settings.timezone);
+    const lastAnalysis = this.state.analysisHistory[0]?.created_at;
+    if (lastAnalysis && toZonedDayKey(lastAnalysis, settings.timezone) === today) return;
+
+    const storageKey = `tweet_predictor_reminder_${this.state.currentUser.id}`;
+    try {
+      if (localStorage.getItem(storageKey) === today) return;
+      localStorage.setItem(storageKey, today);
+    } catch (e) {
+      // Without storage the reminder may repeat on the next sign-in today
+    }
+
+    this.showMessage(null, quota.planType === 'free' && quota.dailyRemaining > 0
+      ? `You haven't analyzed a tweet today. Your ${quota.dailyRemaining} free analyses reset at midnight.`
+      : "You haven't analyzed a tweet today. Check your next one before you post it.", 'info');
+  }
+
+  async loadPerformanceHistory() {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    try {
+      const { data: rows, error } = await dbHelpers.getPerformanceHistory(this.state.currentUser.id);
+      if (error) {
+        console.error('Error loading performance history:', error);
+        return;
+      }
+
+      this.state.performanceHistory = rows || [];
+      this.state.postingOutcomes = this.state.performanceHistory.map(row => ({
+        postedAt: row.posted_at,
+        engagement: getEngagementRate(row)
+      }));
+    } catch (error) {
+      console.error('Error loading performance history:', error);
+    }
+  }
+
+  // The user's best-scoring analyses, mined for hashtag recommendations
+  async loadHashtagHistory() {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    try {
+      const { data: rows, error } = await dbHelpers.searchAnalysisHistory(this.state.currentUser.id, {
+        minScore: HashtagRecommender.highScoreThreshold,
+        sortBy: 'overall_score',
+        limit: 100
+      });
+      if (error) {
+        console.error('Error loading hashtag history:', error);
+        return;
+      }
+
+      this.state.hashtagHistory = rows || [];
+    } catch (error) {
+      console.error('Error loading hashtag history:', error);
+    }
+  }
+
+  // Options passed to every TweetAnalyzer so recommendations use the
+  // user's timezone, schedule, analysis depth and past results
+  getAnalyzerOptions() {
+    const settings = this.getSettings();
+    return {
+      weights: settings.model_weights?.weights,
+      hashtagHistory: this.state.hashtagHistory,
+      depth: settings.analysis_depth,
+      postingContext: {
+        timezone: settings.timezone,
+        schedule: settings.default_posting_schedule,
+        outcomes: this.state.postingOutcomes
+      }
+    };
+  }
+
   async loadAnalysisHistory() {
     if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
 
@@ -510,7 +788,9 @@ class TweetPredictor {
       const { error } = await authHelpers.signOut();
       if (error) {
         console.error('Error signing out:', error);
+        return;
       }
+      await this.handleSupabaseSignOut();
     } catch (error) {
       console.error('Error during sign out:', error);
     }
@@ -670,15 +950,12 @@ class TweetPredictor {
     }
 
     const tweet = this.elements.tweetInput?.value?.trim();
-    if (!tweet || tweet.length > this.config.maxTweetLength) {
-      this.showMessage(null, 'Please enter a valid tweet', 'error');
-      return;
-    }
-
-    // Check if user can perform analysis
-    const canAnalyze = await this.canUserAnalyze();
-    if (!canAnalyze.allowed) {
-      this.showMessage(null, canAnalyze.message, 'error');
+    const parsed = parseTweet(tweet || '');
+    if (!tweet || !parsed.valid) {
+      const message = parsed.weightedLength > this.config.maxTweetLength
+        ? `Your tweet is ${parsed.weightedLength - this.config.maxTweetLength} characters over the ${this.config.maxTweetLength} limit`
+        : 'Please enter a valid tweet';
+      this.showMessage(null, message, 'error');
       return;
     }
 
@@ -687,12 +964,14 @@ class TweetPredictor {
       this.showLoading('btnSpinner', 'btnText', 'Analyzing...');
 
       // Perform the analysis
-      const analyzer = new TweetAnalyzer(tweet);
+      const analyzer = new TweetAnalyzer(tweet, this.getAnalyzerOptions());
       const analysis = analyzer.analyze();
 
-      // Consume analysis credit
-      if (typeof dbHelpers !== 'undefined') {
-        await dbHelpers.consumeAnalysisCredit(this.state.currentUser.id);
+      // Spend the credit before anything is shown; no credit, no results
+      const credit = await this.useAnalysisCredit();
+      if (!credit.allowed) {
+        this.showMessage(null, credit.message, 'error');
+        return;
       }
 
       // Save analysis to database
@@ -707,7 +986,7 @@ class TweetPredictor {
 
       // Log the analysis action
       if (typeof dbHelpers !== 'undefined') {
-        await dbHelpers.logUserAction(this.state.currentUser.id, 'tweet_analysis', {
+        await dbHelpers.logUserAction(this.state.currentUser.id, 'analysis', {
           tweet_length: tweet.length,
           score: analysis.score
         });
@@ -722,26 +1001,165 @@ class TweetPredictor {
     }
   }
 
-  async canUserAnalyze() {
+  async analyzeThread() {
+    if (!this.state.currentUser) {
+      this.showAuthModal();
+      return;
+    }
+
+    const tweets = this.state.threadTweets.map(tweet => tweet.trim()).filter(Boolean);
+    if (tweets.length < 2) {
+      this.showMessage(null, 'A thread needs at least 2 tweets', 'error');
+      return;
+    }
+
+    const invalidIndex = tweets.findIndex(tweet => !parseTweet(tweet).valid);
+    if (invalidIndex !== -1) {
+      this.showMessage(null, `Tweet ${invalidIndex + 1} is over the ${this.config.maxTweetLength} character limit`, 'error');
+      return;
+    }
+
+    try {
+      this.state.isAnalyzing = true;
+      this.showLoading('threadBtnSpinner', 'threadBtnText', 'Analyzing...');
+
+      const analysis = new ThreadAnalyzer(tweets, this.getAnalyzerOptions()).analyze();
+
+      // A whole thread uses a single analysis credit
+      const credit = await this.useAnalysisCredit();
+      if (!credit.allowed) {
+        this.showMessage(null, credit.message, 'error');
+        return;
+      }
+
+      await this.saveAnalysisToDatabase(tweets.join('\n\n'), analysis, {
+        type: 'thread',
+        thread: {
+          tweets: analysis.tweets.map(tweet => ({
+            content: tweet.content,
+            score: tweet.score,
+            engagement: tweet.engagement,
+            reach: tweet.reach
+          })),
+          ...analysis.thread
+        }
+      });
+
+      this.displayThreadResults(analysis);
+
+      await this.loadUserProfile();
+      await this.loadAnalysisHistory();
+
+      if (typeof dbHelpers !== 'undefined') {
+        await dbHelpers.logUserAction(this.state.currentUser.id, 'analysis', {
+          mode: 'thread',
+          tweet_count: tweets.length,
+          score: analysis.score
+        });
+      }
+
+    } catch (error) {
+      this.handleError('Thread analysis failed', error);
+    } finally {
+      this.state.isAnalyzing = false;
+      this.hideLoading('threadBtnSpinner', 'threadBtnText', 'Analyze Thread');
+      this.updateUI();
+    }
+  }
+
+  async analyzeVariants() {
+    if (!this.state.currentUser) {
+      this.showAuthModal();
+      return;
+    }
+
+    const variants = this.state.compareVariants.map(variant => variant.trim()).filter(Boolean);
+    if (variants.length < MIN_VARIANTS) {
+      this.showMessage(null, `Enter at least ${MIN_VARIANTS} variants to compare`, 'error');
+      return;
+    }
+
+    const invalidIndex = variants.findIndex(variant => !parseTweet(variant).valid);
+    if (invalidIndex !== -1) {
+      this.showMessage(null, `${VariantComparator.getLabel(invalidIndex)} is over the ${this.config.maxTweetLength} character limit`, 'error');
+      return;
+    }
+
+    try {
+      this.state.isAnalyzing = true;
+      this.showLoading('compareBtnSpinner', 'compareBtnText', 'Comparing...');
+
+      const result = new VariantComparator(variants, this.getAnalyzerOptions()).compare();
+      const { comparison } = result;
+
+      // A comparison uses a single analysis credit regardless of variant count
+      const credit = await this.useAnalysisCredit();
+      if (!credit.allowed) {
+        this.showMessage(null, credit.message, 'error');
+        return;
+      }
+
+      // The whole comparison is stored as one history record, keyed on the winner
+      await this.saveAnalysisToDatabase(variants[comparison.winnerIndex], result, {
+        type: 'comparison',
+        comparison: {
+          winnerIndex: comparison.winnerIndex,
+          variants: comparison.variants.map(variant => ({
+            label: variant.label,
+            content: variant.content,
+            score: variant.score,
+            engagement: variant.engagement,
+            reach: variant.reach
+          }))
+        }
+      });
+
+      this.displayComparisonResults(result);
+
+      await this.loadUserProfile();
+      await this.loadAnalysisHistory();
+
+      if (typeof dbHelpers !== 'undefined') {
+        await dbHelpers.logUserAction(this.state.currentUser.id, 'analysis', {
+          mode: 'comparison',
+          variant_count: variants.length,
+          score: result.score
+        });
+      }
+
+    } catch (error) {
+      this.handleError('Comparison failed', error);
+    } finally {
+      this.state.isAnalyzing = false;
+      this.hideLoading('compareBtnSpinner', 'compareBtnText', 'Compare Variants');
+      this.updateUI();
+    }
+  }
+
+  // Checks and spends one credit in a single database call. Every analysis
+  // goes through here before its results are shown.
+  async useAnalysisCredit() {
     if (!this.state.currentUser || typeof dbHelpers === 'undefined') {
       return { allowed: false, message: 'Please sign in to analyze tweets' };
     }
 
     try {
-      const { canAnalyze, remainingAnalyses, packAnalyses, planType, error } = 
-        await dbHelpers.canPerformAnalysis(this.state.currentUser.id);
+      const { success, reason, error } = await dbHelpers.consumeAnalysisCredit(this.state.currentUser.id);
 
       if (error) {
-        return { allowed: false, message: 'Error checking analysis limit' };
+        console.error('Error consuming analysis credit:', error);
+        return { allowed: false, message: 'Could not confirm your analysis credit, so no results were shown. Please try again.' };
       }
 
-      if (!canAnalyze) {
+      if (!success) {
         let message = 'Analysis limit reached!';
         
-        if (planType === 'free') {
+        if (reason === 'daily_limit_reached') {
           message = 'Daily limit reached! You can analyze 3 tweets per day on the free plan.';
-        } else if (planType === 'pack') {
+        } else if (reason === 'pack_exhausted') {
           message = 'Pack analyses exhausted! Please purchase another pack or upgrade to Pro.';
+        } else if (reason === 'profile_not_found') {
+          message = 'Your account profile could not be found. Please sign out and back in.';
         }
         
         return { allowed: false, message };
@@ -749,13 +1167,96 @@ class TweetPredictor {
 
       return { allowed: true };
     } catch (error) {
-      console.error('Error checking analysis permission:', error);
-      return { allowed: false, message: 'Error checking analysis limit' };
+      console.error('Error consuming analysis credit:', error);
+      return { allowed: false, message: 'Could not confirm your analysis credit, so no results were shown. Please try again.' };
     }
   }
 
-  async saveAnalysisToDatabase(tweet, analysis) {
-    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+  // === Billing ===
+  // Sends the user to Stripe Checkout. The purchase is applied by the webhook,
+  // not here; handleCheckoutReturn() picks it up when Stripe sends them back.
+  async startCheckout(plan) {
+    if (!this.state.currentUser) {
+      this.showMessage(null, 'Please sign in or create an account to purchase.', 'info');
+      this.showAuthModal('register');
+      return;
+    }
+
+    if (plan === 'pro' && this.state.quota?.planType === 'pro') {
+      this.showMessage(null, 'You already have Pro Unlimited.', 'info');
+      return;
+    }
+
+    const [spinnerId, textId] = plan === 'pro'
+      ? ['proCheckoutSpinner', 'proCheckoutBtnText']
+      : ['packCheckoutSpinner', 'packCheckoutBtnText'];
+    const originalText = document.getElementById(textId)?.textContent;
+
+    this.showLoading(spinnerId, textId, 'Redirecting...');
+    const { url, error } = await billingHelpers.createCheckoutSession(plan);
+    if (error) {
+      this.hideLoading(spinnerId, textId, originalText);
+      this.showMessage(null, typeof error === 'string' ? error : 'Could not start checkout. Please try again.', 'error');
+      return;
+    }
+
+    window.location.assign(url);
+  }
+
+  // Stripe returns to ?checkout=success|cancelled. Its webhook can arrive a
+  // few seconds after the user does, so wait for the session's event before
+  // reloading the plan.
+  async handleCheckoutReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const status = params.get('checkout');
+    if (!status) return;
+
+    const plan = params.get('plan');
+    const sessionId = params.get('session_id');
+    ['checkout', 'plan', 'session_id'].forEach(name => params.delete(name));
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+    if (status === 'cancelled') {
+      this.showMessage(null, 'Checkout cancelled. You have not been charged.', 'info');
+      return;
+    }
+    if (status !== 'success' || !sessionId || !this.state.currentUser) return;
+
+    this.showMessage(null, 'Checkout complete! Activating your purchase...', 'info');
+
+    let checkout = { status: 'pending' };
+    for (let attempt = 0; attempt < this.config.checkoutPollAttempts; attempt++) {
+      checkout = await billingHelpers.getCheckoutStatus(this.state.currentUser.id, sessionId);
+      if (checkout.status !== 'pending') break;
+      await new Promise(resolve => setTimeout(resolve, this.config.checkoutPollInterval));
+    }
+
+    await this.loadUserProfile();
+    this.updateUsageDisplay();
+
+    if (checkout.status === 'processed') {
+      this.showMessage(null, plan === 'pro'
+        ? 'Welcome to Pro Unlimited! Enjoy unlimited analyses.'
+        : `Your pack is ready: ${this.state.quota?.packAnalyses ?? 100} analyses available.`, 'success');
+    } else if (checkout.status === 'payment_pending') {
+      this.showMessage(null, plan === 'pro'
+        ? 'Your payment is still processing. Pro Unlimited starts as soon as it clears.'
+        : 'Your payment is still processing. Your 100 analyses will be added as soon as it clears.', 'info');
+    } else if (checkout.status === 'payment_failed') {
+      this.showMessage(null, 'Your payment didn\'t go through, so nothing was added. Please try again with another payment method.', 'error');
+    } else {
+      if (checkout.error) console.error('Error checking checkout status:', checkout.error);
+      this.showMessage(null, 'Your payment went through, but your plan is still being updated. Refresh in a minute to see it.', 'info');
+    }
+  }
+
+  // Logs failures and returns { data, error }, so callers that need the row
+  // saved (bulk analysis) can report it
+  async saveAnalysisToDatabase(tweet, analysis, extraMetadata = {}) {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') {
+      return { data: null, error: new Error('Sign in to save analyses') };
+    }
 
     try {
       const analysisData = {
@@ -765,9 +1266,17 @@ class TweetPredictor {
         reachLevel: analysis.reach,
         detailedAnalysis: analysis.analysis,
         suggestions: analysis.suggestions,
-        optimalPostingTime: analysis.optimalTime,
+        optimalPostingTime: analysis.optimalTime?.[0]?.label,
+        analysisVersion: TweetAnalyzer.version,
         metadata: {
+          calibrated: !!this.state.userSettings?.model_weights,
+          depth: this.getSettings().analysis_depth,
+          postingWindows: analysis.optimalTime,
           factors: analysis.factors,
+          breakdown: analysis.breakdown,
+          sentiment: analysis.sentiment,
+          readability: analysis.readability,
+          ...extraMetadata,
           timestamp: new Date().toISOString()
         }
       };
@@ -777,8 +1286,10 @@ class TweetPredictor {
       if (error) {
         console.error('Error saving analysis:', error);
       }
+      return { data, error };
     } catch (error) {
       console.error('Error saving analysis to database:', error);
+      return { data: null, error };
     }
   }
 
@@ -808,6 +1319,8 @@ class TweetPredictor {
       this.elements.protectedWrapper?.classList.add('protected-content');
       this.elements.accessOverlay && (this.elements.accessOverlay.style.display = 'block');
     }
+    
+    this.updatePreviewIdentity();
   }
 
   updateUsageDisplay() {
@@ -819,26 +1332,35 @@ class TweetPredictor {
       return;
     }
 
-    if (!this.state.userProfile) {
+    if (!this.state.quota) {
       this.elements.usageCount.textContent = 'Loading usage...';
       this.elements.usageCount.className = 'text-sm text-slate-600';
       return;
     }
 
-    const profile = this.state.userProfile;
+    const quota = this.state.quota;
     let usageText = '';
     let className = 'text-sm text-slate-600';
 
-    if (profile.plan_type === 'free') {
-      const remaining = profile.analyses_remaining || 0;
-      usageText = `${remaining}/3 free analyses remaining today`;
-      if (remaining === 0) className = 'text-sm text-red-600';
-    } else if (profile.plan_type === 'pack') {
-      const remaining = profile.pack_analyses_remaining || 0;
+    if (quota.planType === 'free') {
+      const remaining = quota.dailyRemaining || 0;
+      const resetTime = new Date(quota.resetsAt).toLocaleTimeString([], {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: quota.timezone
+      });
+      usageText = `${remaining}/${quota.dailyLimit} free analyses remaining today`;
+      if (quota.packAnalyses) usageText += ` + ${quota.packAnalyses} from your pack`;
+      if (remaining === 0) {
+        usageText += ` · resets at ${resetTime}`;
+        if (!quota.packAnalyses) className = 'text-sm text-red-600';
+      }
+    } else if (quota.planType === 'pack') {
+      const remaining = quota.packAnalyses || 0;
       usageText = `${remaining} analyses remaining in pack`;
       if (remaining <= 5) className = 'text-sm text-orange-600';
       if (remaining === 0) className = 'text-sm text-red-600';
-    } else if (profile.plan_type === 'pro') {
+    } else if (quota.planType === 'pro') {
       usageText = 'Unlimited analyses (Pro plan)';
       className = 'text-sm text-green-600';
     }
@@ -869,20 +1391,27 @@ class TweetPredictor {
   }
 
   getHistoryItemHTML(item) {
-    const date = new Date(item.created_at).toLocaleDateString();
-    const truncatedTweet = item.tweet_content.length > 80 
+    const date = this.formatDate(item.created_at);
+    const truncatedTweet = this.escapeHTML(item.tweet_content.length > 80 
       ? item.tweet_content.substring(0, 80) + '...' 
-      : item.tweet_content;
+      : item.tweet_content);
+
+    const thread = item.analysis_metadata?.type === 'thread' ? item.analysis_metadata.thread : null;
+    const comparison = item.analysis_metadata?.type === 'comparison' ? item.analysis_metadata.comparison : null;
 
     return `
       <div class="flex justify-between items-start">
         <div class="flex-1">
+          ${thread ? `<span class="inline-block text-xs font-semibold bg-blue-100 text-blue-700 px-2 py-1 rounded mb-2">🧵 Thread · ${thread.tweets.length} tweets</span>` : ''}
+          ${comparison ? `<span class="inline-block text-xs font-semibold bg-purple-100 text-purple-700 px-2 py-1 rounded mb-2">⚖️ A/B comparison · ${comparison.variants.length} variants</span>` : ''}
+          ${this.getPerformance(item) ? `<span class="inline-block text-xs font-semibold bg-green-100 text-green-700 px-2 py-1 rounded mb-2">📈 Results recorded</span>` : ''}
           <p class="text-slate-800 mb-2 font-medium">"${truncatedTweet}"</p>
           <div class="flex items-center space-x-4 text-sm text-slate-600">
             <span>Score: <strong class="text-slate-800">${item.overall_score}/100</strong></span>
             <span>Engagement: <strong class="text-slate-800">${item.engagement_level}</strong></span>
             <span>Reach: <strong class="text-slate-800">${item.reach_level}</strong></span>
             <span class="text-slate-500">${date}</span>
+            <span class="text-xs text-slate-400">v${item.analysis_version || '1.0'}</span>
           </div>
         </div>
         <button 
@@ -896,40 +1425,173 @@ class TweetPredictor {
     `;
   }
 
-  // === History Details Modal ===
-  async showHistoryDetails(analysisId) {
+  // === History Browser ===
+  setupHistoryBrowser() {
+    const form = document.getElementById('historyFilters');
+    if (!form) return;
+
+    const applyFilters = this.debounce(() => this.searchHistory(), 300);
+    form.addEventListener('input', applyFilters);
+    form.addEventListener('change', applyFilters);
+    form.addEventListener('submit', (e) => e.preventDefault());
+    // Reset fires before the inputs are cleared
+    form.addEventListener('reset', () => setTimeout(() => this.searchHistory(), 0));
+
+    // Infinite scroll: fetch the next page when the sentinel scrolls into view
+    const sentinel = document.getElementById('historyBrowserSentinel');
+    if (sentinel && 'IntersectionObserver' in window) {
+      this.historyObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) this.loadHistoryPage();
+      }, { rootMargin: '200px' });
+      this.historyObserver.observe(sentinel);
+    }
+  }
+
+  openHistoryBrowser() {
+    const section = document.getElementById('historyBrowser');
+    if (!section || !this.state.currentUser) return;
+
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.searchHistory();
+  }
+
+  closeHistoryBrowser() {
+    document.getElementById('historyBrowser')?.classList.add('hidden');
+    this.state.historyBrowser.items = [];
+    this.state.historyBrowser.total = null;
+  }
+
+  getHistoryFilters() {
+    const form = document.getElementById('historyFilters');
+    if (!form) return {};
+
+    const data = new FormData(form);
+    const number = name => data.get(name) === '' ? null : Number(data.get(name));
+    const [sortBy, direction] = (data.get('sort') || 'created_at:desc').split(':');
+
+    return {
+      search: data.get('search') || '',
+      minScore: number('minScore'),
+      maxScore: number('maxScore'),
+      engagementLevels: data.get('engagement') ? [data.get('engagement')] : [],
+      reachLevels: data.get('reach') ? [data.get('reach')] : [],
+      // Date inputs are calendar days in the user's timezone; include all of the "to" day
+      from: data.get('from') ? fromZonedDate(`${data.get('from')}T00:00:00`, this.getTimezone()).toISOString() : null,
+      to: data.get('to') ? fromZonedDate(`${data.get('to')}T23:59:59.999`, this.getTimezone()).toISOString() : null,
+      sortBy,
+      ascending: direction === 'asc'
+    };
+  }
+
+  // Starts a new search from the first page
+  searchHistory() {
+    const browser = this.state.historyBrowser;
+    browser.filters = this.getHistoryFilters();
+    browser.items = [];
+    browser.total = null;
+    browser.requestId += 1;
+    browser.isLoading = false;
+
+    const list = document.getElementById('historyBrowserList');
+    if (list) list.innerHTML = '';
+
+    this.loadHistoryPage();
+  }
+
+  async loadHistoryPage() {
+    const browser = this.state.historyBrowser;
+    const section = document.getElementById('historyBrowser');
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+    if (!section || section.classList.contains('hidden')) return;
+    if (browser.isLoading) return;
+    if (browser.total !== null && browser.items.length >= browser.total) return;
+
+    const requestId = browser.requestId;
+    browser.isLoading = true;
+    this.updateHistoryBrowserStatus();
+
     try {
-      const analysis = this.state.analysisHistory.find(item => item.id === analysisId);
-      if (!analysis) {
-        this.showMessage(null, 'Analysis not found', 'error');
-        return;
-      }
+      const { data, count, error } = await dbHelpers.searchAnalysisHistory(this.state.currentUser.id, {
+        ...browser.filters,
+        limit: this.config.historyPageSize,
+        offset: browser.items.length
+      });
+      if (requestId !== browser.requestId) return;
+      if (error) throw error;
 
-      // Create and show modal
-      const modal = this.createHistoryModal(analysis);
-      document.body.appendChild(modal);
-      
-      // Focus management
-      const closeBtn = modal.querySelector('.close-history-modal');
-      if (closeBtn) closeBtn.focus();
-      
+      browser.items.push(...(data || []));
+      browser.total = count || 0;
+      this.appendHistoryBrowserItems(data || []);
     } catch (error) {
-      this.handleError('Error showing analysis details', error);
+      this.handleError('Could not load analyses', error);
+    } finally {
+      if (requestId === browser.requestId) {
+        browser.isLoading = false;
+        this.updateHistoryBrowserStatus();
+      }
     }
   }
 
-  createHistoryModal(analysis) {
+  appendHistoryBrowserItems(items) {
+    const list = document.getElementById('historyBrowserList');
+    if (!list) return;
+
+    items.forEach(item => {
+      const div = document.createElement('div');
+      div.className = 'history-item p-4 rounded-lg border border-gray-200 mb-3';
+      div.innerHTML = this.getHistoryItemHTML(item);
+      list.appendChild(div);
+    });
+  }
+
+  updateHistoryBrowserStatus() {
+    const browser = this.state.historyBrowser;
+    const status = document.getElementById('historyBrowserStatus');
+    const loadMore = document.querySelector('[data-action="loadMoreHistory"]');
+    const hasMore = browser.total !== null && browser.items.length < browser.total;
+
+    if (status) {
+      status.textContent = browser.isLoading
+        ? 'Loading...'
+        : browser.total === null
+          ? ''
+          : browser.total === 0
+          ? 'No analyses match these filters'
+          : `Showing ${browser.items.length} of ${browser.total} analyses`;
+    }
+    if (loadMore) loadMore.classList.toggle('hidden', browser.isLoading || !hasMore);
+  }
+
+  // === History Export ===
+  // Pages through getAnalysisHistory so exports include every analysis
+  async fetchAllAnalyses() {
+    const pageSize = 100;
+    const rows = [];
+
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await dbHelpers.getAnalysisHistory(this.state.currentUser.id, pageSize, offset);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < pageSize) return rows;
+    }
+  }
+
+  showExportDialog() {
+    if (!this.state.currentUser) return;
+
+    const isPro = this.state.userProfile?.plan_type === 'pro';
     const modal = document.createElement('div');
     modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
     modal.setAttribute('role', 'dialog');
     modal.setAttribute('aria-modal', 'true');
-    modal.setAttribute('aria-labelledby', 'historyModalTitle');
-    
+    modal.setAttribute('aria-labelledby', 'exportModalTitle');
+
     modal.innerHTML = `
-      <div class="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+      <div class="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
         <div class="p-6">
           <div class="flex justify-between items-center mb-4">
-            <h3 id="historyModalTitle" class="text-xl font-bold text-slate-800">Analysis Details</h3>
+            <h3 id="exportModalTitle" class="text-xl font-bold text-slate-800">Export History</h3>
             <button 
               class="close-history-modal text-slate-500 hover:text-slate-700 text-2xl"
               aria-label="Close modal"
@@ -938,15 +1600,190 @@ class TweetPredictor {
             </button>
           </div>
           
-          <div class="space-y-4">
-            <div>
-              <h4 class="font-semibold text-slate-700 mb-2">Tweet Content:</h4>
-              <p class="text-slate-600 bg-slate-50 p-3 rounded border">${analysis.tweet_content}</p>
-            </div>
-            
-            <div class="grid grid-cols-3 gap-4">
-              <div class="text-center p-3 bg-blue-50 rounded">
-                <div class="text-2xl font-bold text-blue-600">${analysis.overall_score}</div>
+          <div class="grid grid-cols-3 gap-3 mb-6">
+            <button data-export="csv" class="p-3 border border-slate-300 rounded-lg hover:border-blue-500 text-sm font-medium">
+              <i class="fas fa-file-csv block text-2xl text-green-600 mb-1"></i>CSV
+            </button>
+            <button data-export="json" class="p-3 border border-slate-300 rounded-lg hover:border-blue-500 text-sm font-medium">
+              <i class="fas fa-file-code block text-2xl text-blue-600 mb-1"></i>JSON
+            </button>
+            <button data-export="report" class="p-3 border border-slate-300 rounded-lg hover:border-blue-500 text-sm font-medium">
+              <i class="fas fa-file-pdf block text-2xl text-red-600 mb-1"></i>PDF Report
+            </button>
+          </div>
+          
+          <fieldset class="border border-slate-200 rounded-lg p-4 ${isPro ? '' : 'opacity-60'}" ${isPro ? '' : 'disabled'}>
+            <legend class="text-sm font-semibold text-slate-700 px-1">White-label report ${isPro ? '' : '(Pro plan)'}</legend>
+            <label class="block text-sm text-slate-600 mb-3">
+              Company name
+              <input name="brandName" type="text" placeholder="${DEFAULT_BRANDING.name}" class="mt-1 w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500">
+            </label>
+            <label class="block text-sm text-slate-600 mb-3">
+              Logo URL
+              <input name="logoUrl" type="url" placeholder="https://" class="mt-1 w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500">
+            </label>
+            <label class="block text-sm text-slate-600 mb-3">
+              Brand color
+              <input name="primaryColor" type="color" value="${DEFAULT_BRANDING.primaryColor}" class="mt-1 block h-10 w-20 border border-slate-300 rounded">
+            </label>
+            <label class="flex items-center text-sm text-slate-600">
+              <input name="hidePoweredBy" type="checkbox" class="mr-2">
+              Remove Tweet Performance Predictor branding
+            </label>
+          </fieldset>
+          ${isPro ? '' : `
+            <p class="text-sm text-slate-500 mt-2">Upgrade to Pro to add your own logo and colors to reports.</p>
+          `}
+          <p class="export-status text-sm text-slate-600 mt-4" aria-live="polite"></p>
+        </div>
+      </div>
+    `;
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.closeHistoryModal(modal);
+      const exportBtn = e.target.closest('[data-export]');
+      if (exportBtn) this.exportHistory(exportBtn.dataset.export, modal);
+    });
+    modal.querySelector('.close-history-modal').addEventListener('click', () => this.closeHistoryModal(modal));
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closeHistoryModal(modal);
+    });
+
+    document.body.appendChild(modal);
+    modal.querySelector('.close-history-modal')?.focus();
+  }
+
+  async exportHistory(format, modal) {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    const status = modal.querySelector('.export-status');
+    // Open the report window inside the click handler so popup blockers allow it
+    const reportWindow = format === 'report' ? window.open('', '_blank') : null;
+    if (format === 'report' && !reportWindow) {
+      this.showMessage(null, 'Allow pop-ups for this site to open the report', 'error');
+      return;
+    }
+
+    try {
+      if (status) status.textContent = 'Preparing export...';
+      const exporter = new HistoryExporter(await this.fetchAllAnalyses(), { timezone: this.getTimezone() });
+      const stamp = toZonedDayKey(new Date(), this.getTimezone());
+
+      if (format === 'csv') {
+        // The byte-order mark makes Excel read the file as UTF-8 (emoji, accents)
+        this.downloadFile(`tweet-analyses-${stamp}.csv`, `\uFEFF${exporter.toCSV()}`, 'text/csv;charset=utf-8');
+      } else if (format === 'json') {
+        this.downloadFile(`tweet-analyses-${stamp}.json`, exporter.toJSON(), 'application/json');
+      } else {
+        reportWindow.document.open();
+        reportWindow.document.write(exporter.toReportHTML(this.getReportBranding(modal)));
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+      }
+
+      if (status) status.textContent = `Exported ${exporter.rows.length} analyses`;
+    } catch (error) {
+      reportWindow?.close();
+      if (status) status.textContent = '';
+      this.handleError('Export failed', error);
+    }
+  }
+
+  // White-label options are only honored on the Pro plan
+  getReportBranding(modal) {
+    if (this.state.userProfile?.plan_type !== 'pro') return {};
+
+    const value = name => modal.querySelector(`[name="${name}"]`);
+    return {
+      name: value('brandName')?.value.trim() || DEFAULT_BRANDING.name,
+      logoUrl: /^https:\/\//.test(value('logoUrl')?.value || '') ? value('logoUrl').value : '',
+      primaryColor: value('primaryColor')?.value || DEFAULT_BRANDING.primaryColor,
+      showPoweredBy: !value('hidePoweredBy')?.checked
+    };
+  }
+
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // === History Details Modal ===
+  async showHistoryDetails(analysisId) {
+    try {
+      const analysis = [...this.state.analysisHistory, ...this.state.historyBrowser.items]
+        .find(item => item.id === analysisId);
+      if (!analysis) {
+        this.showMessage(null, 'Analysis not found', 'error');
+        return;
+      }
+
+      // Create and show modal
+      const modal = this.createHistoryModal(analysis);
+      document.body.appendChild(modal);
+      
+      // Focus management
+      const closeBtn = modal.querySelector('.close-history-modal');
+      if (closeBtn) closeBtn.focus();
+      
+    } catch (error) {
+      this.handleError('Error showing analysis details', error);
+    }
+  }
+
+  createHistoryModal(analysis) {
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'historyModalTitle');
+    
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div class="p-6">
+          <div class="flex justify-between items-center mb-4">
+            <h3 id="historyModalTitle" class="text-xl font-bold text-slate-800">Analysis Details</h3>
+            <button 
+              class="close-history-modal text-slate-500 hover:text-slate-700 text-2xl"
+              aria-label="Close modal"
+            >
+              &times;
+            </button>
+          </div>
+          
+          <div class="space-y-4">
+            <div>
+              <h4 class="font-semibold text-slate-700 mb-2">Tweet Content:</h4>
+              ${analysis.analysis_metadata?.type === 'thread' ? `
+                <ol class="space-y-2">
+                  ${analysis.analysis_metadata.thread.tweets.map((tweet, index) => `
+                    <li class="text-slate-600 bg-slate-50 p-3 rounded border">
+                      <span class="text-xs text-slate-500">${index + 1}/${analysis.analysis_metadata.thread.tweets.length} · Score ${tweet.score}</span>
+                      <p class="whitespace-pre-wrap">${this.escapeHTML(tweet.content)}</p>
+                    </li>
+                  `).join('')}
+                </ol>
+              ` : analysis.analysis_metadata?.type === 'comparison' ? `
+                <ul class="space-y-2">
+                  ${analysis.analysis_metadata.comparison.variants.map((variant, index) => `
+                    <li class="text-slate-600 p-3 rounded border ${index === analysis.analysis_metadata.comparison.winnerIndex ? 'bg-green-50 border-green-200' : 'bg-slate-50'}">
+                      <span class="text-xs text-slate-500">${variant.label} · Score ${variant.score}${index === analysis.analysis_metadata.comparison.winnerIndex ? ' · Winner 🏆' : ''}</span>
+                      <p class="whitespace-pre-wrap">${this.escapeHTML(variant.content)}</p>
+                    </li>
+                  `).join('')}
+                </ul>
+              ` : `<p class="text-slate-600 bg-slate-50 p-3 rounded border">${analysis.tweet_content}</p>`}
+            </div>
+            
+            <div class="grid grid-cols-3 gap-4">
+              <div class="text-center p-3 bg-blue-50 rounded">
+                <div class="text-2xl font-bold text-blue-600">${analysis.overall_score}</div>
                 <div class="text-sm text-slate-600">Overall Score</div>
               </div>
               <div class="text-center p-3 bg-green-50 rounded">
@@ -966,14 +1803,10 @@ class TweetPredictor {
               </div>
             ` : ''}
             
-            ${analysis.suggestions ? `
+            ${this.normalizeSuggestions(analysis.suggestions).length ? `
               <div>
                 <h4 class="font-semibold text-slate-700 mb-2">Suggestions:</h4>
-                <ul class="list-disc list-inside text-slate-600 space-y-1">
-                  ${analysis.suggestions.split('\n').map(suggestion => 
-                    suggestion.trim() ? `<li>${suggestion.trim()}</li>` : ''
-                  ).join('')}
-                </ul>
+                ${this.getSuggestionsHTML(analysis.suggestions)}
               </div>
             ` : ''}
             
@@ -984,8 +1817,22 @@ class TweetPredictor {
               </div>
             ` : ''}
             
+            <div class="pt-2 border-t">
+              <div class="flex justify-between items-center">
+                <span class="text-sm text-slate-500">
+                  Scored with model v${analysis.analysis_version || '1.0'}${(analysis.analysis_version || '1.0') === TweetAnalyzer.version ? ' (current)' : ''}
+                </span>
+                <button class="reanalyze-btn text-blue-600 hover:text-blue-800 text-sm font-medium">
+                  <i class="fas fa-sync-alt mr-1"></i>Re-analyze with current model (v${TweetAnalyzer.version})
+                </button>
+              </div>
+              <div class="reanalysis-results mt-3"></div>
+            </div>
+            
+            ${this.getPerformanceFormHTML(analysis)}
+            
             <div class="text-sm text-slate-500 pt-2 border-t">
-              Analyzed on: ${new Date(analysis.created_at).toLocaleString()}
+              Analyzed on: ${this.formatDateTime(analysis.created_at)}
             </div>
           </div>
         </div>
@@ -1003,6 +1850,15 @@ class TweetPredictor {
       this.closeHistoryModal(modal);
     });
 
+    modal.querySelector('.reanalyze-btn')?.addEventListener('click', () => {
+      this.reanalyzeHistoryItem(analysis, modal);
+    });
+
+    modal.querySelector('.performance-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.savePerformance(analysis.id, e.target, modal);
+    });
+
     // Keyboard support
     modal.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
@@ -1017,330 +1873,2655 @@ class TweetPredictor {
     modal.remove();
   }
 
-  // === Enhanced Form Handlers ===
-  getLoginCredentials() {
-    return {
-      email: document.getElementById('loginEmail')?.value?.trim() || '',
-      password: document.getElementById('loginPassword')?.value || ''
-    };
+  // === Re-analysis ===
+  // Scores a saved analysis again with the current model. Nothing is saved
+  // and no credit is used; it only shows how the scores moved.
+  reanalyzeHistoryItem(analysis, modal) {
+    const container = modal.querySelector('.reanalysis-results');
+    if (!container) return;
+
+    try {
+      const metadata = analysis.analysis_metadata || {};
+      const options = this.getAnalyzerOptions();
+      let current;
+
+      if (metadata.type === 'thread') {
+        current = new ThreadAnalyzer(metadata.thread.tweets.map(tweet => tweet.content), options).analyze();
+      } else if (metadata.type === 'comparison') {
+        current = new VariantComparator(metadata.comparison.variants.map(variant => variant.content), options).compare();
+      } else {
+        current = new TweetAnalyzer(analysis.tweet_content, options).analyze();
+      }
+
+      const delta = current.score - analysis.overall_score;
+      const row = (label, before, after) => `
+        <tr class="border-t border-slate-200">
+          <td class="py-2 font-medium text-slate-700">${label}</td>
+          <td class="py-2 text-slate-600">${before}</td>
+          <td class="py-2 ${before === after ? 'text-slate-600' : 'font-semibold text-slate-800'}">${after}</td>
+        </tr>
+      `;
+
+      container.innerHTML = `
+        <table class="w-full text-sm">
+          <thead class="text-left text-slate-500">
+            <tr>
+              <th class="py-1"></th>
+              <th>Saved (v${analysis.analysis_version || '1.0'})</th>
+              <th>Current (v${TweetAnalyzer.version})</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${row('Score', analysis.overall_score, `${current.score} <span class="${delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : 'text-slate-500'}">(${delta > 0 ? '+' : ''}${delta})</span>`)}
+            ${row('Engagement', analysis.engagement_level, current.engagement)}
+            ${row('Reach', analysis.reach_level, current.reach)}
+            ${metadata.type === 'comparison' ? row(
+              'Winner',
+              metadata.comparison.variants[metadata.comparison.winnerIndex].label,
+              current.comparison.variants[current.comparison.winnerIndex].label
+            ) : ''}
+          </tbody>
+        </table>
+        <div class="mt-3">
+          <h5 class="text-sm font-semibold text-slate-700 mb-1">Current suggestions:</h5>
+          ${this.getSuggestionsHTML(current.suggestions)}
+        </div>
+      `;
+    } catch (error) {
+      this.handleError('Re-analysis failed', error);
+    }
   }
 
-  getRegistrationData() {
-    return {
-      name: document.getElementById('registerName')?.value?.trim() || '',
-      email: document.getElementById('registerEmail')?.value?.trim() || '',
-      password: document.getElementById('registerPassword')?.value || '',
-      confirmPassword: document.getElementById('confirmPassword')?.value || ''
-    };
+  // === Actual Performance ===
+  // PostgREST returns a one-to-one relation as an object, older clients as an array
+  getPerformance(item) {
+    const performance = item.tweet_performance;
+    return Array.isArray(performance) ? performance[0] || null : performance || null;
   }
 
-  // === Enhanced Utility Methods ===
-  isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+  getPerformanceFormHTML(analysis) {
+    const performance = this.getPerformance(analysis);
+    const postedAt = new Date(performance?.posted_at || analysis.created_at);
+    // datetime-local inputs have no zone; they show the user's timezone
+    const localPostedAt = toDateTimeInputValue(postedAt, this.getTimezone());
+    const field = (name, label) => `
+      <label class="block text-sm text-slate-600">
+        ${label}
+        <input 
+          type="number" 
+          name="${name}" 
+          min="0" 
+          step="1" 
+          required
+          value="${performance ? performance[name] : ''}" 
+          class="mt-1 w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500"
+        >
+      </label>
+    `;
+
+    return `
+      <div class="pt-2 border-t">
+        <h4 class="font-semibold text-slate-700 mb-2">Actual Performance:</h4>
+        ${performance ? `
+          <p class="text-sm text-slate-600 mb-3">
+            Engagement rate: <strong>${(getEngagementRate(performance) * 100).toFixed(2)}%</strong>
+            (${PredictionAccuracy.getEngagementLevel(getEngagementRate(performance))} engagement)
+          </p>
+        ` : `
+          <p class="text-sm text-slate-500 mb-3">Posted this tweet? Record how it did to track prediction accuracy.</p>
+        `}
+        <form class="performance-form grid grid-cols-2 md:grid-cols-4 gap-3">
+          ${field('impressions', 'Impressions')}
+          ${field('likes', 'Likes')}
+          ${field('retweets', 'Retweets')}
+          ${field('replies', 'Replies')}
+          <label class="block text-sm text-slate-600 col-span-2">
+            Posted at
+            <input 
+              type="datetime-local" 
+              name="postedAt" 
+              required
+              value="${localPostedAt}" 
+              class="mt-1 w-full p-2 border border-slate-300 rounded focus:ring-2 focus:ring-blue-500"
+            >
+          </label>
+          <div class="col-span-2 flex items-end justify-end">
+            <button type="submit" class="saas-button text-white px-4 py-2 rounded-lg text-sm font-semibold">
+              ${performance ? 'Update Results' : 'Save Results'}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
   }
 
-  debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
+  async savePerformance(analysisId, form, modal) {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    const formData = new FormData(form);
+    const performance = {
+      impressions: parseInt(formData.get('impressions'), 10),
+      likes: parseInt(formData.get('likes'), 10),
+      retweets: parseInt(formData.get('retweets'), 10),
+      replies: parseInt(formData.get('replies'), 10),
+      postedAt: fromZonedDate(formData.get('postedAt'), this.getTimezone()).toISOString()
     };
-  }
 
-  // === UI Helper Methods ===
-  showLoading(spinnerId, textId, loadingText) {
-    const spinner = document.getElementById(spinnerId);
-    const text = document.getElementById(textId);
-    const button = spinner?.closest('button');
-    
-    if (spinner) spinner.classList.remove('hidden');
-    if (text) text.textContent = loadingText;
-    if (button) button.disabled = true;
+    const counts = [performance.impressions, performance.likes, performance.retweets, performance.replies];
+    if (counts.some(count => !Number.isInteger(count) || count < 0)) {
+      this.showMessage(null, 'Enter whole, non-negative numbers for every metric', 'error');
+      return;
+    }
+    if (performance.likes + performance.retweets + performance.replies > performance.impressions) {
+      this.showMessage(null, 'Likes, retweets and replies can\'t add up to more than impressions', 'error');
+      return;
+    }
+
+    try {
+      const { error } = await dbHelpers.saveTweetPerformance(this.state.currentUser.id, analysisId, performance);
+      if (error) throw error;
+
+      await this.loadAnalysisHistory();
+      await this.loadPerformanceHistory();
+      this.updateHistoryDisplay();
+      this.closeHistoryModal(modal);
+      this.showMessage(null, 'Results saved', 'success');
+    } catch (error) {
+      this.handleError('Could not save results', error);
+    }
   }
 
-  hideLoading(spinnerId, textId, originalText) {
-    const spinner = document.getElementById(spinnerId);
-    const text = document.getElementById(textId);
-    const button = spinner?.closest('button');
-    
-    if (spinner) spinner.classList.add('hidden');
-    if (text) text.textContent = originalText;
-    if (button) button.disabled = false;
+  // === Model Calibration ===
+  getModelCalibrationHTML(accuracy) {
+    const calibration = this.state.userSettings?.model_weights;
+    const samples = accuracy.records.filter(record => Array.isArray(record.breakdown));
+    const canCalibrate = samples.length >= ModelCalibrator.minSamples;
+
+    return `
+      <div class="mt-6 pt-4 border-t">
+        <h4 class="font-semibold text-slate-700 mb-2">Your Model</h4>
+        ${calibration ? `
+          <p class="text-sm text-slate-600 mb-3">
+            Calibrated on ${calibration.sampleCount} posts on ${this.formatDate(calibration.trainedAt)}.
+            Average score error went from ±${calibration.error.before} to ±${calibration.error.after} on those posts.
+          </p>
+        ` : `
+          <p class="text-sm text-slate-600 mb-3">
+            You're using the default model. Calibrating re-weights each scoring factor to match how your
+            own tweets performed.
+          </p>
+        `}
+        ${canCalibrate ? '' : `
+          <p class="text-sm text-slate-500 mb-3">
+            Record results for ${ModelCalibrator.minSamples - samples.length} more single tweets to enable calibration.
+          </p>
+        `}
+        <div class="flex gap-3">
+          <button 
+            class="calibrate-model saas-button text-white px-4 py-2 rounded-lg text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed" 
+            ${canCalibrate ? '' : 'disabled'}
+          >
+            ${calibration ? 'Recalibrate' : 'Calibrate from My Results'}
+          </button>
+          ${calibration ? `
+            <button class="reset-model px-4 py-2 rounded-lg text-sm font-semibold text-slate-600 border border-slate-300 hover:bg-slate-50">
+              Reset to Default Model
+            </button>
+          ` : ''}
+        </div>
+      </div>
+    `;
   }
 
-  showMessage(element, message, type = 'info') {
-    if (!element) {
-      // Create a toast notification if no specific element
-      this.showToast(message, type);
-      return;
+  async calibrateModel(accuracy, modal) {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    try {
+      const calibrator = new ModelCalibrator(accuracy.records, {
+        defaultWeights: FACTOR_WEIGHTS,
+        baseScore: BASE_SCORE
+      });
+      const modelWeights = calibrator.calibrate();
+
+      await this.saveModelWeights(modelWeights);
+      this.closeHistoryModal(modal);
+      this.showAccuracyDashboard();
+      this.showMessage(null, `Model calibrated on ${modelWeights.sampleCount} posts`, 'success');
+    } catch (error) {
+      this.handleError('Calibration failed', error);
     }
-    
-    element.textContent = message;
-    element.className = `message ${type === 'error' ? 'text-red-600' : type === 'success' ? 'text-green-600' : 'text-blue-600'}`;
-    element.classList.remove('hidden');
-    
-    // Auto-hide success messages
-    if (type === 'success') {
-      setTimeout(() => {
-        element.classList.add('hidden');
-      }, 5000);
+  }
+
+  async resetModel(modal) {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    try {
+      await this.saveModelWeights(null);
+      this.closeHistoryModal(modal);
+      this.showAccuracyDashboard();
+      this.showMessage(null, 'Switched back to the default model', 'success');
+    } catch (error) {
+      this.handleError('Could not reset the model', error);
     }
   }
 
-  showToast(message, type = 'info') {
-    const toast = document.createElement('div');
-    toast.className = `fixed top-4 right-4 z-50 p-4 rounded-lg shadow-lg max-w-sm ${
-      type === 'error' ? 'bg-red-100 text-red-800 border border-red-200' :
-      type === 'success' ? 'bg-green-100 text-green-800 border border-green-200' :
-      'bg-blue-100 text-blue-800 border border-blue-200'
-    }`;
-    toast.textContent = message;
-    
-    document.body.appendChild(toast);
-    
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-      toast.remove();
-    }, 5000);
+  async saveModelWeights(modelWeights) {
+    const { data, error } = await dbHelpers.updateUserSettings(this.state.currentUser.id, {
+      model_weights: modelWeights
+    });
+    if (error) throw error;
+
+    this.state.userSettings = data;
   }
 
-  toggleElement(element, show) {
-    if (!element) return;
-    element.style.display = show ? 'block' : 'none';
+  // === Analytics Dashboard ===
+  async openAnalyticsDashboard() {
+    const section = document.getElementById('analyticsDashboard');
+    const content = document.getElementById('analyticsDashboardContent');
+    if (!section || !content || !this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    content.innerHTML = '<p class="text-slate-600">Loading your analytics...</p>';
+
+    try {
+      const userId = this.state.currentUser.id;
+      const [rows, usage, totals] = await Promise.all([
+        this.fetchAllAnalyses(),
+        dbHelpers.getUsageStats(userId, 30),
+        dbHelpers.getUserAnalytics(userId)
+      ]);
+      if (usage.error) throw usage.error;
+      if (totals.error) throw totals.error;
+
+      content.innerHTML = this.getAnalyticsDashboardHTML(new UserAnalytics(rows, usage.data, { timezone: this.getTimezone() }), totals.data);
+    } catch (error) {
+      content.innerHTML = '<p class="text-red-600">Could not load your analytics.</p>';
+      this.handleError('Could not load analytics', error);
+    }
   }
 
-  // === Event Listeners Setup ===
-  cacheElements() {
-    this.elements = {
-      tweetInput: document.getElementById('tweetInput'),
-      analyzeBtn: document.getElementById('analyzeBtn'),
-      results: document.getElementById('results'),
-      userInfo: document.getElementById('userInfo'),
-      signInHeader: document.getElementById('signInHeader'),
-      userDisplay: document.getElementById('userDisplay'),
-      usageCount: document.getElementById('usageCount'),
-      historySection: document.getElementById('historySection'),
-      protectedWrapper: document.getElementById('protectedWrapper'),
-      accessOverlay: document.getElementById('accessOverlay'),
-      authModal: document.getElementById('authModal')
-    };
+  closeAnalyticsDashboard() {
+    document.getElementById('analyticsDashboard')?.classList.add('hidden');
+    const content = document.getElementById('analyticsDashboardContent');
+    if (content) content.innerHTML = '';
   }
 
-  setupEventListeners() {
-    // Authentication modal events
-    this.addEventListener('showLogin', () => this.showAuthModal('login'));
-    this.addEventListener('showRegister', () => this.showAuthModal('register'));
-    this.addEventListener('closeAuthModal', () => this.hideAuthModal());
-    
-    // Form submission events
-    this.addEventListener('submitLogin', (e) => {
+  getAnalyticsDashboardHTML(analytics, totals) {
+    const summary = analytics.getSummary();
+    if (!summary.count) {
+      return '<p class="text-slate-600">Analyze a few tweets and your trends will show up here.</p>';
+    }
+
+    const timeline = analytics.getTimeline();
+    const trend = analytics.getScoreTrend();
+    const activity = analytics.getDailyActivity(30);
+    const actionCounts = analytics.getActionCounts();
+    // Period keys are already calendar days in the user's timezone
+    const periodLabel = period => {
+      const date = new Date(`${period.period}T00:00:00`);
+      return period.granularity === 'month'
+        ? date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' })
+        : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    };
+    const stat = (value, label, colorClass) => `
+      <div class="text-center p-3 ${colorClass} rounded">
+        <div class="text-2xl font-bold text-slate-800">${value}</div>
+        <div class="text-sm text-slate-600">${label}</div>
+      </div>
+    `;
+    const trendText = trend === null
+      ? '—'
+      : `${trend > 0 ? '+' : ''}${trend}`;
+
+    return `
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        ${stat(totals?.total_analyses ?? summary.count, 'Total analyses', 'bg-slate-50')}
+        ${stat(totals?.analyses_last_30_days ?? '—', 'Last 30 days', 'bg-blue-50')}
+        ${stat(Math.round(totals?.avg_score ?? summary.averageScore), 'Average score', 'bg-green-50')}
+        ${stat(trendText, 'Score trend per 30 days', trend > 0 ? 'bg-green-50' : trend < 0 ? 'bg-red-50' : 'bg-slate-50')}
+      </div>
+
+      <div class="grid md:grid-cols-2 gap-8 mb-8">
+        <div>
+          <h3 class="font-semibold text-slate-700 mb-2">Analyses per ${timeline[0]?.granularity || 'week'}</h3>
+          ${renderBarChart(timeline.map(period => ({ label: periodLabel(period), value: period.count })), {
+            title: 'Number of analyses over time'
+          })}
+        </div>
+        <div>
+          <h3 class="font-semibold text-slate-700 mb-2">Average score</h3>
+          ${renderLineChart(timeline.map(period => ({ label: periodLabel(period), value: period.averageScore })), {
+            title: 'Average score over time'
+          })}
+        </div>
+      </div>
+
+      <div class="grid md:grid-cols-2 gap-8 mb-8">
+        <div>
+          <h3 class="font-semibold text-slate-700 mb-2">Score distribution</h3>
+          ${renderBarChart(analytics.getScoreDistribution().map(bucket => ({ label: bucket.label, value: bucket.count })), {
+            title: 'Number of analyses per score range'
+          })}
+        </div>
+        <div>
+          <h3 class="font-semibold text-slate-700 mb-2">Activity, last 30 days</h3>
+          ${renderBarChart(activity.map(day => ({ label: day.day.slice(5), value: day.count })), {
+            title: 'Logged actions per day over the last 30 days'
+          })}
+          <p class="text-xs text-slate-500 mt-1">
+            ${Object.entries(actionCounts).map(([action, count]) => `${this.escapeHTML(action.replace(/_/g, ' '))}: ${count}`).join(' · ') || 'No activity logged'}
+          </p>
+        </div>
+      </div>
+
+      <h3 class="font-semibold text-slate-700 mb-2">What goes with your high scores</h3>
+      <table class="w-full text-sm mb-2">
+        <thead class="text-left text-slate-500">
+          <tr><th class="py-1">Factor</th><th>Avg. with</th><th>Avg. without</th><th>In high scorers</th><th>Correlation</th></tr>
+        </thead>
+        <tbody>
+          ${analytics.getFactorCorrelations().map(factor => `
+            <tr class="border-t border-slate-200">
+              <td class="py-2">${factor.label} <span class="text-slate-500">(${factor.description.toLowerCase()})</span></td>
+              <td>${factor.withAverage ?? '—'} <span class="text-slate-400">(${factor.withCount})</span></td>
+              <td>${factor.withoutAverage ?? '—'} <span class="text-slate-400">(${factor.withoutCount})</span></td>
+              <td>${factor.highScoreShare === null ? '—' : `${Math.round(factor.highScoreShare * 100)}%`}</td>
+              <td class="${factor.correlation > 0.1 ? 'text-green-600' : factor.correlation < -0.1 ? 'text-red-600' : ''}">${factor.correlation ?? '—'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="text-xs text-slate-500 mb-8">
+        High scorers are analyses scoring ${UserAnalytics.highScoreThreshold} or more. Correlation runs from -1 to 1
+        and needs at least three analyses.
+      </p>
+
+      <h3 class="font-semibold text-slate-700 mb-2">Most frequent suggestions</h3>
+      <ul class="space-y-2 text-sm">
+        ${analytics.getSuggestionFrequency().map(entry => `
+          <li class="flex justify-between border-b border-slate-100 pb-1">
+            <span class="pr-4">${this.escapeHTML(entry.example)}</span>
+            <span class="text-slate-500 whitespace-nowrap">${entry.count}×</span>
+          </li>
+        `).join('') || '<li class="text-slate-600">No suggestions recorded yet</li>'}
+      </ul>
+    `;
+  }
+
+  // === Account & Billing Page ===
+  setupAccountPage() {
+    const content = document.getElementById('accountPageContent');
+    if (!content) return;
+
+    content.addEventListener('submit', (e) => {
+      if (e.target.id !== 'accountProfileForm') return;
       e.preventDefault();
-      this.handleLogin();
+      this.saveAccountProfile(e.target);
+    });
+
+    content.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-account-action]');
+      if (!button) return;
+
+      const action = button.dataset.accountAction;
+      if (action === 'cancel-pro' || action === 'resume-pro') {
+        this.updateSubscription(action === 'cancel-pro' ? 'cancel' : 'resume', button);
+      } else if (action === 'buy-pack') {
+        this.startCheckout('pack');
+      } else if (action === 'buy-pro') {
+        this.startCheckout('pro');
+      }
+    });
+  }
+
+  async openAccountPage() {
+    const section = document.getElementById('accountPage');
+    if (!section || !this.state.currentUser) return;
+
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    await this.renderAccountPage();
+  }
+
+  closeAccountPage() {
+    document.getElementById('accountPage')?.classList.add('hidden');
+    const content = document.getElementById('accountPageContent');
+    if (content) content.innerHTML = '';
+  }
+
+  async renderAccountPage() {
+    const content = document.getElementById('accountPageContent');
+    if (!content || !this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    if (!content.innerHTML.trim()) {
+      content.innerHTML = '<p class="text-slate-600">Loading your account...</p>';
+    }
+
+    try {
+      await this.loadUserProfile();
+      const { data: events, error } = await billingHelpers.getBillingEvents(this.state.currentUser.id);
+      if (error) throw error;
+
+      content.innerHTML = this.getAccountPageHTML(getPurchaseHistory(events));
+      this.updateUsageDisplay();
+    } catch (error) {
+      content.innerHTML = '<p class="text-red-600">Could not load your account.</p>';
+      this.handleError('Could not load account', error);
+    }
+  }
+
+  getAccountPageHTML(history) {
+    const user = this.state.currentUser;
+    const profile = this.state.userProfile || {};
+    const quota = this.state.quota || {};
+    const planType = quota.planType || profile.plan_type || 'free';
+    const packAnalyses = quota.packAnalyses ?? profile.pack_analyses_remaining ?? 0;
+    const dailyLimit = quota.dailyLimit || 3;
+    const hasPro = planType === 'pro' && ['active', 'past_due'].includes(profile.subscription_status);
+    const periodEnd = profile.current_period_end ? this.formatDate(profile.current_period_end) : null;
+    const planNames = { free: 'Free', pack: 'Analysis Pack', pro: 'Pro Unlimited' };
+    const statusClasses = {
+      paid: 'text-green-600',
+      processing: 'text-blue-600',
+      failed: 'text-red-600',
+      ended: 'text-slate-500'
+    };
+    const stat = (value, label, colorClass) => `
+      <div class="text-center p-3 ${colorClass} rounded">
+        <div class="text-2xl font-bold text-slate-800">${value}</div>
+        <div class="text-sm text-slate-600">${label}</div>
+      </div>
+    `;
+
+    let renewal = '—';
+    if (hasPro && periodEnd) renewal = profile.cancel_at_period_end ? `Ends ${periodEnd}` : `Renews ${periodEnd}`;
+
+    // What the user is left with once Pro ends: unused pack analyses carry
+    // over, then the free daily allowance
+    const afterPro = packAnalyses > 0
+      ? `you'll keep your ${packAnalyses} pack analyses, then move to the Free plan (${dailyLimit} analyses per day) once they're used up`
+      : `you'll move to the Free plan with ${dailyLimit} analyses per day`;
+
+    let planDetails = '';
+    if (hasPro) {
+      planDetails = `
+        ${profile.subscription_status === 'past_due' ? `
+          <p class="text-sm text-red-600 mb-2">Your last payment failed. Stripe will retry it; Pro stays active meanwhile.</p>
+        ` : ''}
+        <p class="text-sm text-slate-600 mb-3">
+          ${profile.cancel_at_period_end
+            ? `Pro is cancelled and ends ${periodEnd ? `on ${periodEnd}` : 'at the end of the billing period'}. After that ${afterPro}.`
+            : `If you cancel, Pro stays active until ${periodEnd || 'the end of the billing period'}; after that ${afterPro}.`}
+        </p>
+        ${profile.cancel_at_period_end
+          ? '<button type="button" data-account-action="resume-pro" class="saas-button text-white px-4 py-2 rounded-lg text-sm font-semibold">Resume Pro</button>'
+          : '<button type="button" data-account-action="cancel-pro" class="px-4 py-2 rounded-lg text-sm font-semibold border border-red-300 text-red-600 hover:bg-red-50">Cancel Pro</button>'}
+      `;
+    } else {
+      planDetails = `
+        <p class="text-sm text-slate-600 mb-3">
+          ${planType === 'pack'
+            ? `Pack analyses never expire. Once they're used up you'll be on the Free plan (${dailyLimit} analyses per day).`
+            : `You get ${dailyLimit} free analyses per day.`}
+        </p>
+        <div class="flex flex-wrap gap-2">
+          <button type="button" data-account-action="buy-pack" class="saas-button text-white px-4 py-2 rounded-lg text-sm font-semibold">Buy 100 analyses</button>
+          <button type="button" data-account-action="buy-pro" class="saas-button-secondary text-white px-4 py-2 rounded-lg text-sm font-semibold">Upgrade to Pro</button>
+        </div>
+      `;
+    }
+
+    return `
+      <h3 class="font-semibold text-slate-700 mb-3">Profile</h3>
+      <form id="accountProfileForm" class="grid md:grid-cols-2 gap-4 mb-8" novalidate>
+        <label class="block text-sm">
+          <span class="text-slate-600">Name</span>
+          <input name="fullName" type="text" maxlength="100" required value="${this.escapeHTML(profile.full_name || user.user_metadata?.full_name || '')}"
+            class="mt-1 w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+        </label>
+        <label class="block text-sm">
+          <span class="text-slate-600">Email</span>
+          <input name="email" type="email" required value="${this.escapeHTML(user.email || profile.email || '')}"
+            class="mt-1 w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+          ${user.new_email ? `
+            <span class="block text-xs text-blue-600 mt-1">Waiting for you to confirm ${this.escapeHTML(user.new_email)}</span>
+          ` : ''}
+        </label>
+        <div class="md:col-span-2 flex items-center gap-4">
+          <button type="submit" class="saas-button text-white px-4 py-2 rounded-lg text-sm font-semibold">Save Profile</button>
+          <p id="accountMessage" class="message hidden" role="status"></p>
+        </div>
+      </form>
+
+      <h3 class="font-semibold text-slate-700 mb-3">Plan</h3>
+      <div class="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+        ${stat(planNames[planType] || planType, 'Current plan', hasPro ? 'bg-green-50' : 'bg-slate-50')}
+        ${stat(renewal, 'Billing period', 'bg-blue-50')}
+        ${stat(packAnalyses, 'Pack analyses left', packAnalyses > 0 ? 'bg-green-50' : 'bg-slate-50')}
+      </div>
+      <div class="mb-8">${planDetails}</div>
+
+      <h3 class="font-semibold text-slate-700 mb-2">Purchase history</h3>
+      ${history.length ? `
+        <table class="w-full text-sm">
+          <thead class="text-left text-slate-500">
+            <tr><th class="py-1">Date</th><th>Description</th><th>Amount</th><th>Status</th></tr>
+          </thead>
+          <tbody>
+            ${history.map(entry => `
+              <tr class="border-t border-slate-200">
+                <td class="py-2">${this.formatDate(entry.date)}</td>
+                <td>${this.escapeHTML(entry.description)}</td>
+                <td>${this.escapeHTML(entry.amount ?? '—')}</td>
+                <td class="${statusClasses[entry.status] || ''}">${this.escapeHTML(entry.status)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="text-slate-600 text-sm">No purchases yet.</p>'}
+    `;
+  }
+
+  // The name is saved right away. A new email needs confirming from the link
+  // Supabase sends it, and until then the old address keeps working.
+  async saveAccountProfile(form) {
+    const messageEl = document.getElementById('accountMessage');
+    const user = this.state.currentUser;
+    if (!user) return;
+
+    const fullName = form.elements.fullName.value.trim();
+    const email = form.elements.email.value.trim().toLowerCase();
+
+    if (fullName.length < 2) {
+      this.showMessage(messageEl, 'Name must be at least 2 characters long', 'error');
+      return;
+    }
+    if (!this.isValidEmail(email)) {
+      this.showMessage(messageEl, 'Please enter a valid email address', 'error');
+      return;
+    }
+
+    const nameChanged = fullName !== (this.state.userProfile?.full_name || '');
+    const emailChanged = email !== (user.email || '').toLowerCase();
+    if (!nameChanged && !emailChanged) {
+      this.showMessage(messageEl, 'No changes to save', 'info');
+      return;
+    }
+
+    const submit = form.querySelector('button[type="submit"]');
+    if (submit) submit.disabled = true;
+
+    try {
+      if (nameChanged) {
+        const { error } = await dbHelpers.updateUserProfile(user.id, { full_name: fullName });
+        if (error) throw error;
+      }
+
+      const { user: updatedUser, error } = await authHelpers.updateUser({
+        fullName: nameChanged ? fullName : undefined,
+        email: emailChanged ? email : undefined
+      });
+      if (error) throw error;
+      if (updatedUser) this.state.currentUser = updatedUser;
+
+      this.updateAuthUI();
+      await this.renderAccountPage();
+      this.showMessage(document.getElementById('accountMessage'), emailChanged
+        ? `Check ${email} for a confirmation link. Until you confirm, keep signing in with ${user.email}.`
+        : 'Profile saved', 'success');
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      this.showMessage(messageEl, this.getErrorMessage(error), 'error');
+    } finally {
+      if (submit) submit.disabled = false;
+    }
+  }
+
+  async updateSubscription(action, button) {
+    const periodEnd = this.state.userProfile?.current_period_end
+      ? this.formatDate(this.state.userProfile.current_period_end)
+      : 'the end of the billing period';
+    if (action === 'cancel' && !window.confirm(`Cancel Pro Unlimited? You keep Pro until ${periodEnd} and won't be charged again.`)) {
+      return;
+    }
+
+    if (button) button.disabled = true;
+    const { error } = await billingHelpers.updateSubscription(action);
+    if (error) {
+      if (button) button.disabled = false;
+      this.showMessage(null, typeof error === 'string' ? error : 'Could not update your subscription. Please try again.', 'error');
+      return;
+    }
+
+    await this.renderAccountPage();
+    this.showMessage(null, action === 'cancel'
+      ? `Pro cancelled. It stays active until ${periodEnd}.`
+      : 'Pro resumed. Your subscription will renew as usual.', 'success');
+  }
+
+  // === Settings Panel ===
+  setupSettingsPanel() {
+    const content = document.getElementById('settingsPanelContent');
+    if (!content) return;
+
+    content.addEventListener('submit', (e) => {
+      if (e.target.id !== 'settingsForm') return;
+      e.preventDefault();
+      this.saveSettings(e.target);
+    });
+  }
+
+  openSettingsPanel() {
+    const section = document.getElementById('settingsPanel');
+    if (!section || !this.state.currentUser) return;
+
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.renderSettingsPanel();
+  }
+
+  closeSettingsPanel() {
+    document.getElementById('settingsPanel')?.classList.add('hidden');
+    const content = document.getElementById('settingsPanelContent');
+    if (content) content.innerHTML = '';
+  }
+
+  renderSettingsPanel() {
+    const content = document.getElementById('settingsPanelContent');
+    if (content) content.innerHTML = this.getSettingsPanelHTML();
+  }
+
+  getSettingsPanelHTML() {
+    const settings = this.getSettings();
+    const schedule = settings.default_posting_schedule;
+    const themeLabels = { light: 'Light', dark: 'Dark', auto: 'Match my system' };
+    const dayLabels = { mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat', sun: 'Sun' };
+    const checkbox = (name, checked, label, hint) => `
+      <label class="flex items-start gap-3 text-sm">
+        <input name="${name}" type="checkbox" ${checked ? 'checked' : ''} class="mt-1">
+        <span>
+          <span class="text-slate-700 font-medium">${label}</span>
+          <span class="block text-slate-500">${hint}</span>
+        </span>
+      </label>
+    `;
+
+    return `
+      <form id="settingsForm" class="space-y-8" novalidate>
+        <div class="grid md:grid-cols-2 gap-4">
+          <label class="block text-sm">
+            <span class="text-slate-600">Theme</span>
+            <select name="theme" class="mt-1 w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+              ${THEMES.map(theme => `
+                <option value="${theme}" ${theme === settings.theme ? 'selected' : ''}>${themeLabels[theme]}</option>
+              `).join('')}
+            </select>
+          </label>
+          <label class="block text-sm">
+            <span class="text-slate-600">Timezone</span>
+            <select name="timezone" class="mt-1 w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+              ${getTimezones(settings.timezone).map(timezone => `
+                <option value="${this.escapeHTML(timezone)}" ${timezone === settings.timezone ? 'selected' : ''}>${this.escapeHTML(timezone.replace(/_/g, ' '))}</option>
+              `).join('')}
+            </select>
+            <span class="block text-xs text-slate-500 mt-1">Used for every date and time shown, posting times and when your free analyses reset</span>
+          </label>
+        </div>
+
+        <fieldset>
+          <legend class="font-semibold text-slate-700 mb-3">Analysis depth</legend>
+          <div class="grid md:grid-cols-3 gap-4">
+            ${Object.entries(ANALYSIS_DEPTHS).map(([depth, config]) => `
+              <label class="flex items-start gap-3 p-3 rounded-lg border border-slate-200 text-sm">
+                <input name="analysisDepth" type="radio" value="${depth}" ${depth === settings.analysis_depth ? 'checked' : ''} class="mt-1">
+                <span>
+                  <span class="text-slate-700 font-medium">${config.label}</span>
+                  <span class="block text-slate-500">${config.description}</span>
+                </span>
+              </label>
+            `).join('')}
+          </div>
+          <p class="text-xs text-slate-500 mt-2">The score is the same at every depth. Applies to your next analysis.</p>
+        </fieldset>
+
+        <fieldset>
+          <legend class="font-semibold text-slate-700 mb-3">Preferred posting schedule</legend>
+          <div class="flex flex-wrap gap-4 mb-3">
+            ${SCHEDULE_DAYS.map(day => `
+              <label class="flex items-center gap-2 text-sm text-slate-700">
+                <input name="scheduleDays" type="checkbox" value="${day}" ${schedule.days?.includes(day) ? 'checked' : ''}>
+                ${dayLabels[day]}
+              </label>
+            `).join('')}
+          </div>
+          <label class="block text-sm md:w-1/2">
+            <span class="text-slate-600">Preferred hours</span>
+            <input name="scheduleHours" type="text" placeholder="e.g. 9, 13, 18" value="${(schedule.hours || []).join(', ')}"
+              class="mt-1 w-full p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+            <span class="block text-xs text-slate-500 mt-1">Hours from 0 to 23. Posting windows on these days and hours are ranked higher.</span>
+          </label>
+        </fieldset>
+
+        <fieldset class="space-y-3">
+          <legend class="font-semibold text-slate-700 mb-3">Notifications</legend>
+          ${checkbox('analysisReminders', settings.analysis_reminders, 'Analysis reminders',
+            'A reminder when you sign in on a day you haven\'t analyzed anything yet')}
+          ${checkbox('emailNotifications', settings.email_notifications, 'Product emails',
+            'We don\'t send product emails yet; this records whether you want them when we do')}
+        </fieldset>
+
+        <div class="flex items-center gap-4">
+          <button type="submit" class="saas-button text-white px-4 py-2 rounded-lg text-sm font-semibold">Save Settings</button>
+          <p id="settingsMessage" class="message hidden" role="status"></p>
+        </div>
+      </form>
+    `;
+  }
+
+  async saveSettings(form) {
+    const messageEl = document.getElementById('settingsMessage');
+    const user = this.state.currentUser;
+    if (!user || typeof dbHelpers === 'undefined') return;
+
+    const hours = form.elements.scheduleHours.value.split(/[\s,]+/).filter(Boolean);
+    const invalidHour = hours.find(hour => !/^\d{1,2}(:\d{2})?$/.test(hour) || parseInt(hour, 10) > 23);
+    if (invalidHour) {
+      this.showMessage(messageEl, `"${invalidHour}" isn't an hour from 0 to 23`, 'error');
+      return;
+    }
+
+    const previous = this.getSettings();
+    const updates = {
+      theme: form.elements.theme.value,
+      timezone: form.elements.timezone.value,
+      analysis_depth: form.querySelector('input[name="analysisDepth"]:checked')?.value || previous.analysis_depth,
+      default_posting_schedule: normalizeSchedule({
+        days: [...form.querySelectorAll('input[name="scheduleDays"]:checked')].map(input => input.value),
+        hours
+      }),
+      analysis_reminders: form.elements.analysisReminders.checked,
+      email_notifications: form.elements.emailNotifications.checked
+    };
+
+    const submit = form.querySelector('button[type="submit"]');
+    if (submit) submit.disabled = true;
+
+    try {
+      const { data, error } = await dbHelpers.updateUserSettings(user.id, updates);
+      if (error) throw error;
+
+      this.state.userSettings = data;
+      this.applySettings();
+      // The daily free allowance resets at midnight in the saved timezone
+      if (this.getTimezone() !== previous.timezone) await this.loadQuota();
+
+      this.updateUI();
+      if (!document.getElementById('accountPage')?.classList.contains('hidden')) await this.renderAccountPage();
+
+      this.renderSettingsPanel();
+      this.showMessage(document.getElementById('settingsMessage'), 'Settings saved', 'success');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      this.showMessage(messageEl, this.getErrorMessage(error), 'error');
+    } finally {
+      if (submit) submit.disabled = false;
+    }
+  }
+
+  // === Prediction Accuracy Dashboard ===
+  showAccuracyDashboard() {
+    const accuracy = new PredictionAccuracy(
+      PredictionAccuracy.fromRows(this.state.performanceHistory)
+    ).analyze();
+
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'accuracyModalTitle');
+
+    const percent = value => value === null ? '—' : `${Math.round(value * 100)}%`;
+    const stat = (value, label, colorClass) => `
+      <div class="text-center p-3 ${colorClass} rounded">
+        <div class="text-2xl font-bold text-slate-800">${value}</div>
+        <div class="text-sm text-slate-600">${label}</div>
+      </div>
+    `;
+
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div class="p-6">
+          <div class="flex justify-between items-center mb-4">
+            <h3 id="accuracyModalTitle" class="text-xl font-bold text-slate-800">Prediction Accuracy</h3>
+            <button 
+              class="close-history-modal text-slate-500 hover:text-slate-700 text-2xl"
+              aria-label="Close modal"
+            >
+              &times;
+            </button>
+          </div>
+          
+          ${accuracy.count === 0 ? `
+            <p class="text-slate-600">
+              No results recorded yet. Open an analysis from your history and add its impressions,
+              likes, retweets and replies once the tweet has been live for a day or two.
+            </p>
+          ` : `
+            <div class="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6">
+              ${stat(accuracy.count, 'Posts tracked', 'bg-slate-50')}
+              ${stat(percent(accuracy.engagementHitRate), 'Engagement level correct', 'bg-green-50')}
+              ${stat(percent(accuracy.reachHitRate), 'Reach level correct', 'bg-purple-50')}
+              ${stat(percent(accuracy.withinOneLevelRate), 'Engagement within one level', 'bg-green-50')}
+              ${stat(`±${accuracy.meanAbsoluteError}`, 'Avg. score error', 'bg-blue-50')}
+              ${stat(accuracy.correlation ?? '—', 'Score vs. engagement correlation', 'bg-blue-50')}
+            </div>
+            
+            ${accuracy.bias !== 0 ? `
+              <p class="text-sm text-slate-600 mb-6">
+                Predictions run ${Math.abs(accuracy.bias)} points ${accuracy.bias > 0 ? 'higher' : 'lower'} than how your
+                posts actually ranked.
+              </p>
+            ` : ''}
+            
+            <h4 class="font-semibold text-slate-700 mb-2">Over Time</h4>
+            <table class="w-full text-sm mb-6">
+              <thead class="text-left text-slate-500">
+                <tr><th class="py-1">Month</th><th>Posts</th><th>Predicted</th><th>Actual</th><th>Level hit rate</th></tr>
+              </thead>
+              <tbody>
+                ${accuracy.timeline.map(period => `
+                  <tr class="border-t border-slate-200">
+                    <td class="py-2">${period.period}</td>
+                    <td>${period.count}</td>
+                    <td>${period.avgPredicted}</td>
+                    <td>${period.avgActual}</td>
+                    <td>
+                      <div class="flex items-center gap-2">
+                        <div class="live-score-track flex-1"><div class="live-score-bar live-score-high" style="width: ${Math.round(period.engagementHitRate * 100)}%"></div></div>
+                        <span>${percent(period.engagementHitRate)}</span>
+                      </div>
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+            
+            <h4 class="font-semibold text-slate-700 mb-2">Recent Posts</h4>
+            <table class="w-full text-sm">
+              <thead class="text-left text-slate-500">
+                <tr><th class="py-1">Tweet</th><th>Score</th><th>Engagement</th><th>Reach</th></tr>
+              </thead>
+              <tbody>
+                ${accuracy.records.slice(0, 10).map(record => `
+                  <tr class="border-t border-slate-200 align-top">
+                    <td class="py-2 pr-2">${this.escapeHTML(record.tweetContent.length > 60 ? `${record.tweetContent.slice(0, 60)}...` : record.tweetContent)}</td>
+                    <td class="py-2">${record.predictedScore} → ${record.actualScore}</td>
+                    <td class="py-2 ${record.engagementMiss === 0 ? 'text-green-600' : 'text-red-600'}">${record.predictedEngagement} → ${record.actualEngagement}</td>
+                    <td class="py-2 ${record.reachMiss === 0 ? 'text-green-600' : 'text-red-600'}">${record.predictedReach} → ${record.actualReach}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+            <p class="text-xs text-slate-500 mt-4">
+              Actual score is where the post's engagement rate ranks among your tracked posts. Actual reach
+              compares impressions with your median of ${Math.round(accuracy.medianImpressions).toLocaleString()}.
+            </p>
+          `}
+          
+          ${this.getModelCalibrationHTML(accuracy)}
+        </div>
+      </div>
+    `;
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.closeHistoryModal(modal);
+    });
+    modal.querySelector('.close-history-modal').addEventListener('click', () => this.closeHistoryModal(modal));
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closeHistoryModal(modal);
+    });
+    modal.querySelector('.calibrate-model')?.addEventListener('click', () => this.calibrateModel(accuracy, modal));
+    modal.querySelector('.reset-model')?.addEventListener('click', () => this.resetModel(modal));
+
+    document.body.appendChild(modal);
+    modal.querySelector('.close-history-modal')?.focus();
+  }
+
+  // === Enhanced Form Handlers ===
+  getLoginCredentials() {
+    return {
+      email: document.getElementById('loginEmail')?.value?.trim() || '',
+      password: document.getElementById('loginPassword')?.value || ''
+    };
+  }
+
+  getRegistrationData() {
+    return {
+      name: document.getElementById('registerName')?.value?.trim() || '',
+      email: document.getElementById('registerEmail')?.value?.trim() || '',
+      password: document.getElementById('registerPassword')?.value || '',
+      confirmPassword: document.getElementById('confirmPassword')?.value || ''
+    };
+  }
+
+  // === Enhanced Utility Methods ===
+  isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  }
+
+  debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+      const later = () => {
+        clearTimeout(timeout);
+        func(...args);
+      };
+      clearTimeout(timeout);
+      timeout = setTimeout(later, wait);
+    };
+  }
+
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // === UI Helper Methods ===
+  showLoading(spinnerId, textId, loadingText) {
+    const spinner = document.getElementById(spinnerId);
+    const text = document.getElementById(textId);
+    const button = spinner?.closest('button');
+    
+    if (spinner) spinner.classList.remove('hidden');
+    if (text) text.textContent = loadingText;
+    if (button) button.disabled = true;
+  }
+
+  hideLoading(spinnerId, textId, originalText) {
+    const spinner = document.getElementById(spinnerId);
+    const text = document.getElementById(textId);
+    const button = spinner?.closest('button');
+    
+    if (spinner) spinner.classList.add('hidden');
+    if (text) text.textContent = originalText;
+    if (button) button.disabled = false;
+  }
+
+  showMessage(element, message, type = 'info') {
+    if (!element) {
+      // Create a toast notification if no specific element
+      this.showToast(message, type);
+      return;
+    }
+    
+    element.textContent = message;
+    element.className = `message ${type === 'error' ? 'text-red-600' : type === 'success' ? 'text-green-600' : 'text-blue-600'}`;
+    element.classList.remove('hidden');
+    
+    // Auto-hide success messages
+    if (type === 'success') {
+      setTimeout(() => {
+        element.classList.add('hidden');
+      }, 5000);
+    }
+  }
+
+  showToast(message, type = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `fixed top-4 right-4 z-50 p-4 rounded-lg shadow-lg max-w-sm ${
+      type === 'error' ? 'bg-red-100 text-red-800 border border-red-200' :
+      type === 'success' ? 'bg-green-100 text-green-800 border border-green-200' :
+      'bg-blue-100 text-blue-800 border border-blue-200'
+    }`;
+    toast.textContent = message;
+    
+    document.body.appendChild(toast);
+    
+    // Auto-remove after 5 seconds
+    setTimeout(() => {
+      toast.remove();
+    }, 5000);
+  }
+
+  toggleElement(element, show) {
+    if (!element) return;
+    element.style.display = show ? 'block' : 'none';
+  }
+
+  // === Event Listeners Setup ===
+  cacheElements() {
+    this.elements = {
+      tweetInput: document.getElementById('tweetInput'),
+      analyzeBtn: document.getElementById('analyzeBtn'),
+      results: document.getElementById('resultsSection'),
+      userInfo: document.getElementById('userInfo'),
+      signInHeader: document.getElementById('signInHeader'),
+      userDisplay: document.getElementById('userDisplay'),
+      usageCount: document.getElementById('usageCount'),
+      charCount: document.getElementById('charCount'),
+      tweetPreview: document.getElementById('tweetPreview'),
+      previewName: document.getElementById('previewName'),
+      previewHandle: document.getElementById('previewHandle'),
+      historySection: document.getElementById('historySection'),
+      protectedWrapper: document.getElementById('protectedWrapper'),
+      accessOverlay: document.getElementById('accessOverlay'),
+      authModal: document.getElementById('authModal')
+    };
+  }
+
+  setupEventListeners() {
+    // Authentication modal events
+    this.addEventListener('showLogin', () => this.showAuthModal('login'));
+    this.addEventListener('showRegister', () => this.showAuthModal('register'));
+    this.addEventListener('closeAuthModal', () => this.hideAuthModal());
+    
+    // Form submission events
+    this.addEventListener('submitLogin', (e) => {
+      e.preventDefault();
+      this.handleLogin();
+    });
+    
+    this.addEventListener('submitRegister', (e) => {
+      e.preventDefault();
+      this.handleRegister();
+    });
+    
+    // Tweet analysis
+    this.addEventListener('analyzeTweet', () => this.analyzeTweet());
+    
+    // Thread composer
+    this.addEventListener('analyzeThread', () => this.analyzeThread());
+    this.addEventListener('addThreadTweet', () => this.addThreadTweet());
+    this.addEventListener('splitThread', () => this.splitThreadSource());
+    
+    // Compare mode
+    this.addEventListener('analyzeVariants', () => this.analyzeVariants());
+    this.addEventListener('addVariant', () => this.addVariant());
+    this.setupComposerModes();
+    this.setupThreadComposer();
+    this.setupCompareComposer();
+    
+    // Bulk upload
+    this.addEventListener('startBulkAnalysis', () => this.startBulkAnalysis());
+    this.addEventListener('cancelBulkAnalysis', () => { this.state.bulk.cancelled = true; });
+    this.addEventListener('exportBulkResults', () => this.exportBulkResults());
+    this.setupBulkComposer();
+    
+    // Drafts
+    this.addEventListener('saveDraft', () => this.saveDraft());
+    this.addEventListener('showDrafts', () => this.showDrafts());
+    
+    // Tweet preview "Show more" / "Show less"
+    this.elements.tweetPreview?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-preview-toggle]')) {
+        this.state.previewExpanded = !this.state.previewExpanded;
+        this.updateTweetPreview();
+      }
+    });
+    
+    // Prediction accuracy dashboard
+    this.addEventListener('showAccuracyDashboard', () => this.showAccuracyDashboard());
+    
+    // History browser
+    this.addEventListener('openHistoryBrowser', () => this.openHistoryBrowser());
+    this.addEventListener('closeHistoryBrowser', () => this.closeHistoryBrowser());
+    this.addEventListener('loadMoreHistory', () => this.loadHistoryPage());
+    this.addEventListener('showExportDialog', () => this.showExportDialog());
+    this.setupHistoryBrowser();
+    
+    // Analytics dashboard
+    this.addEventListener('openAnalyticsDashboard', () => this.openAnalyticsDashboard());
+    this.addEventListener('closeAnalyticsDashboard', () => this.closeAnalyticsDashboard());
+    
+    // Account & billing
+    this.addEventListener('openAccountPage', () => this.openAccountPage());
+    this.addEventListener('closeAccountPage', () => this.closeAccountPage());
+    this.setupAccountPage();
+    
+    // Settings
+    this.addEventListener('openSettingsPanel', () => this.openSettingsPanel());
+    this.addEventListener('closeSettingsPanel', () => this.closeSettingsPanel());
+    this.setupSettingsPanel();
+    
+    // Pricing
+    this.addEventListener('purchasePack', () => this.startCheckout('pack'));
+    this.addEventListener('purchasePro', () => this.startCheckout('pro'));
+    
+    // Sign out
+    this.addEventListener('signOut', () => this.handleSignOut());
+    
+    // Tweet input character counter and live preview
+    if (this.elements.tweetInput) {
+      this.elements.tweetInput.addEventListener('input', this.updateCharacterCount.bind(this));
+      this.elements.tweetInput.addEventListener('input', this.updateTweetPreview.bind(this));
+      this.elements.tweetInput.addEventListener('input',
+        this.debounce(() => this.updateLivePreview(), this.config.livePreviewDelay));
+    }
+    
+    // Restore and autosave the composer; after the input listeners so a
+    // restored tweet updates the counter and previews
+    this.setupDraftAutoSave();
+    
+    // Setup password strength indicator
+    this.setupPasswordStrengthIndicator();
+    
+    // Setup form switching
+    this.setupFormSwitching();
+    
+    // Setup modal outside click
+    this.setupModalHandlers();
+  }
+
+  addEventListener(eventName, handler) {
+    const element = document.querySelector(`[data-action="${eventName}"]`);
+    if (element) {
+      element.addEventListener('click', handler);
+      this.eventHandlers.set(eventName, { element, handler });
+    }
+  }
+
+  setupFormSwitching() {
+    const switchToRegister = document.getElementById('switchToRegister');
+    const switchToLogin = document.getElementById('switchToLogin');
+    
+    if (switchToRegister) {
+      switchToRegister.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.switchAuthForm('register');
+      });
+    }
+    
+    if (switchToLogin) {
+      switchToLogin.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.switchAuthForm('login');
+      });
+    }
+  }
+
+  setupModalHandlers() {
+    const modal = document.getElementById('authModal');
+    if (!modal) return;
+
+    // Close on outside click
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hideAuthModal();
+      }
+    });
+
+    // Close on escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+        this.hideAuthModal();
+      }
+    });
+  }
+
+  // === Modal Management ===
+  showAuthModal(type = 'login') {
+    const modal = document.getElementById('authModal');
+    if (!modal) return;
+
+    this.switchAuthForm(type);
+    modal.classList.remove('hidden');
+    
+    // Focus management
+    const firstInput = modal.querySelector('input:not([type="hidden"])');
+    if (firstInput) {
+      setTimeout(() => firstInput.focus(), 100);
+    }
+    
+    // Start auto-save
+    this.formAutoSave.startAutoSave();
+  }
+
+  hideAuthModal() {
+    const modal = document.getElementById('authModal');
+    if (!modal) return;
+
+    modal.classList.add('hidden');
+    this.clearFormMessages();
+    
+    // Stop auto-save
+    this.formAutoSave.stopAutoSave();
+  }
+
+  switchAuthForm(type) {
+    const loginForm = document.getElementById('loginForm');
+    const registerForm = document.getElementById('registerForm');
+    const modalTitle = document.getElementById('authModalTitle');
+    
+    if (type === 'register') {
+      loginForm?.classList.add('hidden');
+      registerForm?.classList.remove('hidden');
+      if (modalTitle) modalTitle.textContent = 'Create Account';
+    } else {
+      registerForm?.classList.add('hidden');
+      loginForm?.classList.remove('hidden');
+      if (modalTitle) modalTitle.textContent = 'Sign In';
+    }
+    
+    this.clearFormMessages();
+  }
+
+  clearFormMessages() {
+    const messages = document.querySelectorAll('#loginMessage, #registerMessage');
+    messages.forEach(msg => {
+      msg.classList.add('hidden');
+      msg.textContent = '';
+    });
+  }
+
+  // === Composer Modes ===
+  setupComposerModes() {
+    document.querySelectorAll('.composer-mode-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.switchComposerMode(tab.dataset.mode));
+    });
+  }
+
+  switchComposerMode(mode) {
+    this.state.composerMode = mode;
+
+    document.querySelectorAll('.composer-mode-tab').forEach(tab => {
+      const isActive = tab.dataset.mode === mode;
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-selected', String(isActive));
+    });
+
+    document.querySelectorAll('[data-mode-panel]').forEach(panel => {
+      panel.classList.toggle('hidden', panel.dataset.modePanel !== mode);
+    });
+  }
+
+  // === Thread Composer ===
+  setupThreadComposer() {
+    const container = document.getElementById('threadTweets');
+    if (!container) return;
+
+    container.addEventListener('input', (e) => {
+      const index = e.target.dataset.threadIndex;
+      if (index === undefined) return;
+      this.state.threadTweets[Number(index)] = e.target.value;
+      this.updateThreadCounters();
+    });
+
+    container.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-remove-index]');
+      if (removeBtn) {
+        this.removeThreadTweet(Number(removeBtn.dataset.removeIndex));
+      }
+    });
+
+    this.renderThreadEditors();
+  }
+
+  renderThreadEditors() {
+    const container = document.getElementById('threadTweets');
+    if (!container) return;
+
+    container.innerHTML = this.state.threadTweets.map((tweet, index) => `
+      <div class="thread-tweet">
+        <div class="thread-tweet-number">${index + 1}</div>
+        <textarea 
+          data-thread-index="${index}" 
+          placeholder="${index === 0 ? 'Start with a strong hook...' : 'Continue the thread...'}" 
+          class="w-full h-24 p-3 bg-slate-50 border border-slate-300 text-slate-900 rounded-lg resize-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          aria-label="Thread tweet ${index + 1}"
+        >${this.escapeHTML(tweet)}</textarea>
+        <div class="flex justify-between items-center mt-1">
+          <button 
+            data-remove-index="${index}" 
+            class="text-sm text-slate-400 hover:text-red-600 ${this.state.threadTweets.length <= 2 ? 'invisible' : ''}"
+            aria-label="Remove tweet ${index + 1}"
+          >
+            <i class="fas fa-trash"></i>
+          </button>
+          <span data-thread-count="${index}" class="text-sm text-slate-500">0/${this.config.maxTweetLength}</span>
+        </div>
+      </div>
+    `).join('');
+
+    this.updateThreadCounters();
+  }
+
+  updateThreadCounters() {
+    let allValid = true;
+    let filled = 0;
+
+    this.state.threadTweets.forEach((tweet, index) => {
+      const counter = document.querySelector(`[data-thread-count="${index}"]`);
+      const parsed = parseTweet(tweet);
+      const over = parsed.weightedLength > this.config.maxTweetLength;
+
+      if (tweet.trim()) filled += 1;
+      if (tweet.trim() && !parsed.valid) allValid = false;
+
+      if (counter) {
+        counter.textContent = `${parsed.weightedLength}/${this.config.maxTweetLength}`;
+        counter.className = over ? 'text-sm text-red-600 font-semibold' : 'text-sm text-slate-500';
+      }
+    });
+
+    const analyzeBtn = document.getElementById('analyzeThreadBtn');
+    if (analyzeBtn) {
+      analyzeBtn.disabled = filled < 2 || !allValid || this.state.isAnalyzing;
+    }
+  }
+
+  addThreadTweet() {
+    this.state.threadTweets.push('');
+    this.renderThreadEditors();
+
+    const inputs = document.querySelectorAll('[data-thread-index]');
+    inputs[inputs.length - 1]?.focus();
+  }
+
+  removeThreadTweet(index) {
+    if (this.state.threadTweets.length <= 2) return;
+    this.state.threadTweets.splice(index, 1);
+    this.renderThreadEditors();
+  }
+
+  splitThreadSource() {
+    const source = document.getElementById('threadSource');
+    const text = source?.value?.trim();
+    if (!text) {
+      this.showMessage(null, 'Paste some text to split first', 'error');
+      return;
+    }
+
+    const parts = splitIntoThread(text);
+    this.state.threadTweets = parts.length >= 2 ? parts : [...parts, ''];
+    this.renderThreadEditors();
+    this.showMessage(null, `Split into ${parts.length} tweet${parts.length > 1 ? 's' : ''}`, 'success');
+  }
+
+  // === Compare Composer ===
+  setupCompareComposer() {
+    const container = document.getElementById('compareVariants');
+    if (!container) return;
+
+    container.addEventListener('input', (e) => {
+      const index = e.target.dataset.variantIndex;
+      if (index === undefined) return;
+      this.state.compareVariants[Number(index)] = e.target.value;
+      this.updateVariantCounters();
+    });
+
+    container.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-remove-variant]');
+      if (removeBtn) {
+        this.removeVariant(Number(removeBtn.dataset.removeVariant));
+      }
+    });
+
+    this.renderVariantEditors();
+  }
+
+  renderVariantEditors() {
+    const container = document.getElementById('compareVariants');
+    if (!container) return;
+
+    const canRemove = this.state.compareVariants.length > MIN_VARIANTS;
+    container.innerHTML = this.state.compareVariants.map((variant, index) => `
+      <div>
+        <div class="flex justify-between items-center mb-1">
+          <label class="text-sm font-medium text-slate-700">${VariantComparator.getLabel(index)}${index === 0 ? ' (baseline)' : ''}</label>
+          <button 
+            data-remove-variant="${index}" 
+            class="text-sm text-slate-400 hover:text-red-600 ${canRemove ? '' : 'invisible'}"
+            aria-label="Remove ${VariantComparator.getLabel(index)}"
+          >
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+        <textarea 
+          data-variant-index="${index}" 
+          class="w-full h-24 p-3 bg-slate-50 border border-slate-300 text-slate-900 rounded-lg resize-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          aria-label="${VariantComparator.getLabel(index)}"
+        >${this.escapeHTML(variant)}</textarea>
+        <div class="text-right">
+          <span data-variant-count="${index}" class="text-sm text-slate-500">0/${this.config.maxTweetLength}</span>
+        </div>
+      </div>
+    `).join('');
+
+    const addBtn = document.querySelector('[data-action="addVariant"]');
+    if (addBtn) addBtn.classList.toggle('hidden', this.state.compareVariants.length >= MAX_VARIANTS);
+
+    this.updateVariantCounters();
+  }
+
+  updateVariantCounters() {
+    let allValid = true;
+    let filled = 0;
+
+    this.state.compareVariants.forEach((variant, index) => {
+      const counter = document.querySelector(`[data-variant-count="${index}"]`);
+      const parsed = parseTweet(variant);
+
+      if (variant.trim()) filled += 1;
+      if (variant.trim() && !parsed.valid) allValid = false;
+
+      if (counter) {
+        counter.textContent = `${parsed.weightedLength}/${this.config.maxTweetLength}`;
+        counter.className = parsed.weightedLength > this.config.maxTweetLength
+          ? 'text-sm text-red-600 font-semibold'
+          : 'text-sm text-slate-500';
+      }
+    });
+
+    const compareBtn = document.getElementById('compareBtn');
+    if (compareBtn) {
+      compareBtn.disabled = filled < MIN_VARIANTS || !allValid || this.state.isAnalyzing;
+    }
+  }
+
+  addVariant() {
+    if (this.state.compareVariants.length >= MAX_VARIANTS) return;
+    this.state.compareVariants.push('');
+    this.renderVariantEditors();
+
+    const inputs = document.querySelectorAll('[data-variant-index]');
+    inputs[inputs.length - 1]?.focus();
+  }
+
+  removeVariant(index) {
+    if (this.state.compareVariants.length <= MIN_VARIANTS) return;
+    this.state.compareVariants.splice(index, 1);
+    this.renderVariantEditors();
+  }
+
+  // === Drafts ===
+  // Signed-in users' drafts sync to tweet_drafts; otherwise they stay in
+  // localStorage. Both stores return { data, error } like dbHelpers.
+  getDraftStore() {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return this.localDrafts;
+
+    const userId = this.state.currentUser.id;
+    return {
+      list: () => dbHelpers.getDrafts(userId),
+      save: draft => dbHelpers.saveDraft(userId, draft),
+      remove: draftId => dbHelpers.deleteDraft(userId, draftId)
+    };
+  }
+
+  setupDraftAutoSave() {
+    const input = this.elements.tweetInput;
+    if (!input) return;
+
+    const saved = composerAutoSave.load();
+    if (saved?.content && !input.value) {
+      input.value = saved.content;
+      this.state.drafts.currentId = saved.draftId;
+      input.dispatchEvent(new Event('input'));
+      this.setDraftStatus(`Restored unsaved text from ${this.formatDateTime(saved.savedAt)}`);
+    }
+
+    input.addEventListener('input', this.debounce(() => {
+      composerAutoSave.save(input.value, this.state.drafts.currentId);
+    }, 1000));
+  }
+
+  // The autosave lives in localStorage for the whole browser, so an unsent
+  // tweet must not outlast the session that wrote it
+  clearComposer() {
+    const input = this.elements.tweetInput;
+    if (input) {
+      input.value = '';
+      // Lets the composer's listeners, including the pending autosave, see the empty text
+      input.dispatchEvent(new Event('input'));
+    }
+    composerAutoSave.save('');
+    this.setDraftStatus('');
+  }
+
+  setDraftStatus(message) {
+    const status = document.getElementById('draftStatus');
+    if (status) status.textContent = message;
+  }
+
+  async loadDrafts() {
+    try {
+      await this.syncLocalDrafts();
+
+      const { data, error } = await this.getDraftStore().list();
+      if (error) throw error;
+      this.state.drafts.items = data || [];
+
+      const current = this.getCurrentDraft();
+      const nameInput = document.getElementById('draftName');
+      if (current && nameInput && !nameInput.value) nameInput.value = current.name;
+    } catch (error) {
+      console.error('Error loading drafts:', error);
+    }
+  }
+
+  // Moves drafts written while signed out into the user's account
+  async syncLocalDrafts() {
+    if (!this.state.currentUser || typeof dbHelpers === 'undefined') return;
+
+    const { data: localDrafts } = await this.localDrafts.list();
+    if (!localDrafts.length) return;
+
+    const results = await Promise.all(localDrafts.map(draft => dbHelpers.saveDraft(this.state.currentUser.id, draft)));
+    const failed = results.filter(result => result.error);
+    if (failed.length) {
+      console.error('Could not sync some local drafts:', failed[0].error);
+      return;
+    }
+
+    this.localDrafts.clear();
+    this.showMessage(null, `Moved ${localDrafts.length} draft${localDrafts.length > 1 ? 's' : ''} into your account`, 'success');
+  }
+
+  getCurrentDraft() {
+    return this.state.drafts.items.find(draft => draft.id === this.state.drafts.currentId) || null;
+  }
+
+  // Free provisional score used for version history; no credit is spent
+  getProvisionalScore(content) {
+    try {
+      return new TweetAnalyzer(content, this.getAnalyzerOptions()).preview().score;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async saveDraft() {
+    const content = this.elements.tweetInput?.value?.trim() || '';
+    if (!content) {
+      this.showMessage(null, 'Write something before saving a draft', 'error');
+      return;
+    }
+
+    const nameInput = document.getElementById('draftName');
+    const name = nameInput?.value?.trim() || content.split('\n')[0].slice(0, 40);
+    const score = this.getProvisionalScore(content);
+    const current = this.getCurrentDraft();
+    const draft = current
+      ? { ...addVersion(current, content, score), name }
+      : createDraft(name, content, score);
+
+    try {
+      const { data, error } = await this.getDraftStore().save(draft);
+      if (error) throw error;
+
+      this.state.drafts.items = [data, ...this.state.drafts.items.filter(item => item.id !== data.id)];
+      this.state.drafts.currentId = data.id;
+      if (nameInput) nameInput.value = data.name;
+      composerAutoSave.save(content, data.id);
+
+      this.setDraftStatus(`Saved "${data.name}" (version ${data.versions.length})`);
+    } catch (error) {
+      this.handleError('Could not save draft', error);
+    }
+  }
+
+  openDraft(draft, content = draft.content) {
+    const input = this.elements.tweetInput;
+    if (!input) return;
+
+    this.switchComposerMode('single');
+    this.state.drafts.currentId = draft.id;
+    input.value = content;
+    input.dispatchEvent(new Event('input'));
+    const nameInput = document.getElementById('draftName');
+    if (nameInput) nameInput.value = draft.name;
+
+    composerAutoSave.save(content, draft.id);
+    this.setDraftStatus(content === draft.content
+      ? `Editing "${draft.name}"`
+      : `Restored an earlier version of "${draft.name}"; save to keep it`);
+    input.focus();
+  }
+
+  startNewDraft() {
+    const input = this.elements.tweetInput;
+    this.state.drafts.currentId = null;
+    if (input) {
+      input.value = '';
+      input.dispatchEvent(new Event('input'));
+    }
+    const nameInput = document.getElementById('draftName');
+    if (nameInput) nameInput.value = '';
+
+    composerAutoSave.save('');
+    this.setDraftStatus('');
+  }
+
+  async deleteDraft(draft) {
+    if (!window.confirm(`Delete "${draft.name}" and its version history?`)) return false;
+
+    try {
+      const { error } = await this.getDraftStore().remove(draft.id);
+      if (error) throw error;
+
+      this.state.drafts.items = this.state.drafts.items.filter(item => item.id !== draft.id);
+      if (this.state.drafts.currentId === draft.id) {
+        this.state.drafts.currentId = null;
+        this.setDraftStatus('');
+      }
+      return true;
+    } catch (error) {
+      this.handleError('Could not delete draft', error);
+      return false;
+    }
+  }
+
+  createDraftModal(titleId, title, bodyHTML) {
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', titleId);
+
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div class="p-6">
+          <div class="flex justify-between items-center mb-4">
+            <h3 id="${titleId}" class="text-xl font-bold text-slate-800">${title}</h3>
+            <button 
+              class="close-history-modal text-slate-500 hover:text-slate-700 text-2xl"
+              aria-label="Close modal"
+            >
+              &times;
+            </button>
+          </div>
+          ${bodyHTML}
+        </div>
+      </div>
+    `;
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.closeHistoryModal(modal);
+    });
+    modal.querySelector('.close-history-modal').addEventListener('click', () => this.closeHistoryModal(modal));
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closeHistoryModal(modal);
+    });
+
+    document.body.appendChild(modal);
+    modal.querySelector('.close-history-modal')?.focus();
+    return modal;
+  }
+
+  async showDrafts() {
+    await this.loadDrafts();
+
+    const drafts = this.state.drafts.items;
+    const modal = this.createDraftModal('draftsModalTitle', 'Drafts', `
+      <div class="flex justify-between items-center mb-4">
+        <p class="text-sm text-slate-600">
+          ${this.state.currentUser ? 'Synced to your account.' : 'Stored in this browser until you sign in.'}
+        </p>
+        <button class="new-draft text-blue-600 hover:text-blue-800 text-sm font-medium">
+          <i class="fas fa-plus mr-1"></i>New draft
+        </button>
+      </div>
+      ${drafts.length ? `
+        <ul class="space-y-3">
+          ${drafts.map(draft => {
+            const latest = draft.versions?.[draft.versions.length - 1];
+            return `
+              <li class="border border-slate-200 rounded-lg p-4 ${draft.id === this.state.drafts.currentId ? 'bg-blue-50' : ''}" data-draft-id="${this.escapeHTML(draft.id)}">
+                <div class="flex justify-between items-start gap-4">
+                  <div class="min-w-0">
+                    <div class="font-semibold text-slate-800">${this.escapeHTML(draft.name)}</div>
+                    <div class="text-sm text-slate-600 truncate">${this.escapeHTML(draft.content)}</div>
+                    <div class="text-xs text-slate-500 mt-1">
+                      Updated ${this.formatDateTime(draft.updated_at)} ·
+                      ${draft.versions?.length || 0} version${draft.versions?.length === 1 ? '' : 's'}
+                      ${Number.isFinite(latest?.score) ? ` · Score ${latest.score}` : ''}
+                    </div>
+                  </div>
+                  <div class="flex space-x-3 text-sm whitespace-nowrap">
+                    <button class="open-draft text-blue-600 hover:text-blue-800 font-medium">Open</button>
+                    <button class="draft-history text-blue-600 hover:text-blue-800 font-medium">History</button>
+                    <button class="delete-draft text-red-600 hover:text-red-800 font-medium">Delete</button>
+                  </div>
+                </div>
+              </li>
+            `;
+          }).join('')}
+        </ul>
+      ` : '<p class="text-slate-600">No drafts yet. Write a tweet and click Save Draft.</p>'}
+    `);
+
+    modal.querySelector('.new-draft').addEventListener('click', () => {
+      this.startNewDraft();
+      this.closeHistoryModal(modal);
+    });
+    modal.querySelectorAll('[data-draft-id]').forEach(item => {
+      const draft = drafts.find(entry => entry.id === item.dataset.draftId);
+      item.querySelector('.open-draft').addEventListener('click', () => {
+        this.openDraft(draft);
+        this.closeHistoryModal(modal);
+      });
+      item.querySelector('.draft-history').addEventListener('click', () => {
+        this.closeHistoryModal(modal);
+        this.showDraftHistory(draft);
+      });
+      item.querySelector('.delete-draft').addEventListener('click', async () => {
+        if (await this.deleteDraft(draft)) item.remove();
+      });
+    });
+  }
+
+  showDraftHistory(draft) {
+    const history = getVersionHistory(draft);
+    const diffHTML = (before, after) => diffWords(before, after).map(op => {
+      const text = this.escapeHTML(op.text);
+      if (op.type === 'added') return `<ins class="diff-added no-underline">${text}</ins>`;
+      if (op.type === 'removed') return `<del class="diff-removed">${text}</del>`;
+      return text;
+    }).join('');
+
+    const modal = this.createDraftModal('draftHistoryModalTitle', `History of "${this.escapeHTML(draft.name)}"`, `
+      <ol class="space-y-4">
+        ${history.map(version => `
+          <li class="border border-slate-200 rounded-lg p-4" data-version="${version.number}">
+            <div class="flex justify-between items-center mb-2 text-sm">
+              <span class="font-semibold text-slate-700">
+                Version ${version.number}
+                <span class="font-normal text-slate-500">· ${this.formatDateTime(version.savedAt)}</span>
+              </span>
+              <span>
+                Score ${version.score ?? '—'}
+                ${version.scoreDelta === null ? '' : `
+                  <span class="${version.scoreDelta > 0 ? 'text-green-600' : version.scoreDelta < 0 ? 'text-red-600' : 'text-slate-500'}">
+                    (${version.scoreDelta > 0 ? '+' : ''}${version.scoreDelta})
+                  </span>
+                `}
+              </span>
+            </div>
+            <div class="text-sm text-slate-800 whitespace-pre-wrap">
+              ${version.previous ? diffHTML(version.previous.content, version.content) : this.escapeHTML(version.content)}
+            </div>
+            <button class="restore-version mt-2 text-blue-600 hover:text-blue-800 text-sm font-medium">Restore this version</button>
+          </li>
+        `).join('')}
+      </ol>
+      <p class="text-xs text-slate-500 mt-4">Scores are provisional previews and used no credits. Changes are shown against the previous version.</p>
+    `);
+
+    modal.querySelectorAll('[data-version]').forEach(item => {
+      const version = history.find(entry => entry.number === Number(item.dataset.version));
+      item.querySelector('.restore-version').addEventListener('click', () => {
+        this.openDraft(draft, version.content);
+        this.closeHistoryModal(modal);
+      });
     });
-    
-    this.addEventListener('submitRegister', (e) => {
-      e.preventDefault();
-      this.handleRegister();
+  }
+
+  // === Bulk Composer ===
+  setupBulkComposer() {
+    document.getElementById('bulkFile')?.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      if (file) this.loadBulkFile(file);
+    });
+
+    document.getElementById('bulkResultsTable')?.addEventListener('click', (e) => {
+      const header = e.target.closest('[data-sort-key]');
+      if (!header) return;
+
+      const sort = this.state.bulk.sort;
+      sort.ascending = sort.key === header.dataset.sortKey ? !sort.ascending : true;
+      sort.key = header.dataset.sortKey;
+      this.renderBulkResults();
     });
-    
-    // Tweet analysis
-    this.addEventListener('analyzeTweet', () => this.analyzeTweet());
-    
-    // Sign out
-    this.addEventListener('signOut', () => this.handleSignOut());
-    
-    // Tweet input character counter
-    if (this.elements.tweetInput) {
-      this.elements.tweetInput.addEventListener('input', this.updateCharacterCount.bind(this));
-    }
-    
-    // Setup password strength indicator
-    this.setupPasswordStrengthIndicator();
-    
-    // Setup form switching
-    this.setupFormSwitching();
-    
-    // Setup modal outside click
-    this.setupModalHandlers();
   }
 
-  addEventListener(eventName, handler) {
-    const element = document.querySelector(`[data-action="${eventName}"]`);
-    if (element) {
-      element.addEventListener('click', handler);
-      this.eventHandlers.set(eventName, { element, handler });
+  async loadBulkFile(file) {
+    const bulk = this.state.bulk;
+    if (bulk.isRunning) return;
+
+    try {
+      const tweets = parseTweetFile(await file.text(), file.name);
+      bulk.items = tweets.map((content, index) => {
+        const parsed = parseTweet(content);
+        return {
+          index: index + 1,
+          content,
+          status: parsed.valid ? 'pending' : 'invalid',
+          message: parsed.valid ? '' : `${parsed.weightedLength - this.config.maxTweetLength} characters over the limit`,
+          analysis: null
+        };
+      });
+
+      await this.updateBulkSummary();
+      this.renderBulkResults();
+    } catch (error) {
+      this.handleError('Could not read file', error);
     }
   }
 
-  setupFormSwitching() {
-    const switchToRegister = document.getElementById('switchToRegister');
-    const switchToLogin = document.getElementById('switchToLogin');
-    
-    if (switchToRegister) {
-      switchToRegister.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.switchAuthForm('register');
-      });
+  // Tells the user up front how many of the batch their plan covers
+  async updateBulkSummary() {
+    const bulk = this.state.bulk;
+    const summary = document.getElementById('bulkSummary');
+    const startBtn = document.getElementById('bulkStartBtn');
+    const valid = bulk.items.filter(item => item.status === 'pending').length;
+    const invalid = bulk.items.length - valid;
+
+    bulk.affordable = 0;
+    let message = `Found ${bulk.items.length} tweets`;
+    if (invalid) message += `; ${invalid} over ${this.config.maxTweetLength} characters will be skipped`;
+    message += '. ';
+
+    if (!bulk.items.length) {
+      message = 'No tweets found in this file.';
+    } else if (!this.state.currentUser || typeof dbHelpers === 'undefined') {
+      message += 'Sign in to analyze them.';
+    } else {
+      const { remainingAnalyses, planType, error } = await dbHelpers.canPerformAnalysis(this.state.currentUser.id);
+      if (error) {
+        message += 'Could not check your remaining analyses.';
+      } else if (remainingAnalyses < 0) {
+        bulk.affordable = valid;
+        message += `Your Pro plan covers all ${valid}.`;
+      } else {
+        bulk.affordable = Math.min(valid, Math.max(0, remainingAnalyses));
+        const source = planType === 'free' ? 'analyses left today' : 'analyses left in your pack';
+        message += bulk.affordable < valid
+          ? `You have ${remainingAnalyses} ${source}, so only the first ${bulk.affordable} of ${valid} will be analyzed.`
+          : `You have ${remainingAnalyses} ${source}; this batch uses ${valid}.`;
+      }
     }
-    
-    if (switchToLogin) {
-      switchToLogin.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.switchAuthForm('login');
-      });
+
+    if (summary) summary.textContent = message;
+    if (startBtn) {
+      startBtn.textContent = bulk.affordable ? `Analyze ${bulk.affordable} Tweets` : 'Analyze Batch';
+      startBtn.disabled = bulk.affordable === 0;
     }
   }
 
-  setupModalHandlers() {
-    const modal = document.getElementById('authModal');
-    if (!modal) return;
+  async startBulkAnalysis() {
+    const bulk = this.state.bulk;
+    if (!this.state.currentUser) {
+      this.showAuthModal();
+      return;
+    }
+    if (bulk.isRunning) return;
 
-    // Close on outside click
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) {
-        this.hideAuthModal();
+    const queue = bulk.items.filter(item => item.status === 'pending');
+    if (!queue.length) return;
+
+    const batchId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    bulk.isRunning = true;
+    bulk.cancelled = false;
+    this.setBulkRunning(true);
+
+    let completed = 0;
+    try {
+      for (const item of queue) {
+        if (bulk.cancelled) break;
+
+        const analysis = new TweetAnalyzer(item.content, this.getAnalyzerOptions()).analyze();
+
+        // One credit per tweet; stop as soon as the plan runs out
+        const credit = await this.useAnalysisCredit();
+        if (!credit.allowed) {
+          queue.filter(rest => rest.status === 'pending').forEach(rest => {
+            rest.status = 'skipped';
+            rest.message = credit.message;
+          });
+          break;
+        }
+
+        try {
+          item.analysis = analysis;
+          const { error } = await this.saveAnalysisToDatabase(item.content, item.analysis, {
+            type: 'bulk',
+            batch: { id: batchId, index: item.index, size: bulk.items.length }
+          });
+          // The credit is already spent, so say so rather than dropping the result quietly
+          if (error) throw new Error('Analyzed, but not saved to your history. This used an analysis credit.');
+          item.status = 'done';
+        } catch (error) {
+          console.error('Bulk analysis failed for tweet', item.index, error);
+          item.status = 'failed';
+          item.message = error.message || 'Analysis failed';
+        }
+
+        completed += 1;
+        this.updateBulkProgress(completed, queue.length);
+        this.renderBulkResults();
+        // Let the browser paint between tweets
+        await new Promise(resolve => setTimeout(resolve, 0));
       }
-    });
 
-    // Close on escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
-        this.hideAuthModal();
+      if (bulk.cancelled) {
+        queue.filter(item => item.status === 'pending').forEach(item => {
+          item.status = 'skipped';
+          item.message = 'Stopped before this tweet';
+        });
+      }
+
+      const analyzed = queue.filter(item => item.status === 'done').length;
+      await this.loadUserProfile();
+      await this.loadAnalysisHistory();
+
+      if (analyzed) {
+        await dbHelpers.logUserAction(this.state.currentUser.id, 'analysis', {
+          mode: 'bulk',
+          tweet_count: analyzed
+        });
       }
+      const unsaved = queue.filter(item => item.status === 'failed').length;
+      this.showMessage(null, unsaved
+        ? `Analyzed ${analyzed} of ${bulk.items.length} tweets; ${unsaved} could not be saved to your history`
+        : `Analyzed ${analyzed} of ${bulk.items.length} tweets`, unsaved ? 'error' : 'success');
+    } finally {
+      bulk.isRunning = false;
+      this.setBulkRunning(false);
+      this.renderBulkResults();
+      this.updateUI();
+    }
+  }
+
+  setBulkRunning(isRunning) {
+    const startBtn = document.getElementById('bulkStartBtn');
+    if (startBtn) startBtn.disabled = isRunning || this.state.bulk.affordable === 0;
+    document.getElementById('bulkCancelBtn')?.classList.toggle('hidden', !isRunning);
+    document.getElementById('bulkFile')?.toggleAttribute('disabled', isRunning);
+
+    if (isRunning) this.updateBulkProgress(0, this.state.bulk.items.filter(item => item.status === 'pending').length);
+  }
+
+  updateBulkProgress(completed, total) {
+    const progress = document.getElementById('bulkProgress');
+    const bar = document.getElementById('bulkProgressBar');
+    const text = document.getElementById('bulkProgressText');
+    const percent = total ? Math.round(completed / total * 100) : 0;
+
+    progress?.classList.remove('hidden');
+    progress?.setAttribute('aria-valuenow', String(percent));
+    if (bar) bar.style.width = `${percent}%`;
+    if (text) text.textContent = `${completed} of ${total} analyzed`;
+  }
+
+  renderBulkResults() {
+    const bulk = this.state.bulk;
+    const table = document.getElementById('bulkResultsTable');
+    document.getElementById('bulkResults')?.classList.toggle('hidden', bulk.items.length === 0);
+    if (!table) return;
+
+    const levelOrder = {
+      Low: 0, Medium: 1, High: 2, 'Very High': 3,
+      Limited: 0, Moderate: 1, Good: 2, Excellent: 3
+    };
+    const sortValue = {
+      index: item => item.index,
+      content: item => item.content.toLowerCase(),
+      score: item => item.analysis?.score ?? -1,
+      engagement: item => levelOrder[item.analysis?.engagement] ?? -1,
+      reach: item => levelOrder[item.analysis?.reach] ?? -1,
+      status: item => item.status
+    };
+    const { key, ascending } = bulk.sort;
+    const sorted = [...bulk.items].sort((a, b) => {
+      const [x, y] = [sortValue[key](a), sortValue[key](b)];
+      return (x < y ? -1 : x > y ? 1 : 0) * (ascending ? 1 : -1);
     });
+
+    const statusLabels = {
+      pending: 'Waiting',
+      done: 'Analyzed',
+      invalid: 'Too long',
+      skipped: 'Skipped',
+      failed: 'Failed'
+    };
+    const header = (sortKey, label) => `
+      <th class="px-3 py-2 text-left">
+        <button data-sort-key="${sortKey}" class="font-semibold hover:text-blue-600">
+          ${label}${key === sortKey ? (ascending ? ' ▲' : ' ▼') : ''}
+        </button>
+      </th>
+    `;
+
+    table.innerHTML = `
+      <thead class="bg-slate-100">
+        <tr>
+          ${header('index', '#')}
+          ${header('content', 'Tweet')}
+          ${header('score', 'Score')}
+          ${header('engagement', 'Engagement')}
+          ${header('reach', 'Reach')}
+          <th class="px-3 py-2 text-left">Best time</th>
+          <th class="px-3 py-2 text-left">Top suggestion</th>
+          ${header('status', 'Status')}
+        </tr>
+      </thead>
+      <tbody>
+        ${sorted.map(item => `
+          <tr class="border-t border-slate-200 align-top">
+            <td class="px-3 py-2">${item.index}</td>
+            <td class="px-3 py-2 whitespace-pre-wrap">${this.escapeHTML(item.content)}</td>
+            <td class="px-3 py-2 font-semibold">${item.analysis?.score ?? '—'}</td>
+            <td class="px-3 py-2">${item.analysis?.engagement ?? '—'}</td>
+            <td class="px-3 py-2">${item.analysis?.reach ?? '—'}</td>
+            <td class="px-3 py-2">${this.escapeHTML(item.analysis?.optimalTime?.[0]?.label ?? '—')}</td>
+            <td class="px-3 py-2">${this.escapeHTML(item.analysis?.suggestions?.[0]?.message ?? '—')}</td>
+            <td class="px-3 py-2 ${item.status === 'done' ? 'text-green-600' : item.status === 'pending' ? 'text-slate-500' : 'text-red-600'}" title="${this.escapeHTML(item.message)}">
+              ${statusLabels[item.status]}
+              ${item.status === 'failed' && item.message ? `<span class="block text-xs">${this.escapeHTML(item.message)}</span>` : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    `;
   }
 
-  // === Modal Management ===
-  showAuthModal(type = 'login') {
-    const modal = document.getElementById('authModal');
-    if (!modal) return;
+  // Same columns as the history export so the files can be combined
+  exportBulkResults() {
+    const createdAt = new Date().toISOString();
+    const rows = this.state.bulk.items
+      .filter(item => item.analysis)
+      .map(item => ({
+        created_at: createdAt,
+        tweet_content: item.content,
+        overall_score: item.analysis.score,
+        engagement_level: item.analysis.engagement,
+        reach_level: item.analysis.reach,
+        analysis_version: TweetAnalyzer.version,
+        optimal_posting_time: item.analysis.optimalTime?.[0]?.label,
+        suggestions: item.analysis.suggestions,
+        analysis_metadata: { type: 'bulk' }
+      }));
+
+    if (!rows.length) {
+      this.showMessage(null, 'Nothing to export yet', 'error');
+      return;
+    }
 
-    this.switchAuthForm(type);
-    modal.classList.remove('hidden');
+    this.downloadFile(`bulk-analysis-${toZonedDayKey(createdAt, this.getTimezone())}.csv`, `\uFEFF${new HistoryExporter(rows).toCSV()}`, 'text/csv;charset=utf-8');
+  }
+
+  // === Tweet Input Management ===
+  // Uses Twitter's weighted length (URLs = 23, emoji = 2, CJK = 2) rather
+  // than String.length so the counter matches what Twitter will accept
+  updateCharacterCount() {
+    const input = this.elements.tweetInput;
+    const counter = this.elements.charCount;
     
-    // Focus management
-    const firstInput = modal.querySelector('input:not([type="hidden"])');
-    if (firstInput) {
-      setTimeout(() => firstInput.focus(), 100);
-    }
+    if (!input || !counter) return;
     
-    // Start auto-save
-    this.formAutoSave.startAutoSave();
+    const parsed = parseTweet(input.value);
+    const remaining = this.config.maxTweetLength - parsed.weightedLength;
+    
+    counter.textContent = `${parsed.weightedLength}/${this.config.maxTweetLength}`;
+    counter.className = remaining < 0 ? 'text-sm text-red-600 font-semibold' :
+                        remaining < 20 ? 'text-sm text-orange-600' : 'text-sm text-slate-500';
+    counter.setAttribute('aria-label', remaining < 0
+      ? `${-remaining} characters over the limit`
+      : `${remaining} characters remaining`);
+    
+    // Update analyze button state
+    if (this.elements.analyzeBtn) {
+      this.elements.analyzeBtn.disabled = !parsed.valid || this.state.isAnalyzing;
+    }
   }
 
-  hideAuthModal() {
-    const modal = document.getElementById('authModal');
-    if (!modal) return;
+  // Local-only feedback while typing: no credits, no database writes
+  updateLivePreview() {
+    const panel = document.getElementById('livePreview');
+    const input = this.elements.tweetInput;
+    if (!panel || !input) return;
 
-    modal.classList.add('hidden');
-    this.clearFormMessages();
-    
-    // Stop auto-save
-    this.formAutoSave.stopAutoSave();
+    const text = input.value;
+    if (!text.trim()) {
+      panel.classList.add('hidden');
+      return;
+    }
+
+    const parsed = parseTweet(text);
+    const overLimitFrom = parsed.weightedLength > this.config.maxTweetLength
+      ? parsed.validRangeEnd + 1
+      : text.length;
+
+    const highlight = document.getElementById('liveHighlight');
+    if (highlight) {
+      highlight.innerHTML = this.getHighlightedTweetHTML(text, overLimitFrom);
+    }
+
+    const preview = new TweetAnalyzer(text, this.getAnalyzerOptions()).preview();
+    const scoreBar = document.getElementById('liveScoreBar');
+    const scoreValue = document.getElementById('liveScoreValue');
+    const hints = document.getElementById('liveHints');
+
+    if (scoreBar) {
+      scoreBar.style.width = `${preview.score}%`;
+      scoreBar.className = `live-score-bar ${preview.score >= 70 ? 'live-score-high' : preview.score >= 50 ? 'live-score-medium' : 'live-score-low'}`;
+    }
+    if (scoreValue) {
+      scoreValue.textContent = `${preview.score}/100 · ${preview.engagement}`;
+    }
+    if (hints) {
+      const sorted = [...preview.breakdown].sort((a, b) => a.impact - b.impact);
+      const weakest = sorted.find(item => item.impact < 0);
+      const strongest = sorted.reverse().find(item => item.impact > 0);
+      hints.innerHTML = [
+        strongest ? `<span class="text-green-700">▲ ${this.escapeHTML(strongest.detail)}</span>` : '',
+        weakest ? `<span class="text-red-600">▼ ${this.escapeHTML(weakest.detail)}</span>` : ''
+      ].filter(Boolean).join('<br>');
+    }
+
+    panel.classList.remove('hidden');
   }
 
-  switchAuthForm(type) {
-    const loginForm = document.getElementById('loginForm');
-    const registerForm = document.getElementById('registerForm');
-    const modalTitle = document.getElementById('authModalTitle');
-    
-    if (type === 'register') {
-      loginForm?.classList.add('hidden');
-      registerForm?.classList.remove('hidden');
-      if (modalTitle) modalTitle.textContent = 'Create Account';
-    } else {
-      registerForm?.classList.add('hidden');
-      loginForm?.classList.remove('hidden');
-      if (modalTitle) modalTitle.textContent = 'Sign In';
+  // Wraps entities in highlight spans and marks everything past the
+  // character limit. Entities that straddle the limit are split in two.
+  getHighlightedTweetHTML(text, overLimitFrom = text.length) {
+    const boundaries = new Set([0, text.length, overLimitFrom]);
+    const entities = extractEntitiesWithIndices(text);
+    entities.forEach(({ indices }) => {
+      boundaries.add(indices[0]);
+      boundaries.add(indices[1]);
+    });
+
+    const points = [...boundaries].filter(point => point <= text.length).sort((a, b) => a - b);
+    let html = '';
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const [start, end] = [points[i], points[i + 1]];
+      if (start === end) continue;
+
+      let segment = this.escapeHTML(text.slice(start, end));
+      const entity = entities.find(({ indices }) => start >= indices[0] && end <= indices[1]);
+      if (entity) segment = `<span class="live-entity live-entity-${entity.type}">${segment}</span>`;
+      if (start >= overLimitFrom) segment = `<mark class="live-over-limit">${segment}</mark>`;
+      html += segment;
     }
-    
-    this.clearFormMessages();
+
+    return html;
   }
 
-  clearFormMessages() {
-    const messages = document.querySelectorAll('#loginMessage, #registerMessage');
-    messages.forEach(msg => {
-      msg.classList.add('hidden');
-      msg.textContent = '';
+  // === Tweet Preview ===
+  // Renders the tweet the way the timeline shows it: entities in link color,
+  // shortened display URLs, and a "Show more" cut at the 280-weight boundary
+  updateTweetPreview() {
+    const preview = this.elements.tweetPreview;
+    const input = this.elements.tweetInput;
+    if (!preview || !input) return;
+
+    const text = input.value;
+    if (!text.trim()) {
+      this.state.previewExpanded = false;
+      preview.innerHTML = `<span class="text-slate-400">What's happening?</span>`;
+      return;
+    }
+
+    const parsed = parseTweet(text);
+    const isTruncated = parsed.weightedLength > this.config.maxTweetLength;
+    let visibleText = text;
+
+    if (isTruncated && !this.state.previewExpanded) {
+      visibleText = text.slice(0, parsed.validRangeEnd + 1);
+      // Back up to the last word boundary so the cut doesn't split a word
+      const lastSpace = visibleText.search(/\s\S*$/);
+      if (lastSpace > 0) visibleText = visibleText.slice(0, lastSpace);
+    }
+
+    let html = this.getTweetEntitiesHTML(visibleText);
+    if (isTruncated) {
+      html += this.state.previewExpanded
+        ? ` <button type="button" data-preview-toggle class="tweet-show-more">Show less</button>`
+        : `… <button type="button" data-preview-toggle class="tweet-show-more">Show more</button>`;
+    }
+
+    preview.innerHTML = html;
+  }
+
+  getTweetEntitiesHTML(text) {
+    let html = '';
+    let cursor = 0;
+
+    extractEntitiesWithIndices(text).forEach(entity => {
+      const [start, end] = entity.indices;
+      const raw = text.slice(start, end);
+      html += this.escapeHTML(text.slice(cursor, start));
+      html += entity.type === 'url'
+        ? `<span class="tweet-entity" title="${this.escapeHTML(raw)}">${this.escapeHTML(getDisplayUrl(raw))}</span>`
+        : `<span class="tweet-entity">${this.escapeHTML(raw)}</span>`;
+      cursor = end;
+    });
+
+    return html + this.escapeHTML(text.slice(cursor));
+  }
+
+  updatePreviewIdentity() {
+    const { previewName, previewHandle } = this.elements;
+    const user = this.state.currentUser;
+
+    // Never derived from the email address, which the preview would expose
+    const fullName = this.state.userProfile?.full_name || user?.user_metadata?.full_name || '';
+    const name = fullName || 'Your Account';
+    // Twitter handles are at most 15 letters, digits or underscores
+    const handle = fullName
+      .replace(/[^A-Za-z0-9_]/g, '')
+      .slice(0, 15) || 'username';
+
+    if (previewName) previewName.textContent = name;
+    if (previewHandle) previewHandle.textContent = `@${handle}`;
+  }
+
+  updateTweetInput() {
+    this.updateCharacterCount();
+    this.updateTweetPreview();
+    this.updateThreadCounters();
+    this.updateVariantCounters();
+  }
+
+  // === Results Display ===
+  displayResults(analysis) {
+    if (!this.elements.results) return;
+
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+
+    setText('overallScore', analysis.score);
+    setText('engagementLevel', analysis.engagement);
+    setText('reachLevel', analysis.reach);
+    setText('detailedAnalysis', analysis.analysis);
+    this.displayPostingWindows(analysis.optimalTime);
+
+    const suggestionsEl = document.getElementById('suggestions');
+    if (suggestionsEl) {
+      suggestionsEl.innerHTML = this.getSuggestionsHTML(analysis.suggestions);
+    }
+
+    // Per-tweet panels only apply to single-tweet analyses
+    [
+      ['scoreBreakdown', analysis.breakdown],
+      ['sentimentSummary', analysis.sentiment],
+      ['claritySummary', analysis.readability],
+      ['languageSummary', analysis.language],
+      ['hashtagSummary', analysis.hashtags]
+    ].forEach(([id, data]) => {
+      const panel = document.getElementById(id)?.parentElement;
+      if (panel) panel.classList.toggle('hidden', !data);
     });
+    document.getElementById('threadResults')?.classList.toggle('hidden', !analysis.thread);
+    document.getElementById('compareResults')?.classList.toggle('hidden', !analysis.comparison);
+
+    this.displayScoreBreakdown(analysis.breakdown);
+    this.displaySentiment(analysis.sentiment);
+    this.displayReadability(analysis.readability);
+    this.displayLanguage(analysis.language);
+    this.displayHashtags(analysis.hashtags);
+    
+    this.elements.results.classList.remove('hidden');
+    this.elements.results.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  // Older rows stored suggestions as newline-separated text; newer rows store
+  // the array produced by TweetAnalyzer.generateSuggestions()
+  normalizeSuggestions(suggestions) {
+    if (!suggestions) return [];
+    if (typeof suggestions === 'string') {
+      return suggestions.split('\n')
+        .map(message => message.trim())
+        .filter(Boolean)
+        .map(message => ({ message, priority: 'medium', impact: null }));
+    }
+    return Array.isArray(suggestions) ? suggestions : [];
+  }
+
+  getSuggestionsHTML(suggestions) {
+    const items = this.normalizeSuggestions(suggestions);
+    if (items.length === 0) {
+      return '<p class="text-slate-600">No suggestions - this tweet already covers the basics.</p>';
+    }
+
+    const priorityClasses = {
+      high: 'bg-red-100 text-red-700',
+      medium: 'bg-orange-100 text-orange-700',
+      low: 'bg-slate-100 text-slate-600'
+    };
+
+    return items.map(item => `
+      <div class="flex justify-between items-start p-4 bg-slate-50 rounded-lg border border-slate-200">
+        <div class="flex-1">
+          <span class="text-xs font-semibold uppercase px-2 py-1 rounded ${priorityClasses[item.priority] || priorityClasses.medium}">${this.escapeHTML(item.priority || 'medium')}</span>
+          <p class="text-slate-700 mt-2">${this.escapeHTML(item.message)}</p>
+          ${item.span?.text ? `<p class="text-sm text-slate-500 mt-1">In your tweet: <mark>${this.escapeHTML(item.span.text)}</mark></p>` : ''}
+          ${item.missing ? `<p class="text-sm text-slate-500 mt-1">Missing: ${this.escapeHTML(item.missing)}</p>` : ''}
+        </div>
+        ${typeof item.impact === 'number' ? `
+          <div class="ml-4 font-semibold ${item.impact > 0 ? 'text-green-600' : 'text-slate-500'}">${item.impact > 0 ? '+' : ''}${item.impact} pts</div>
+        ` : ''}
+      </div>
+    `).join('');
+  }
+
+  displayThreadResults(analysis) {
+    const container = document.getElementById('threadAssessment');
+    if (container) {
+      const { hook, dropOff, pacing } = analysis.thread;
+      const levelClass = level => level === 'High' || level === 'Weak' || level === 'Uneven' ? 'text-red-600' :
+                                  level === 'Medium' || level === 'Moderate' || level === 'Varied' ? 'text-orange-600' : 'text-green-600';
+
+      container.innerHTML = `
+        <div class="grid md:grid-cols-3 gap-4 mb-6">
+          <div>
+            <div class="text-sm text-slate-500">Hook strength</div>
+            <div class="font-semibold ${levelClass(hook.label)}">${hook.label} (${hook.score}/100)</div>
+          </div>
+          <div>
+            <div class="text-sm text-slate-500">Drop-off risk</div>
+            <div class="font-semibold ${levelClass(dropOff.level)}">${dropOff.level}</div>
+          </div>
+          <div>
+            <div class="text-sm text-slate-500">Pacing</div>
+            <div class="font-semibold ${levelClass(pacing.label)}">${pacing.label}</div>
+          </div>
+        </div>
+        <div class="space-y-3">
+          ${analysis.tweets.map((tweet, index) => `
+            <div class="flex justify-between items-start p-3 bg-white rounded border border-slate-200">
+              <div class="flex-1">
+                <div class="text-xs text-slate-500 mb-1">Tweet ${index + 1}${index === 0 ? ' · Hook' : ''}</div>
+                <p class="text-slate-800 whitespace-pre-wrap">${this.escapeHTML(tweet.content)}</p>
+              </div>
+              <div class="ml-4 text-right">
+                <div class="text-lg font-bold saas-text-primary">${tweet.score}</div>
+                <div class="text-xs text-slate-500">${tweet.engagement}</div>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    this.displayResults(analysis);
+  }
+
+  displayPostingWindows(windows = []) {
+    const container = document.getElementById('optimalTime');
+    if (!container) return;
+
+    if (!windows.length) {
+      container.textContent = 'No upcoming posting windows';
+      return;
+    }
+
+    container.innerHTML = `
+      <ol class="space-y-2">
+        ${windows.map((slot, index) => `
+          <li class="flex justify-between items-start gap-4">
+            <div>
+              <span class="font-semibold">${index + 1}. ${slot.relativeDay}, ${slot.timeRange}</span>
+              <p class="text-sm text-green-600">${slot.reasons.map(reason => this.escapeHTML(reason)).join(' · ')}</p>
+            </div>
+            <span class="text-sm whitespace-nowrap">${Math.round(slot.confidence * 100)}% confidence</span>
+          </li>
+        `).join('')}
+      </ol>
+      <p class="text-xs text-green-600 mt-3">Times shown in ${this.escapeHTML(windows[0].timezone)}</p>
+    `;
   }
 
-  // === Tweet Input Management ===
-  updateCharacterCount() {
-    const input = this.elements.tweetInput;
-    const counter = document.getElementById('characterCount');
-    
-    if (!input || !counter) return;
-    
-    const length = input.value.length;
-    const remaining = this.config.maxTweetLength - length;
-    
-    counter.textContent = `${remaining} characters remaining`;
-    counter.className = remaining < 20 ? 'text-red-600 text-sm' : 'text-slate-600 text-sm';
-    
-    // Update analyze button state
-    if (this.elements.analyzeBtn) {
-      this.elements.analyzeBtn.disabled = length === 0 || length > this.config.maxTweetLength || this.state.isAnalyzing;
+  displayComparisonResults(result) {
+    const container = document.getElementById('comparisonTable');
+    if (container) {
+      const { variants, winnerIndex, factors, changes } = result.comparison;
+      const cell = (content, index, extra = '') =>
+        `<td class="px-3 py-2 text-center ${index === winnerIndex ? 'bg-green-50 font-semibold' : ''} ${extra}">${content}</td>`;
+      const impactCell = (impact, index) => {
+        const colorClass = impact > 0 ? 'text-green-600' : impact < 0 ? 'text-red-600' : 'text-slate-400';
+        return cell(`<span class="${colorClass}">${impact > 0 ? '+' : ''}${impact}</span>`, index);
+      };
+
+      container.innerHTML = `
+        <p class="mb-4 text-slate-700">
+          Predicted winner: <strong class="text-green-700">${variants[winnerIndex].label}</strong>
+          with a score of <strong>${variants[winnerIndex].score}</strong>.
+        </p>
+        <div class="overflow-x-auto">
+          <table class="w-full text-sm border border-slate-200 rounded">
+            <thead class="bg-slate-100">
+              <tr>
+                <th class="px-3 py-2 text-left">Factor</th>
+                ${variants.map((variant, index) => `
+                  <th class="px-3 py-2 text-center ${index === winnerIndex ? 'text-green-700' : ''}">
+                    ${variant.label}${index === winnerIndex ? ' 🏆' : ''}
+                  </th>
+                `).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              <tr class="border-t border-slate-200">
+                <td class="px-3 py-2 text-left font-medium">Text</td>
+                ${variants.map((variant, index) => cell(`<span class="block text-left text-xs whitespace-pre-wrap">${this.escapeHTML(variant.content)}</span>`, index, 'align-top')).join('')}
+              </tr>
+              <tr class="border-t border-slate-200">
+                <td class="px-3 py-2 text-left font-medium">Overall score</td>
+                ${variants.map((variant, index) => cell(variant.score, index)).join('')}
+              </tr>
+              <tr class="border-t border-slate-200">
+                <td class="px-3 py-2 text-left font-medium">Engagement</td>
+                ${variants.map((variant, index) => cell(variant.engagement, index)).join('')}
+              </tr>
+              <tr class="border-t border-slate-200">
+                <td class="px-3 py-2 text-left font-medium">Reach</td>
+                ${variants.map((variant, index) => cell(variant.reach, index)).join('')}
+              </tr>
+              ${factors.filter(row => row.spread > 0).map(row => `
+                <tr class="border-t border-slate-200">
+                  <td class="px-3 py-2 text-left">${row.label}</td>
+                  ${row.impacts.map((impact, index) => impactCell(impact, index)).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <div class="mt-6 space-y-4">
+          ${changes.map((change, index) => change ? `
+            <div>
+              <h4 class="font-semibold text-slate-700">
+                ${variants[index].label} vs. ${variants[0].label}:
+                <span class="${change.scoreDelta > 0 ? 'text-green-600' : change.scoreDelta < 0 ? 'text-red-600' : 'text-slate-500'}">
+                  ${change.scoreDelta > 0 ? '+' : ''}${change.scoreDelta} points
+                </span>
+              </h4>
+              ${change.added.length || change.removed.length ? `
+                <p class="text-sm text-slate-600 mt-1">
+                  ${change.added.length ? `Added: ${change.added.map(text => `<ins class="bg-green-100 no-underline px-1">${this.escapeHTML(text)}</ins>`).join(' ')}` : ''}
+                  ${change.removed.length ? ` Removed: ${change.removed.map(text => `<del class="bg-red-100 px-1">${this.escapeHTML(text)}</del>`).join(' ')}` : ''}
+                </p>
+              ` : ''}
+              <ul class="list-disc list-inside text-sm text-slate-600 mt-1">
+                ${change.factorChanges.slice(0, 4).map(factorChange => `
+                  <li>${factorChange.label} ${factorChange.delta > 0 ? '+' : ''}${factorChange.delta}: ${this.escapeHTML(factorChange.after)}</li>
+                `).join('') || '<li>No factor changed; the edits did not move the score</li>'}
+              </ul>
+            </div>
+          ` : '').join('')}
+        </div>
+      `;
     }
-  }
 
-  updateTweetInput() {
-    this.updateCharacterCount();
+    this.displayResults(result);
   }
 
-  // === Results Display ===
-  displayResults(analysis) {
-    if (!this.elements.results) return;
+  displayScoreBreakdown(breakdown = []) {
+    const container = document.getElementById('scoreBreakdown');
+    if (!container) return;
 
-    this.elements.results.innerHTML = `
-      <div class="bg-white rounded-lg shadow-lg p-6">
-        <h3 class="text-xl font-bold text-slate-800 mb-4">Analysis Results</h3>
-        
-        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-          <div class="text-center p-4 bg-blue-50 rounded-lg">
-            <div class="text-3xl font-bold text-blue-600">${analysis.score}</div>
-            <div class="text-sm text-slate-600">Overall Score</div>
-          </div>
-          <div class="text-center p-4 bg-green-50 rounded-lg">
-            <div class="text-xl font-semibold text-green-600">${analysis.engagement}</div>
-            <div class="text-sm text-slate-600">Engagement Level</div>
-          </div>
-          <div class="text-center p-4 bg-purple-50 rounded-lg">
-            <div class="text-xl font-semibold text-purple-600">${analysis.reach}</div>
-            <div class="text-sm text-slate-600">Reach Level</div>
+    const rows = [...breakdown].sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact));
+
+    container.innerHTML = rows.map(item => {
+      const impactClass = item.impact > 0 ? 'text-green-600' : item.impact < 0 ? 'text-red-600' : 'text-slate-500';
+      const sign = item.impact > 0 ? '+' : '';
+      return `
+        <div class="flex justify-between items-start py-2 border-b border-slate-200 last:border-0">
+          <div>
+            <div class="font-medium text-slate-800">${item.label}</div>
+            <div class="text-sm text-slate-600">${this.escapeHTML(item.detail)}</div>
           </div>
+          <div class="ml-4 font-semibold ${impactClass}">${sign}${item.impact}</div>
         </div>
-        
-        <div class="space-y-4">
-          <div>
-            <h4 class="font-semibold text-slate-700 mb-2">Analysis:</h4>
-            <p class="text-slate-600">${analysis.analysis}</p>
+      `;
+    }).join('');
+  }
+
+  displaySentiment(sentiment) {
+    const container = document.getElementById('sentimentSummary');
+    if (!container || !sentiment) return;
+
+    const labelClass = sentiment.polarity >= 0.15 ? 'text-green-600' : sentiment.polarity <= -0.15 ? 'text-red-600' : 'text-slate-600';
+    const emotionColors = {
+      excitement: 'bg-orange-400',
+      anger: 'bg-red-500',
+      humor: 'bg-yellow-400',
+      curiosity: 'bg-blue-500'
+    };
+
+    container.innerHTML = `
+      <div class="flex flex-wrap items-center gap-4 mb-4">
+        <span class="text-lg font-semibold ${labelClass}">${sentiment.label}</span>
+        <span class="text-sm text-slate-600">Polarity: <strong>${sentiment.polarity > 0 ? '+' : ''}${sentiment.polarity}</strong></span>
+        <span class="text-sm text-slate-600">Intensity: <strong>${Math.round(sentiment.intensity * 100)}%</strong></span>
+        ${sentiment.dominantEmotions.length ? `
+          <span class="text-sm text-slate-600">Dominant: <strong>${sentiment.dominantEmotions.join(', ')}</strong></span>
+        ` : ''}
+      </div>
+      <div class="space-y-2">
+        ${Object.entries(sentiment.emotions).map(([emotion, score]) => `
+          <div class="flex items-center text-sm">
+            <span class="w-24 capitalize text-slate-600">${emotion}</span>
+            <div class="flex-1 h-2 bg-slate-200 rounded-full overflow-hidden">
+              <div class="h-2 ${emotionColors[emotion] || 'bg-slate-400'}" style="width: ${Math.round(score * 100)}%"></div>
+            </div>
+            <span class="w-12 text-right text-slate-500">${Math.round(score * 100)}%</span>
           </div>
-          
+        `).join('')}
+      </div>
+    `;
+  }
+
+  displayReadability(readability) {
+    const container = document.getElementById('claritySummary');
+    if (!container || !readability) return;
+
+    const issues = [];
+    if (readability.jargonTerms.length) issues.push(`Jargon: ${readability.jargonTerms.join(', ')}`);
+    if (readability.longWords.length) issues.push(`Long words: ${readability.longWords.slice(0, 5).join(', ')}`);
+    if (readability.hasExcessivePunctuation) issues.push(`Excessive punctuation: ${readability.punctuationRuns.join(' ')}`);
+    if (readability.capsRatio > 0.2) issues.push(`${Math.round(readability.capsRatio * 100)}% of words in ALL-CAPS`);
+    if (readability.isWallOfText) issues.push('Wall of text: no line breaks');
+
+    const stats = [
+      ['Clarity', `${readability.clarityScore}/100`],
+      ['Reading ease', `${readability.readingEase} (${readability.gradeLabel})`],
+      ['Avg. word length', `${readability.avgWordLength} chars`],
+      ['Long-word ratio', `${Math.round(readability.longWordRatio * 100)}%`],
+      ['ALL-CAPS ratio', `${Math.round(readability.capsRatio * 100)}%`],
+      ['Line breaks', readability.lineBreaks]
+    ];
+
+    container.innerHTML = `
+      <div class="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+        ${stats.map(([label, value]) => `
           <div>
-            <h4 class="font-semibold text-slate-700 mb-2">Suggestions for Improvement:</h4>
-            <ul class="list-disc list-inside text-slate-600 space-y-1">
-              ${analysis.suggestions.split('\n').map(suggestion => 
-                suggestion.trim() ? `<li>${suggestion.trim()}</li>` : ''
-              ).join('')}
-            </ul>
+            <div class="text-sm text-slate-500">${label}</div>
+            <div class="font-semibold text-slate-800">${value}</div>
           </div>
-          
+        `).join('')}
+      </div>
+      ${issues.length ? `
+        <ul class="list-disc list-inside text-sm text-orange-700 space-y-1">
+          ${issues.map(issue => `<li>${this.escapeHTML(issue)}</li>`).join('')}
+        </ul>
+      ` : '<p class="text-sm text-green-700">No clarity issues found.</p>'}
+    `;
+  }
+
+  // Only present for detailed analyses, see TweetAnalyzer.getLanguageSummary()
+  displayLanguage(language) {
+    const container = document.getElementById('languageSummary');
+    if (!container || !language) return;
+
+    const stats = [
+      ['Sentences', language.sentenceCount],
+      ['Words', language.wordCount],
+      ['Verbs', language.verbCount ?? '—'],
+      ['Nouns', language.nounCount ?? '—'],
+      ['Tense', language.tense]
+    ];
+    const details = [
+      ['Call-to-action', language.callToAction],
+      ['Negative framing', language.negation],
+      ['Named', language.entities.join(', ')]
+    ].filter(([, value]) => value);
+
+    container.innerHTML = `
+      <div class="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        ${stats.map(([label, value]) => `
           <div>
-            <h4 class="font-semibold text-slate-700 mb-2">Optimal Posting Time:</h4>
-            <p class="text-slate-600">${analysis.optimalTime}</p>
+            <div class="text-sm text-slate-500">${label}</div>
+            <div class="font-semibold text-slate-800 capitalize">${this.escapeHTML(value)}</div>
           </div>
-        </div>
+        `).join('')}
       </div>
+      ${details.length ? `
+        <ul class="text-sm text-slate-600 space-y-1">
+          ${details.map(([label, value]) => `<li>${label}: <strong class="text-slate-800">${this.escapeHTML(value)}</strong></li>`).join('')}
+        </ul>
+      ` : ''}
+      ${language.verbCount === null ? '<p class="text-xs text-slate-500 mt-2">Verb and noun counts need the NLP library, which didn\'t load.</p>' : ''}
+    `;
+  }
+
+  displayHashtags(hashtags) {
+    const container = document.getElementById('hashtagSummary');
+    if (!container || !hashtags) return;
+
+    const placementLabels = { leading: 'Before the message', inline: 'In the text', trailing: 'At the end' };
+    const issueLabels = {
+      leading: 'move after the message',
+      camelCase: 'use CamelCase',
+      tooLong: `over ${MAX_HASHTAG_LENGTH} characters`
+    };
+
+    container.innerHTML = `
+      ${hashtags.count ? `
+        <ul class="space-y-2 mb-4">
+          ${hashtags.hashtags.map(hashtag => `
+            <li class="flex flex-wrap items-center gap-2 text-sm">
+              <span class="tweet-entity font-semibold">${this.escapeHTML(hashtag.text)}</span>
+              <span class="text-slate-500">${placementLabels[hashtag.placement]} · ${hashtag.length} characters</span>
+              ${hashtag.issues.map(issue => `
+                <span class="text-orange-700">${issueLabels[issue]}${issue === 'camelCase' && hashtag.suggestedCasing ? ` (${this.escapeHTML(hashtag.suggestedCasing)})` : ''}</span>
+              `).join('')}
+              ${hashtag.issues.length ? '' : '<span class="text-green-700">Looks good</span>'}
+            </li>
+          `).join('')}
+        </ul>
+        ${hashtags.count > 2 ? `<p class="text-sm text-orange-700 mb-4">${hashtags.count} hashtags is more than the 1-2 that perform best.</p>` : ''}
+      ` : '<p class="text-sm text-slate-600 mb-4">No hashtags found. Note that "C#" or "#1" don\'t count as hashtags on Twitter.</p>'}
+      ${hashtags.recommendations.length ? `
+        <h4 class="text-sm font-semibold text-slate-700 mb-2">Try</h4>
+        <ul class="space-y-1 text-sm">
+          ${hashtags.recommendations.map(recommendation => `
+            <li>
+              <span class="tweet-entity font-semibold">${this.escapeHTML(recommendation.tag)}</span>
+              <span class="text-slate-500">${this.escapeHTML(recommendation.reason)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
     `;
-    
-    this.elements.results.classList.remove('hidden');
-    this.elements.results.scrollIntoView({ behavior: 'smooth' });
   }
 
   hideResults() {
@@ -1393,71 +4574,1088 @@ class TweetPredictor {
     // Clear any timers
     this.debounceTimers.forEach(timer => clearTimeout(timer));
     this.debounceTimers.clear();
+    
+    this.historyObserver?.disconnect();
   }
 }
 
-// === Tweet Analyzer Class (Mock Implementation) ===
+// === Tweet Analyzer Scoring Model ===
+// Saved as tweet_analyses.analysis_version. Bump whenever scoring changes so
+// old scores aren't compared with new ones as if they were equivalent.
+// 1.0 was the original keyword heuristic; 2.1 added hashtag placement,
+// CamelCase and length checks.
+const ANALYSIS_VERSION = '2.1';
+
+// Every score starts at BASE_SCORE and each factor adds or removes up to its
+// weight in points. Scorers return a value in [-1, 1], so the weight is the
+// most a single factor can move the score in either direction.
+const BASE_SCORE = 50;
+
+const FACTOR_WEIGHTS = {
+  length: 12,
+  hashtags: 8,
+  questions: 8,
+  callToAction: 7,
+  emojis: 6,
+  tone: 6,
+  clarity: 6,
+  capitals: 6,
+  mentions: 5,
+  numbers: 5,
+  links: 4,
+  entities: 4,
+  exclamations: 3,
+  structure: 3,
+  negation: 3
+};
+
+const FACTOR_LABELS = {
+  length: 'Tweet length',
+  hashtags: 'Hashtags',
+  questions: 'Questions',
+  callToAction: 'Call-to-action',
+  emojis: 'Emojis',
+  tone: 'Emotional tone',
+  clarity: 'Clarity',
+  capitals: 'Capitalization',
+  mentions: 'Mentions',
+  numbers: 'Numbers & data',
+  links: 'Links',
+  entities: 'Named entities',
+  exclamations: 'Exclamation marks',
+  structure: 'Sentence structure',
+  negation: 'Negative framing'
+};
+
+// Emotions that reliably drive replies and shares
+const ENGAGING_EMOTIONS = ['excitement', 'humor', 'curiosity'];
+
+// Phrases that ask the reader to do something, used alongside the NLP
+// imperative check (and on their own when compromise is unavailable)
+const CALL_TO_ACTION_PATTERN = /\b(check (it )?out|sign up|join|subscribe|follow|retweet|rt|reply|comment|share|click|tap|download|register|learn more|read more|link in bio|let me know|tell me|drop (a|your)|dm me|vote)\b/i;
+const NEGATION_PATTERN = /\b(not|no|never|nothing|nobody|none|nowhere|neither|nor|cannot)\b|n't\b/i;
+
+// === Suggestion Rules ===
+// Each rule looks at the factors from analyzeFactors() and, when it applies,
+// builds a suggestion that names the offending span or the missing element.
+// `patch` describes the factors after the fix so the impact can be re-scored.
+// How many are shown depends on the analysis depth (ANALYSIS_DEPTHS).
+
+const SUGGESTION_RULES = [
+  {
+    id: 'too_many_hashtags',
+    category: 'hashtags',
+    priority: 'high',
+    applies: f => f.hashtagCount > 2,
+    build: f => ({
+      message: `Cut back to 1-2 hashtags; drop ${f.hashtags.slice(2).join(' ')}`,
+      span: f.hashtags[2],
+      patch: { hashtagCount: 2 }
+    })
+  },
+  {
+    id: 'shouting',
+    category: 'capitals',
+    priority: 'high',
+    applies: f => f.capsRatio > 0.2,
+    build: f => ({
+      message: `Rewrite ALL-CAPS words in normal case: ${f.capsWords.slice(0, 3).join(', ')}`,
+      span: f.capsWords[0],
+      patch: { capsRatio: 0 }
+    })
+  },
+  {
+    id: 'leading_mention',
+    category: 'mentions',
+    priority: 'high',
+    applies: f => f.startsWithMention,
+    build: f => ({
+      message: `Don't start with ${f.mentions[0]}; only people following both of you will see it. Move it later or put a word before it`,
+      span: f.mentions[0],
+      patch: { startsWithMention: false }
+    })
+  },
+  {
+    id: 'too_many_mentions',
+    category: 'mentions',
+    priority: 'medium',
+    applies: f => !f.startsWithMention && f.mentionCount > 2,
+    build: f => ({
+      message: `Tag at most 2 accounts; consider removing ${f.mentions.slice(2).join(' ')}`,
+      span: f.mentions[2],
+      patch: { mentionCount: 2 }
+    })
+  },
+  {
+    id: 'external_link',
+    category: 'links',
+    priority: 'medium',
+    applies: f => f.linkCount > 0,
+    build: f => ({
+      message: `Move ${f.links[0]} into a reply so the tweet itself keeps its reach`,
+      span: f.links[0],
+      patch: { linkCount: 0 }
+    })
+  },
+  {
+    id: 'too_short',
+    category: 'length',
+    priority: 'high',
+    applies: f => f.length < 40,
+    build: f => ({
+      message: `At ${f.length} characters there's little context; add why it matters to the reader`,
+      missing: 'context',
+      patch: { length: 100 }
+    })
+  },
+  {
+    id: 'too_long',
+    category: 'length',
+    priority: 'low',
+    applies: f => f.length > 240,
+    build: f => ({
+      message: `Trim ${f.length - 140} characters to land in the 71-140 sweet spot`,
+      patch: { length: 140 }
+    })
+  },
+  {
+    id: 'missing_call_to_action',
+    category: 'callToAction',
+    priority: 'medium',
+    applies: f => !f.hasCallToAction,
+    build: () => ({
+      message: 'Add a call-to-action such as "Reply with..." or "Share if..." to tell readers what to do',
+      missing: 'call-to-action',
+      patch: { hasCallToAction: true }
+    })
+  },
+  {
+    id: 'missing_question',
+    category: 'questions',
+    priority: 'medium',
+    applies: f => !f.hasQuestions,
+    build: () => ({
+      message: 'End with a question to invite replies',
+      missing: 'question',
+      patch: { hasQuestions: true }
+    })
+  },
+  {
+    id: 'leading_hashtags',
+    category: 'hashtags',
+    priority: 'medium',
+    applies: f => f.leadingHashtags.length > 0,
+    build: f => ({
+      message: `Lead with your message; move ${f.leadingHashtags.join(' ')} to the end of the tweet`,
+      span: f.leadingHashtags[0],
+      patch: { leadingHashtags: [] }
+    })
+  },
+  {
+    id: 'hashtag_camel_case',
+    category: 'hashtags',
+    priority: 'low',
+    applies: f => f.unreadableHashtags.length > 0,
+    build: f => ({
+      message: `Write ${f.unreadableHashtags[0]} in CamelCase (e.g. #BuildInPublic) so screen readers and skimmers can read it`,
+      span: f.unreadableHashtags[0],
+      patch: { unreadableHashtags: [] }
+    })
+  },
+  {
+    id: 'long_hashtag',
+    category: 'hashtags',
+    priority: 'low',
+    applies: f => f.longHashtags.length > 0,
+    build: f => ({
+      message: `Shorten ${f.longHashtags[0]}; hashtags over ${MAX_HASHTAG_LENGTH} characters are rarely searched`,
+      span: f.longHashtags[0],
+      patch: { longHashtags: [] }
+    })
+  },
+  {
+    id: 'missing_hashtags',
+    category: 'hashtags',
+    priority: 'low',
+    applies: f => f.hashtagCount === 0,
+    build: () => ({
+      message: 'Add one relevant hashtag to help people discover the tweet',
+      missing: 'hashtag',
+      patch: { hashtagCount: 1 }
+    })
+  },
+  {
+    id: 'too_many_emojis',
+    category: 'emojis',
+    priority: 'medium',
+    applies: f => f.emojiCount > 3,
+    build: f => ({
+      message: `Keep emojis to 1-3; ${f.emojiCount} distracts from the message`,
+      patch: { emojiCount: 3 }
+    })
+  },
+  {
+    id: 'missing_emoji',
+    category: 'emojis',
+    priority: 'low',
+    applies: f => f.emojiCount === 0,
+    build: () => ({
+      message: 'Add an emoji to make the tweet stand out in the timeline',
+      missing: 'emoji',
+      patch: { emojiCount: 1 }
+    })
+  },
+  {
+    id: 'missing_numbers',
+    category: 'numbers',
+    priority: 'low',
+    applies: f => !f.hasNumbers,
+    build: () => ({
+      message: 'Back up the point with a specific number, date or stat',
+      missing: 'number',
+      patch: { hasNumbers: true }
+    })
+  },
+  {
+    id: 'too_many_exclamations',
+    category: 'exclamations',
+    priority: 'low',
+    applies: f => f.exclamationCount > 2,
+    build: f => ({
+      message: `Use one exclamation mark instead of ${f.exclamationCount}`,
+      span: '!',
+      patch: { exclamationCount: 1 }
+    })
+  },
+  {
+    id: 'negative_framing',
+    category: 'negation',
+    priority: 'low',
+    applies: f => f.hasNegation && !!f.negation,
+    build: f => ({
+      message: `Reframe "${f.negation}" positively; say what is, not what isn't`,
+      span: f.negation,
+      patch: { hasNegation: false }
+    })
+  },
+  {
+    id: 'flat_tone',
+    category: 'tone',
+    priority: 'medium',
+    applies: f => f.dominantEmotions.length === 0 && Math.abs(f.polarity) < 0.15,
+    build: () => ({
+      message: 'The tone reads flat; add excitement, humor or a curiosity hook',
+      missing: 'emotion',
+      patch: { dominantEmotions: ['curiosity'] }
+    })
+  },
+  {
+    id: 'angry_tone',
+    category: 'tone',
+    priority: 'medium',
+    applies: f => f.dominantEmotions.includes('anger'),
+    build: f => ({
+      message: 'Anger can spark replies but limits shares; channel it into a constructive point',
+      missing: null,
+      patch: { dominantEmotions: f.dominantEmotions.filter(emotion => emotion !== 'anger') }
+    })
+  },
+  {
+    id: 'hard_to_read',
+    category: 'clarity',
+    priority: 'medium',
+    applies: f => f.readingEase < 50 && f.longWords.length > 0,
+    build: f => ({
+      message: `Swap long words for shorter ones, starting with "${f.longWords[0]}"`,
+      span: f.longWords[0],
+      patch: { clarityScore: Math.min(100, f.clarityScore + 20) }
+    })
+  },
+  {
+    id: 'jargon',
+    category: 'clarity',
+    priority: 'medium',
+    applies: f => f.jargonTerms.length > 0,
+    build: f => ({
+      message: `Replace jargon with plain words: ${f.jargonTerms.join(', ')}`,
+      span: f.jargonTerms[0],
+      patch: { clarityScore: Math.min(100, f.clarityScore + f.jargonTerms.length * 8) }
+    })
+  },
+  {
+    id: 'excessive_punctuation',
+    category: 'clarity',
+    priority: 'low',
+    applies: f => f.punctuationRuns.length > 0,
+    build: f => ({
+      message: `Tone down "${f.punctuationRuns[0]}"; one mark is enough`,
+      span: f.punctuationRuns[0],
+      patch: { clarityScore: Math.min(100, f.clarityScore + f.punctuationRuns.length * 6) }
+    })
+  },
+  {
+    id: 'wall_of_text',
+    category: 'clarity',
+    priority: 'medium',
+    applies: f => f.isWallOfText,
+    build: f => ({
+      message: 'Break the tweet into 2-3 short lines so it is easier to skim',
+      missing: 'line breaks',
+      patch: { clarityScore: Math.min(100, f.clarityScore + 12) }
+    })
+  },
+  {
+    id: 'no_verbs',
+    category: 'structure',
+    priority: 'medium',
+    applies: f => f.verbCount === 0,
+    build: f => ({
+      message: 'Add a verb; the tweet reads as a fragment',
+      missing: 'verb',
+      patch: { verbCount: Math.max(1, Math.ceil(f.nounCount / 2)) }
+    })
+  }
+];
+
+// === Tweet Analyzer Class ===
 class TweetAnalyzer {
-  constructor(tweet) {
+  // options.weights: per-user calibrated factor weights (see ModelCalibrator)
+  // options.postingContext: { timezone, schedule, outcomes } for
+  // PostingTimeRecommender
+  // options.depth: user_settings.analysis_depth, see ANALYSIS_DEPTHS
+  constructor(tweet, options = {}) {
     this.tweet = tweet;
+    this.options = options;
+    this.weights = { ...FACTOR_WEIGHTS, ...options.weights };
+    this.depth = getAnalysisDepth(options.depth);
+  }
+
+  static get version() {
+    return ANALYSIS_VERSION;
   }
 
   analyze() {
-    // Mock analysis - replace with actual ML model
-    const score = Math.floor(Math.random() * 40) + 60; // 60-100 range
-    
+    const factors = this.analyzeFactors();
+    const breakdown = this.scoreFactors(factors);
+    const score = this.calculateScore(breakdown);
+
     return {
       score,
-      engagement: score > 85 ? 'High' : score > 70 ? 'Medium' : 'Low',
-      reach: score > 80 ? 'High' : score > 65 ? 'Medium' : 'Low',
-      analysis: this.generateAnalysis(score),
-      suggestions: this.generateSuggestions(),
+      engagement: TweetAnalyzer.getEngagementLevel(score),
+      reach: TweetAnalyzer.getReachLevel(score),
+      analysis: this.generateAnalysis(score, breakdown),
+      suggestions: this.generateSuggestions(factors),
       optimalTime: this.getOptimalTime(),
-      factors: this.analyzeFactors()
+      hashtags: this.analyzeHashtags(),
+      factors,
+      breakdown,
+      // Tone and clarity still feed the score; quick analyses just don't show them
+      sentiment: this.depth.details ? this.analyzeSentiment() : null,
+      readability: this.depth.details ? this.analyzeReadability() : null,
+      language: this.depth.language ? this.getLanguageSummary(factors) : null
+    };
+  }
+
+  // Factor scoring only, without suggestions or posting times. Cheap enough to
+  // run on every keystroke for the live preview.
+  preview() {
+    const factors = this.analyzeFactors();
+    const breakdown = this.scoreFactors(factors);
+    const score = this.calculateScore(breakdown);
+
+    return {
+      score,
+      engagement: TweetAnalyzer.getEngagementLevel(score),
+      reach: TweetAnalyzer.getReachLevel(score),
+      factors,
+      breakdown
+    };
+  }
+
+  calculateScore(breakdown) {
+    const total = breakdown.reduce((sum, item) => sum + item.impact, BASE_SCORE);
+    return Math.max(0, Math.min(100, Math.round(total)));
+  }
+
+  // Levels use the exact values allowed by the tweet_analyses CHECK constraints
+  static getEngagementLevel(score) {
+    if (score >= 85) return 'Very High';
+    if (score >= 70) return 'High';
+    if (score >= 50) return 'Medium';
+    return 'Low';
+  }
+
+  static getReachLevel(score) {
+    if (score >= 80) return 'Excellent';
+    if (score >= 65) return 'Good';
+    if (score >= 50) return 'Moderate';
+    return 'Limited';
+  }
+
+  scoreFactors(factors) {
+    const scorers = {
+      length: () => this.scoreLength(factors.length),
+      hashtags: () => this.scoreHashtags(factors),
+      questions: () => factors.hasQuestions
+        ? { value: 1, detail: 'Questions invite replies' }
+        : { value: 0, detail: 'No question to prompt replies' },
+      emojis: () => this.scoreEmojis(factors.emojiCount),
+      capitals: () => this.scoreCapitals(factors.capsRatio),
+      mentions: () => this.scoreMentions(factors.mentionCount, factors.startsWithMention),
+      numbers: () => factors.hasNumbers
+        ? { value: 1, detail: 'Specific numbers make claims concrete' }
+        : { value: 0, detail: 'No numbers or data points' },
+      links: () => factors.linkCount > 0
+        ? { value: -1, detail: 'External links tend to reduce in-app reach' }
+        : { value: 0, detail: 'No external links' },
+      exclamations: () => this.scoreExclamations(factors.exclamationCount),
+      callToAction: () => factors.hasCallToAction
+        ? { value: 1, detail: `Asks readers to act: "${factors.callToAction}"` }
+        : { value: -0.3, detail: 'No call-to-action for readers to follow' },
+      entities: () => factors.entityCount > 0
+        ? { value: 1, detail: `Names ${[...factors.entities.people, ...factors.entities.places, ...factors.entities.organizations].join(', ')}` }
+        : { value: 0, detail: 'No people, places or organizations named' },
+      structure: () => this.scoreStructure(factors.verbCount, factors.nounCount),
+      tone: () => this.scoreTone(factors.polarity, factors.dominantEmotions),
+      clarity: () => this.scoreClarity(factors.clarityScore, factors.readingEase, factors.wordCount),
+      negation: () => factors.hasNegation
+        ? { value: -0.5, detail: 'Negative phrasing (not, never, don\'t) can dampen response' }
+        : { value: 0, detail: 'Positive or neutral framing' }
+    };
+
+    return Object.entries(scorers).map(([factor, scorer]) => {
+      const { value, detail } = scorer();
+      return {
+        factor,
+        label: FACTOR_LABELS[factor],
+        weight: this.weights[factor],
+        value,
+        impact: Math.round(value * this.weights[factor] * 10) / 10,
+        detail
+      };
+    });
+  }
+
+  scoreLength(length) {
+    if (length < 15) return { value: -1, detail: `${length} characters is too short to carry a message` };
+    if (length < 40) return { value: -0.6, detail: `${length} characters leaves little room for context` };
+    if (length < 71) return { value: 0, detail: `${length} characters is short but light on context` };
+    if (length <= 140) return { value: 1, detail: `${length} characters is in the 71-140 sweet spot` };
+    if (length <= 240) return { value: 0.5, detail: `${length} characters is a little long but readable` };
+    return { value: 0, detail: `${length} characters is close to the limit` };
+  }
+
+  scoreHashtags({ hashtagCount: count, leadingHashtags = [], unreadableHashtags = [], longHashtags = [] }) {
+    if (count === 0) return { value: -0.3, detail: 'No hashtags to aid discovery' };
+
+    let result;
+    if (count <= 2) result = { value: 1, detail: `${count} hashtag${count > 1 ? 's' : ''} is the ideal amount` };
+    else if (count === 3) result = { value: 0, detail: '3 hashtags starts to look cluttered' };
+    else result = { value: -1, detail: `${count} hashtags reads as spam` };
+
+    // Each kind of misuse costs a quarter of the factor
+    const problems = [
+      leadingHashtags.length && 'placed before the message',
+      unreadableHashtags.length && 'not in CamelCase',
+      longHashtags.length && 'too long to read'
+    ].filter(Boolean);
+    if (!problems.length) return result;
+
+    return {
+      value: Math.max(-1, result.value - 0.25 * problems.length),
+      detail: `${result.detail}, but some are ${problems.join(' and ')}`
     };
   }
 
-  generateAnalysis(score) {
-    if (score > 85) {
-      return "Excellent tweet! Your content has strong engagement potential with good use of relevant keywords and timing.";
-    } else if (score > 70) {
-      return "Good tweet with solid potential. Consider adding more engaging elements to boost performance.";
+  scoreEmojis(count) {
+    if (count === 0) return { value: -0.2, detail: 'No emojis to add visual interest' };
+    if (count <= 3) return { value: 1, detail: `${count} emoji${count > 1 ? 's' : ''} adds personality` };
+    return { value: -0.5, detail: `${count} emojis distract from the message` };
+  }
+
+  scoreCapitals(capsRatio) {
+    if (capsRatio > 0.5) return { value: -1, detail: 'Mostly ALL-CAPS reads as shouting' };
+    if (capsRatio > 0.2) return { value: -0.4, detail: 'Several ALL-CAPS words' };
+    return { value: 0, detail: 'Normal capitalization' };
+  }
+
+  scoreMentions(count, startsWithMention) {
+    if (startsWithMention) return { value: -0.5, detail: 'Starting with a mention limits who sees the tweet' };
+    if (count === 0) return { value: 0, detail: 'No mentions' };
+    if (count <= 2) return { value: 0.6, detail: 'Mentions can pull in other audiences' };
+    return { value: -0.6, detail: `${count} mentions looks like a tag list` };
+  }
+
+  scoreExclamations(count) {
+    if (count === 0) return { value: 0, detail: 'No exclamation marks' };
+    if (count <= 2) return { value: 0.5, detail: 'A little enthusiasm helps' };
+    return { value: -0.5, detail: `${count} exclamation marks feels overexcited` };
+  }
+
+  scoreTone(polarity, dominantEmotions = []) {
+    const engaging = dominantEmotions.filter(emotion => ENGAGING_EMOTIONS.includes(emotion));
+    let value = polarity * 0.5;
+    if (engaging.length > 0) value += 0.5;
+    if (dominantEmotions.includes('anger')) value -= 0.3;
+    value = Math.max(-1, Math.min(1, Math.round(value * 100) / 100));
+
+    const emotions = dominantEmotions.length ? ` with ${dominantEmotions.join(' & ')}` : ', no strong emotion';
+    const tone = polarity >= 0.15 ? 'Positive' : polarity <= -0.15 ? 'Negative' : 'Neutral';
+    return { value, detail: `${tone} tone${emotions}` };
+  }
+
+  scoreClarity(clarityScore, readingEase, wordCount) {
+    // Reading-ease formulas are unreliable below ~10 words
+    if (wordCount < 10) return { value: 0, detail: 'Too short to judge readability' };
+    const value = Math.max(-1, Math.min(1, Math.round((clarityScore - 60) / 40 * 100) / 100));
+    if (clarityScore >= 70) return { value, detail: `Clear and easy to skim (clarity ${clarityScore}/100)` };
+    if (clarityScore >= 50) return { value, detail: `Readable, with some friction (clarity ${clarityScore}/100)` };
+    return { value, detail: `Hard to read (clarity ${clarityScore}/100, reading ease ${readingEase})` };
+  }
+
+  scoreStructure(verbCount, nounCount) {
+    if (verbCount === null) return { value: 0, detail: 'Sentence structure unavailable without NLP' };
+    if (verbCount === 0) return { value: -1, detail: 'No verbs; reads as a fragment' };
+    const ratio = verbCount / Math.max(1, nounCount);
+    if (ratio >= 0.3 && ratio <= 1.5) return { value: 1, detail: `${verbCount} verbs to ${nounCount} nouns keeps it active` };
+    if (ratio > 1.5) return { value: 0, detail: 'Lots of action, few concrete nouns' };
+    return { value: -0.5, detail: 'Noun-heavy; add a verb to make it active' };
+  }
+
+  generateAnalysis(score, breakdown) {
+    let summary;
+    if (score >= 85) {
+      summary = "Excellent tweet! Your content has strong engagement potential.";
+    } else if (score >= 70) {
+      summary = "Good tweet with solid potential. Consider adding more engaging elements to boost performance.";
     } else {
-      return "This tweet has room for improvement. Focus on making it more engaging and relevant to your audience.";
+      summary = "This tweet has room for improvement. Focus on making it more engaging and relevant to your audience.";
+    }
+
+    const sorted = [...breakdown].sort((a, b) => b.impact - a.impact);
+    const strongest = sorted[0];
+    const weakest = sorted[sorted.length - 1];
+
+    if (strongest && strongest.impact > 0) {
+      summary += ` Biggest boost: ${strongest.label.toLowerCase()} (+${strongest.impact}).`;
+    }
+    if (weakest && weakest.impact < 0) {
+      summary += ` Biggest drag: ${weakest.label.toLowerCase()} (${weakest.impact}).`;
     }
+
+    return summary;
   }
 
-  generateSuggestions() {
-    const suggestions = [
-      "Add relevant hashtags to increase discoverability",
-      "Consider posting during peak engagement hours",
-      "Include a call-to-action to encourage interaction",
-      "Use emojis to make your tweet more visually appealing",
-      "Ask a question to encourage replies"
-    ];
-    
-    return suggestions.slice(0, 3).join('\n');
+  // Runs every SUGGESTION_RULES entry against the factors and returns the
+  // matches as the JSONB array stored in tweet_analyses.suggestions
+  generateSuggestions(factors) {
+    const currentScore = this.calculateScore(this.scoreFactors(factors));
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+
+    return SUGGESTION_RULES
+      .filter(rule => rule.applies(factors))
+      .map(rule => {
+        const { message, span = null, missing = null, patch } = rule.build(factors);
+        return {
+          id: rule.id,
+          category: rule.category,
+          priority: rule.priority,
+          message,
+          span: span ? this.findSpan(span) : null,
+          missing,
+          impact: this.depth.estimateImpact ? this.estimateImpact(factors, patch, currentScore) : null
+        };
+      })
+      .sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority] || (b.impact ?? 0) - (a.impact ?? 0))
+      .slice(0, this.depth.maxSuggestions);
+  }
+
+  // Re-scores the tweet as if the suggestion had been applied
+  estimateImpact(factors, patch, currentScore) {
+    const patchedScore = this.calculateScore(this.scoreFactors({ ...factors, ...patch }));
+    return patchedScore - currentScore;
+  }
+
+  findSpan(text) {
+    const start = this.tweet.indexOf(text);
+    return { text, start, end: start === -1 ? -1 : start + text.length };
+  }
+
+  // Per-hashtag checks plus tags worth trying, drawn from the user's own
+  // high-scoring tweets and the topic taxonomy
+  analyzeHashtags() {
+    const limit = this.depth.hashtagRecommendations;
+    return {
+      ...analyzeHashtags(this.tweet),
+      recommendations: limit
+        ? new HashtagRecommender({ history: this.options.hashtagHistory }).recommend(this.tweet, limit)
+        : []
+    };
   }
 
+  // Ranked posting windows in the user's timezone, best first
   getOptimalTime() {
-    const times = [
-      "9:00 AM - 10:00 AM (High morning engagement)",
-      "12:00 PM - 1:00 PM (Lunch break peak)",
-      "5:00 PM - 6:00 PM (After work hours)",
-      "7:00 PM - 9:00 PM (Evening social time)"
-    ];
-    
-    return times[Math.floor(Math.random() * times.length)];
+    const topic = detectTopic(this.tweet);
+    return new PostingTimeRecommender({
+      ...this.options.postingContext,
+      topic: topic.topic
+    }).recommend(this.depth.postingWindows);
+  }
+
+  // Detailed analyses only: the NLP features behind the score, for display
+  getLanguageSummary(factors) {
+    const { people, places, organizations } = factors.entities;
+    return {
+      sentenceCount: factors.sentenceCount,
+      wordCount: factors.wordCount,
+      verbCount: factors.verbCount,
+      nounCount: factors.nounCount,
+      tense: factors.tense,
+      callToAction: factors.callToAction,
+      negation: factors.negation,
+      entities: [...people, ...places, ...organizations]
+    };
   }
 
   analyzeFactors() {
+    const words = this.tweet.split(/\s+/).filter(Boolean);
+    const letterWords = words.filter(word => /[A-Za-z]{2,}/.test(word));
+    const capsWords = letterWords.filter(word => word === word.toUpperCase());
+    const hashtagAnalysis = analyzeHashtags(this.tweet);
+    const hashtags = hashtagAnalysis.hashtags.map(hashtag => hashtag.text);
+    const mentions = extractMentions(this.tweet).map(screenName => `@${screenName}`);
+    const emojiCount = (this.tweet.match(/\p{Extended_Pictographic}/gu) || []).length;
+    const links = extractUrls(this.tweet);
+
     return {
-      length: this.tweet.length,
-      hasHashtags: this.tweet.includes('#'),
-      hasMentions: this.tweet.includes('@'),
-      hasEmojis: /[\u{1F300}-\u{1F9FF}]/u.test(this.tweet),
+      length: parseTweet(this.tweet).weightedLength,
+      characterCount: [...this.tweet].length,
+      wordCount: words.length,
+      hasHashtags: hashtags.length > 0,
+      hashtags,
+      hashtagCount: hashtags.length,
+      leadingHashtags: hashtagAnalysis.leading,
+      unreadableHashtags: hashtagAnalysis.unreadable,
+      longHashtags: hashtagAnalysis.tooLong,
+      hasMentions: mentions.length > 0,
+      mentions,
+      mentionCount: mentions.length,
+      startsWithMention: this.tweet.startsWith('@'),
+      hasEmojis: emojiCount > 0,
+      emojiCount,
       hasNumbers: /\d/.test(this.tweet),
-      hasQuestions: this.tweet.includes('?')
+      hasQuestions: this.tweet.includes('?'),
+      exclamationCount: (this.tweet.match(/!/g) || []).length,
+      links,
+      linkCount: links.length,
+      capsWords,
+      capsRatio: letterWords.length ? capsWords.length / letterWords.length : 0,
+      polarity: this.analyzeSentiment().polarity,
+      dominantEmotions: this.analyzeSentiment().dominantEmotions,
+      readingEase: this.analyzeReadability().readingEase,
+      clarityScore: this.analyzeReadability().clarityScore,
+      longWords: this.analyzeReadability().longWords,
+      jargonTerms: this.analyzeReadability().jargonTerms,
+      punctuationRuns: this.analyzeReadability().punctuationRuns,
+      isWallOfText: this.analyzeReadability().isWallOfText,
+      ...this.analyzeLanguage()
+    };
+  }
+
+  analyzeReadability() {
+    if (!this.readability) {
+      this.readability = new ReadabilityAnalyzer(this.tweet).analyze();
+    }
+    return this.readability;
+  }
+
+  analyzeSentiment() {
+    if (!this.sentiment) {
+      this.sentiment = new SentimentAnalyzer(this.tweet).analyze();
+    }
+    return this.sentiment;
+  }
+
+  // Linguistic features from the compromise library loaded in index.html
+  analyzeLanguage() {
+    const text = this.tweet.replace(/https?:\/\/\S+/g, '').trim();
+    if (typeof nlp !== 'function') return this.analyzeLanguageFallback(text);
+
+    try {
+      const doc = nlp(text);
+      const clean = items => items.map(item => item.replace(/[.,!?;:]+$/, '').trim()).filter(Boolean);
+      const imperatives = clean(doc.sentences().if('^#Infinitive').out('array'));
+      const phraseMatch = text.match(CALL_TO_ACTION_PATTERN);
+      const entities = {
+        people: clean(doc.people().out('array')),
+        places: clean(doc.places().out('array')),
+        organizations: clean(doc.organizations().out('array'))
+      };
+
+      let tense = 'present';
+      if (doc.has('(will|shall|gonna) #Verb') || doc.has('going to #Infinitive')) {
+        tense = 'future';
+      } else if (doc.match('#PastTense').length > doc.match('#PresentTense').length) {
+        tense = 'past';
+      }
+
+      return {
+        sentenceCount: doc.sentences().length,
+        verbCount: doc.verbs().length,
+        nounCount: doc.nouns().length,
+        hasCallToAction: imperatives.length > 0 || !!phraseMatch,
+        callToAction: imperatives[0] || (phraseMatch ? phraseMatch[0] : null),
+        entities,
+        entityCount: entities.people.length + entities.places.length + entities.organizations.length,
+        hasNegation: doc.has('#Negative') || NEGATION_PATTERN.test(text),
+        negation: (text.match(NEGATION_PATTERN) || [null])[0],
+        tense
+      };
+    } catch (error) {
+      console.warn('NLP analysis failed, using fallback:', error);
+      return this.analyzeLanguageFallback(text);
+    }
+  }
+
+  analyzeLanguageFallback(text) {
+    const phraseMatch = text.match(CALL_TO_ACTION_PATTERN);
+    let tense = 'present';
+    if (/\b(will|shall|gonna|going to)\s+\w+/i.test(text)) {
+      tense = 'future';
+    } else if (/\b\w+ed\b/i.test(text)) {
+      tense = 'past';
+    }
+
+    return {
+      sentenceCount: text.split(/[.!?]+/).filter(part => part.trim()).length,
+      verbCount: null,
+      nounCount: null,
+      hasCallToAction: !!phraseMatch,
+      callToAction: phraseMatch ? phraseMatch[0] : null,
+      entities: { people: [], places: [], organizations: [] },
+      entityCount: 0,
+      hasNegation: NEGATION_PATTERN.test(text),
+      negation: (text.match(NEGATION_PATTERN) || [null])[0],
+      tense
+    };
+  }
+}
+
+// === Thread Analyzer Class ===
+// Scores each tweet with TweetAnalyzer, then assesses the thread as a whole:
+// how strong the opening hook is, how likely readers are to drop off, and
+// whether the pacing is steady.
+const THREAD_HOOK_MARKERS = /🧵|👇|\bthread\b|^\s*1\s*\//i;
+
+class ThreadAnalyzer {
+  constructor(tweets, options = {}) {
+    this.tweets = tweets.map(tweet => tweet.trim()).filter(Boolean);
+    this.options = options;
+  }
+
+  analyze() {
+    const tweets = this.tweets.map(tweet => new TweetAnalyzer(tweet, this.options).analyze());
+    const hook = this.assessHook(tweets[0]);
+    const dropOff = this.assessDropOff(tweets);
+    const pacing = this.assessPacing(tweets);
+    const score = this.calculateScore(tweets, hook, dropOff, pacing);
+
+    return {
+      score,
+      engagement: TweetAnalyzer.getEngagementLevel(score),
+      reach: TweetAnalyzer.getReachLevel(score),
+      analysis: this.generateAnalysis(tweets, hook, dropOff, pacing),
+      suggestions: this.generateSuggestions(tweets, hook, dropOff, pacing),
+      optimalTime: tweets[0].optimalTime,
+      tweets: tweets.map((analysis, index) => ({ content: this.tweets[index], ...analysis })),
+      thread: { hook, dropOff, pacing }
+    };
+  }
+
+  calculateScore(tweets, hook, dropOff, pacing) {
+    const rest = tweets.slice(1);
+    const body = rest.length
+      ? rest.reduce((sum, tweet) => sum + tweet.score, 0) / rest.length
+      : tweets[0].score;
+
+    const total = hook.score * 0.45 + body * 0.55 - dropOff.penalty + pacing.adjustment;
+    return Math.max(0, Math.min(100, Math.round(total)));
+  }
+
+  assessHook(first) {
+    const { factors } = first;
+    const signals = [
+      { met: factors.hasQuestions, reason: 'opens with a question', advice: 'open with a question' },
+      { met: factors.hasNumbers, reason: 'promises something specific with a number', advice: 'promise something specific, like "5 lessons"' },
+      { met: factors.dominantEmotions.some(emotion => ['curiosity', 'excitement'].includes(emotion)), reason: 'creates curiosity or excitement', advice: 'create curiosity or excitement' },
+      { met: THREAD_HOOK_MARKERS.test(this.tweets[0]), reason: 'signals that a thread follows', advice: 'signal that a thread follows (🧵 or 👇)' },
+      { met: factors.length <= 200, reason: 'leaves breathing room', advice: 'cut it under 200 characters' }
+    ];
+    const met = signals.filter(signal => signal.met);
+    const score = Math.round(first.score * 0.6 + (met.length / signals.length) * 40);
+
+    return {
+      score,
+      label: score >= 75 ? 'Strong' : score >= 55 ? 'Moderate' : 'Weak',
+      reasons: met.map(signal => signal.reason),
+      missing: signals.filter(signal => !signal.met).map(signal => signal.advice),
+      // Thread points gained by meeting one more hook signal
+      signalValue: Math.round((40 / signals.length) * 0.45)
+    };
+  }
+
+  assessDropOff(tweets) {
+    const reasons = [];
+    let risk = 0;
+
+    if (tweets.length > 10) {
+      risk += 30;
+      reasons.push(`${tweets.length} tweets is long; most readers stop before the end`);
+    } else if (tweets.length > 6) {
+      risk += 15;
+      reasons.push(`${tweets.length} tweets asks for a lot of attention`);
+    }
+
+    const weak = tweets.filter(tweet => tweet.score < 50);
+    if (weak.length) {
+      risk += Math.round((weak.length / tweets.length) * 40);
+      reasons.push(`${weak.length} weak tweet${weak.length > 1 ? 's' : ''} where readers may leave`);
+    }
+
+    if (tweets.length > 1) {
+      const lowest = Math.min(...tweets.slice(1).map(tweet => tweet.score));
+      if (tweets[0].score - lowest > 25) {
+        risk += 15;
+        reasons.push('quality falls sharply after the opener');
+      }
+    }
+
+    const averageLength = tweets.reduce((sum, tweet) => sum + tweet.factors.length, 0) / tweets.length;
+    if (averageLength > 230) {
+      risk += 10;
+      reasons.push('tweets are dense; most are near the character limit');
+    }
+
+    risk = Math.min(100, risk);
+    return {
+      risk,
+      level: risk >= 45 ? 'High' : risk >= 20 ? 'Medium' : 'Low',
+      penalty: Math.round(risk / 10),
+      weakTweets: weak.map(tweet => tweets.indexOf(tweet) + 1),
+      reasons
+    };
+  }
+
+  // Coefficient of variation of tweet lengths: low means a steady rhythm
+  assessPacing(tweets) {
+    const lengths = tweets.map(tweet => tweet.factors.length);
+    const mean = lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+    const variance = lengths.reduce((sum, length) => sum + (length - mean) ** 2, 0) / lengths.length;
+    const variation = mean ? Math.round(Math.sqrt(variance) / mean * 100) / 100 : 0;
+
+    if (tweets.length < 2) {
+      return { label: 'Single tweet', variation: 0, adjustment: 0, lengths };
+    }
+    if (variation < 0.35) {
+      return { label: 'Steady', variation, adjustment: 2, lengths };
+    }
+    if (variation < 0.6) {
+      return { label: 'Varied', variation, adjustment: 0, lengths };
+    }
+    return { label: 'Uneven', variation, adjustment: -3, lengths };
+  }
+
+  generateAnalysis(tweets, hook, dropOff, pacing) {
+    let summary = `${tweets.length}-tweet thread. Hook strength is ${hook.label.toLowerCase()} (${hook.score}/100)`;
+    summary += hook.reasons.length ? `: it ${hook.reasons.join(', ')}.` : '.';
+    summary += ` Drop-off risk is ${dropOff.level.toLowerCase()}`;
+    summary += dropOff.reasons.length ? ` (${dropOff.reasons.join('; ')}).` : '.';
+    summary += ` Pacing is ${pacing.label.toLowerCase()}.`;
+    return summary;
+  }
+
+  // Same shape as TweetAnalyzer suggestions, with thread-level advice first
+  // and then each tweet's top suggestion
+  generateSuggestions(tweets, hook, dropOff, pacing) {
+    const suggestions = [];
+
+    if (hook.label !== 'Strong' && hook.missing.length) {
+      suggestions.push({
+        id: 'thread_weak_hook',
+        category: 'thread',
+        priority: 'high',
+        message: `Strengthen the hook in tweet 1: ${hook.missing[0]}`,
+        span: null,
+        missing: 'hook',
+        impact: hook.signalValue
+      });
+    }
+
+    if (dropOff.weakTweets.length) {
+      suggestions.push({
+        id: 'thread_weak_tweets',
+        category: 'thread',
+        priority: 'medium',
+        message: `Rework or cut tweet${dropOff.weakTweets.length > 1 ? 's' : ''} ${dropOff.weakTweets.join(', ')}; weak tweets are where readers drop off`,
+        span: null,
+        missing: null,
+        impact: null
+      });
+    }
+
+    if (tweets.length > 10) {
+      suggestions.push({
+        id: 'thread_too_long',
+        category: 'thread',
+        priority: 'medium',
+        message: 'Trim the thread to 10 tweets or fewer',
+        span: null,
+        missing: null,
+        impact: 3
+      });
+    }
+
+    if (pacing.label === 'Uneven') {
+      suggestions.push({
+        id: 'thread_uneven_pacing',
+        category: 'thread',
+        priority: 'low',
+        message: 'Even out tweet lengths so the thread reads at a steady rhythm',
+        span: null,
+        missing: null,
+        impact: Math.abs(pacing.adjustment)
+      });
+    }
+
+    tweets.forEach((tweet, index) => {
+      const [top] = tweet.suggestions;
+      if (top) {
+        suggestions.push({ ...top, id: `tweet_${index + 1}_${top.id}`, message: `Tweet ${index + 1}: ${top.message}` });
+      }
+    });
+
+    return suggestions;
+  }
+}
+
+// === Text Diff ===
+// Word-level diff via longest common subsequence. Returns a list of
+// { type: 'same' | 'added' | 'removed', text } operations.
+function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      ops.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return ops;
+}
+
+// === Variant Comparator Class ===
+// Runs 2-5 tweet variants through TweetAnalyzer and explains the score gap
+// between each variant and the first one (the baseline).
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+
+class VariantComparator {
+  constructor(variants, options = {}) {
+    this.variants = variants.map(variant => variant.trim()).filter(Boolean);
+    this.options = options;
+  }
+
+  compare() {
+    const analyses = this.variants.map(variant => new TweetAnalyzer(variant, this.options).analyze());
+    const winnerIndex = analyses.reduce((best, analysis, index) =>
+      analysis.score > analyses[best].score ? index : best, 0);
+
+    return {
+      ...analyses[winnerIndex],
+      comparison: {
+        winnerIndex,
+        variants: analyses.map((analysis, index) => ({
+          label: VariantComparator.getLabel(index),
+          content: this.variants[index],
+          ...analysis
+        })),
+        factors: this.compareFactors(analyses),
+        changes: analyses.map((analysis, index) =>
+          index === 0 ? null : this.explainChange(analyses[0], analysis, this.variants[0], this.variants[index]))
+      }
+    };
+  }
+
+  static getLabel(index) {
+    return `Variant ${String.fromCharCode(65 + index)}`;
+  }
+
+  // One row per scoring factor with each variant's impact
+  compareFactors(analyses) {
+    return analyses[0].breakdown.map(item => {
+      const impacts = analyses.map(analysis =>
+        analysis.breakdown.find(entry => entry.factor === item.factor)?.impact ?? 0);
+      return {
+        factor: item.factor,
+        label: item.label,
+        impacts,
+        spread: Math.round((Math.max(...impacts) - Math.min(...impacts)) * 10) / 10
+      };
+    });
+  }
+
+  // Attributes the score change to the factors that moved and the words
+  // that were added or removed
+  explainChange(baseline, variant, baselineText, variantText) {
+    const factorChanges = variant.breakdown
+      .map(item => {
+        const before = baseline.breakdown.find(entry => entry.factor === item.factor);
+        return {
+          factor: item.factor,
+          label: item.label,
+          delta: Math.round((item.impact - (before?.impact ?? 0)) * 10) / 10,
+          before: before?.detail,
+          after: item.detail
+        };
+      })
+      .filter(change => change.delta !== 0)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+    const diff = diffWords(baselineText, variantText);
+
+    return {
+      scoreDelta: variant.score - baseline.score,
+      factorChanges,
+      added: diff.filter(op => op.type === 'added').map(op => op.text.trim()).filter(Boolean),
+      removed: diff.filter(op => op.type === 'removed').map(op => op.text.trim()).filter(Boolean)
     };
   }
 }
@@ -0,0 +1,124 @@
+// model-calibration.js
+// Fits per-user factor weights from recorded outcomes with ridge regression,
+// entirely in the browser. The regression is pulled toward the default
+// weights, so a handful of posts nudges the model rather than replacing it.
+
+// Fewer tracked posts than this can't say anything reliable about 15 weights
+const MIN_CALIBRATION_SAMPLES = 8;
+
+// Strength of the pull toward the default weights
+const RIDGE_LAMBDA = 4;
+
+// Learned weights stay within this multiple of the default, and never flip sign
+const MAX_WEIGHT_MULTIPLIER = 3;
+
+const CALIBRATION_VERSION = 1;
+
+// === Model Calibrator Class ===
+class ModelCalibrator {
+  /**
+   * @param {Array<{breakdown: Array<{factor: string, value: number}>, actualScore: number}>} samples
+   *   Stored factor values of each posted tweet and its actual 0-100 score
+   * @param {Object} model
+   * @param {Object<string, number>} model.defaultWeights
+   * @param {number} model.baseScore
+   */
+  constructor(samples, { defaultWeights, baseScore }) {
+    this.samples = (samples || []).filter(sample =>
+      Array.isArray(sample.breakdown) && Number.isFinite(sample.actualScore));
+    this.defaultWeights = defaultWeights;
+    this.baseScore = baseScore;
+    this.factors = Object.keys(defaultWeights);
+  }
+
+  static get minSamples() {
+    return MIN_CALIBRATION_SAMPLES;
+  }
+
+  canCalibrate() {
+    return this.samples.length >= MIN_CALIBRATION_SAMPLES;
+  }
+
+  // Returns the record stored in user_settings.model_weights
+  calibrate() {
+    if (!this.canCalibrate()) {
+      throw new Error(`Record results for at least ${MIN_CALIBRATION_SAMPLES} posted tweets to calibrate (you have ${this.samples.length})`);
+    }
+
+    const rows = this.samples.map(sample => this.getFeatureRow(sample.breakdown));
+    const targets = this.samples.map(sample => sample.actualScore - this.baseScore);
+    const prior = this.factors.map(factor => this.defaultWeights[factor]);
+
+    // Normal equations for ridge regression centred on the prior:
+    // (XᵀX + λI) w = Xᵀy + λ·w₀
+    const size = this.factors.length;
+    const matrix = Array.from({ length: size }, (_, i) =>
+      Array.from({ length: size }, (_, j) =>
+        rows.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j ? RIDGE_LAMBDA : 0)));
+    const vector = prior.map((weight, i) =>
+      rows.reduce((sum, row, k) => sum + row[i] * targets[k], 0) + RIDGE_LAMBDA * weight);
+
+    const solved = this.solve(matrix, vector);
+    const weights = {};
+    this.factors.forEach((factor, i) => {
+      const fallback = this.defaultWeights[factor];
+      const value = Number.isFinite(solved[i]) ? solved[i] : fallback;
+      weights[factor] = Math.round(Math.max(0, Math.min(fallback * MAX_WEIGHT_MULTIPLIER, value)) * 100) / 100;
+    });
+
+    return {
+      version: CALIBRATION_VERSION,
+      weights,
+      sampleCount: this.samples.length,
+      trainedAt: new Date().toISOString(),
+      error: {
+        before: this.meanAbsoluteError(this.defaultWeights),
+        after: this.meanAbsoluteError(weights)
+      }
+    };
+  }
+
+  getFeatureRow(breakdown) {
+    return this.factors.map(factor => breakdown.find(item => item.factor === factor)?.value ?? 0);
+  }
+
+  meanAbsoluteError(weights) {
+    const total = this.samples.reduce((sum, sample) => {
+      const predicted = this.factors.reduce((score, factor, i) =>
+        score + weights[factor] * this.getFeatureRow(sample.breakdown)[i], this.baseScore);
+      return sum + Math.abs(Math.max(0, Math.min(100, predicted)) - sample.actualScore);
+    }, 0);
+    return Math.round(total / this.samples.length * 10) / 10;
+  }
+
+  // Gaussian elimination with partial pivoting. The ridge term keeps the
+  // matrix positive definite, so a pivot of zero means bad input.
+  solve(matrix, vector) {
+    const size = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < size; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < size; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      if (Math.abs(a[pivot][col]) < 1e-12) return new Array(size).fill(NaN);
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+
+      for (let row = col + 1; row < size; row++) {
+        const factor = a[row][col] / a[col][col];
+        for (let k = col; k <= size; k++) a[row][k] -= factor * a[col][k];
+      }
+    }
+
+    const result = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row--) {
+      let sum = a[row][size];
+      for (let k = row + 1; k < size; k++) sum -= a[row][k] * result[k];
+      result[row] = sum / a[row][row];
+    }
+    return result;
+  }
+}
+
+export { ModelCalibrator };
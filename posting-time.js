@@ -0,0 +1,202 @@
+// posting-time.js
+// Recommends posting windows in the user's own timezone. Starts from the
+// topic's typical audience hours, weights them by day of week and the user's
+// preferred schedule, then adjusts them with how the user's own posts
+// actually performed at those times.
+
+import { TOPIC_TAXONOMY } from './topic-taxonomy.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Baseline activity by day of week (Sunday first), before the topic's
+// weekend adjustment
+const DAY_WEIGHTS = [0.8, 0.95, 1, 1, 0.98, 0.9, 0.8];
+
+// Outcomes needed before the user's own data outweighs the baseline; the
+// learned multiplier is shrunk toward 1 by this many "virtual" average posts
+const OUTCOME_PRIOR_STRENGTH = 3;
+
+const SCHEDULE_DAY_BOOST = 1.1;
+const SCHEDULE_HOUR_BOOST = 1.15;
+
+const DEFAULT_WINDOW_COUNT = 5;
+
+// === Posting Time Recommender Class ===
+class PostingTimeRecommender {
+  /**
+   * @param {Object} options
+   * @param {string} [options.timezone] IANA timezone, e.g. "America/New_York"
+   * @param {Object} [options.schedule] user_settings.default_posting_schedule,
+   *   shaped like { days: ['mon', 'wed'], hours: [9, 18] }
+   * @param {Array<{postedAt: string|Date, engagement: number}>} [options.outcomes]
+   *   Recorded results of the user's past posts
+   * @param {string} [options.topic] Key in TOPIC_TAXONOMY
+   * @param {Date} [options.now]
+   */
+  constructor({ timezone = 'UTC', schedule = {}, outcomes = [], topic = 'general', now = new Date() } = {}) {
+    this.timezone = PostingTimeRecommender.isValidTimezone(timezone) ? timezone : 'UTC';
+    this.schedule = this.normalizeSchedule(schedule);
+    this.topic = TOPIC_TAXONOMY[topic] ? topic : 'general';
+    this.now = now;
+    this.learned = this.learnFromOutcomes(outcomes);
+  }
+
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Ranked windows over the next seven days, best first
+  recommend(limit = DEFAULT_WINDOW_COUNT) {
+    const { dayIndex: today, hour: currentHour } = this.getLocalParts(this.now);
+    const topic = TOPIC_TAXONOMY[this.topic];
+    const candidates = [];
+
+    for (let offset = 0; offset < 7; offset++) {
+      const dayIndex = (today + offset) % 7;
+      const isWeekend = dayIndex === 0 || dayIndex === 6;
+      const dayWeight = DAY_WEIGHTS[dayIndex] * (isWeekend ? topic.weekendFactor : 1);
+
+      topic.activeHours.forEach(slot => {
+        if (offset === 0 && slot.end <= currentHour) return;
+
+        const reasons = [`${topic.label} audiences are active around this time`];
+        let score = slot.weight * dayWeight;
+
+        const learned = this.getLearnedMultiplier(dayIndex, slot);
+        score *= learned.multiplier;
+        if (learned.count > 0) {
+          const change = Math.round((learned.multiplier - 1) * 100);
+          reasons.push(change >= 0
+            ? `Your posts around this time beat your average by ${change}%`
+            : `Your posts around this time trail your average by ${-change}%`);
+        }
+
+        const matchesDay = this.schedule.days.includes(dayIndex);
+        const matchesHour = this.schedule.hours.some(hour => hour >= slot.start && hour < slot.end);
+        if (matchesDay) score *= SCHEDULE_DAY_BOOST;
+        if (matchesHour) score *= SCHEDULE_HOUR_BOOST;
+        if (matchesDay || matchesHour) reasons.push('Fits your preferred posting schedule');
+
+        const timeRange = `${this.formatHour(slot.start)} - ${this.formatHour(slot.end)}`;
+        candidates.push({
+          day: DAY_NAMES[dayIndex],
+          relativeDay: this.getDayLabel(offset, dayIndex),
+          dayIndex,
+          dayOffset: offset,
+          start: slot.start,
+          end: slot.end,
+          timeRange,
+          label: `${DAY_NAMES[dayIndex]}, ${timeRange}`,
+          timezone: this.timezone,
+          score: Math.round(score * 100) / 100,
+          confidence: this.getConfidence(learned.count, matchesDay || matchesHour),
+          reasons
+        });
+      });
+    }
+
+    return candidates
+      .sort((a, b) => b.score - a.score || a.dayOffset - b.dayOffset || a.start - b.start)
+      .slice(0, limit);
+  }
+
+  // Relative performance of each past post (engagement / the user's average),
+  // bucketed by local hour and day of week
+  learnFromOutcomes(outcomes) {
+    const valid = (outcomes || []).filter(outcome =>
+      outcome && outcome.postedAt && Number.isFinite(Number(outcome.engagement)));
+    const average = valid.reduce((sum, outcome) => sum + Number(outcome.engagement), 0) / (valid.length || 1);
+
+    const byHour = Array.from({ length: 24 }, () => ({ count: 0, total: 0 }));
+    const byDay = Array.from({ length: 7 }, () => ({ count: 0, total: 0 }));
+
+    if (average > 0) {
+      valid.forEach(outcome => {
+        const { dayIndex, hour } = this.getLocalParts(new Date(outcome.postedAt));
+        const relative = Number(outcome.engagement) / average;
+        byHour[hour].count += 1;
+        byHour[hour].total += relative;
+        byDay[dayIndex].count += 1;
+        byDay[dayIndex].total += relative;
+      });
+    }
+
+    return { byHour, byDay, total: valid.length };
+  }
+
+  getLearnedMultiplier(dayIndex, slot) {
+    // Include the hour either side of the window so sparse data still counts
+    let count = 0;
+    let total = 0;
+    for (let hour = slot.start - 1; hour <= slot.end; hour++) {
+      const bucket = this.learned.byHour[(hour + 24) % 24];
+      count += bucket.count;
+      total += bucket.total;
+    }
+
+    const day = this.learned.byDay[dayIndex];
+    const hourMultiplier = (total + OUTCOME_PRIOR_STRENGTH) / (count + OUTCOME_PRIOR_STRENGTH);
+    const dayMultiplier = (day.total + OUTCOME_PRIOR_STRENGTH) / (day.count + OUTCOME_PRIOR_STRENGTH);
+
+    return { multiplier: hourMultiplier * dayMultiplier, count: count + day.count };
+  }
+
+  // 0-1. Baseline-only recommendations stay low; every recorded outcome near
+  // the window raises confidence with diminishing returns.
+  getConfidence(outcomeCount, matchesSchedule) {
+    let confidence = 0.3;
+    confidence += 0.5 * (1 - Math.exp(-outcomeCount / 6));
+    confidence += Math.min(0.1, this.learned.total * 0.005);
+    if (this.topic !== 'general') confidence += 0.05;
+    if (matchesSchedule) confidence += 0.05;
+    return Math.round(Math.min(0.95, confidence) * 100) / 100;
+  }
+
+  // Accepts day keys ("mon"), full names ("Monday") or numbers (0 = Sunday),
+  // and hours as numbers or "HH:MM" strings
+  normalizeSchedule(schedule) {
+    const days = (schedule?.days || []).map(day => {
+      if (typeof day === 'number') return day;
+      return DAY_KEYS.indexOf(String(day).slice(0, 3).toLowerCase());
+    }).filter(day => day >= 0 && day <= 6);
+
+    const hours = (schedule?.hours || []).map(hour =>
+      typeof hour === 'number' ? hour : parseInt(String(hour).split(':')[0], 10)
+    ).filter(hour => hour >= 0 && hour <= 23);
+
+    return { days, hours };
+  }
+
+  getLocalParts(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      hour: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const weekday = parts.find(part => part.type === 'weekday').value.toLowerCase();
+    const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+    return { dayIndex: DAY_KEYS.indexOf(weekday), hour: hour % 24 };
+  }
+
+  getDayLabel(offset, dayIndex) {
+    if (offset === 0) return 'Today';
+    if (offset === 1) return 'Tomorrow';
+    return DAY_NAMES[dayIndex];
+  }
+
+  formatHour(hour) {
+    const period = hour >= 12 && hour < 24 ? 'PM' : 'AM';
+    const display = hour % 12 === 0 ? 12 : hour % 12;
+    return `${display}:00 ${period}`;
+  }
+}
+
+export { PostingTimeRecommender };
@@ -0,0 +1,192 @@
+// prediction-accuracy.js
+// Compares predicted scores and levels with the results users record after
+// posting. Actual levels use the same labels as the predictions so the two
+// can be matched directly.
+
+const ENGAGEMENT_LEVELS = ['Low', 'Medium', 'High', 'Very High'];
+const REACH_LEVELS = ['Limited', 'Moderate', 'Good', 'Excellent'];
+
+// Engagement rate = (likes + retweets + replies) / impressions
+const ENGAGEMENT_RATE_THRESHOLDS = [
+  { min: 0.06, level: 'Very High' },
+  { min: 0.03, level: 'High' },
+  { min: 0.01, level: 'Medium' }
+];
+
+// Reach is judged against the user's own median impressions, since raw
+// impression counts depend mostly on follower count
+const REACH_RATIO_THRESHOLDS = [
+  { min: 2, level: 'Excellent' },
+  { min: 1, level: 'Good' },
+  { min: 0.5, level: 'Moderate' }
+];
+
+function getEngagementRate({ impressions, likes = 0, retweets = 0, replies = 0 }) {
+  if (!impressions) return 0;
+  return (likes + retweets + replies) / impressions;
+}
+
+// === Prediction Accuracy Class ===
+class PredictionAccuracy {
+  /**
+   * @param {Array<Object>} records One per posted tweet: predictedScore,
+   *   predictedEngagement, predictedReach, impressions, likes, retweets,
+   *   replies, postedAt
+   */
+  constructor(records) {
+    this.records = (records || []).filter(record => record.impressions > 0);
+  }
+
+  // Maps tweet_performance rows joined with their tweet_analyses row
+  static fromRows(rows) {
+    return (rows || [])
+      .filter(row => row.tweet_analyses)
+      .map(row => ({
+        analysisId: row.analysis_id,
+        tweetContent: row.tweet_analyses.tweet_content,
+        predictedScore: row.tweet_analyses.overall_score,
+        predictedEngagement: row.tweet_analyses.engagement_level,
+        predictedReach: row.tweet_analyses.reach_level,
+        breakdown: row.tweet_analyses.analysis_metadata?.breakdown,
+        impressions: row.impressions,
+        likes: row.likes,
+        retweets: row.retweets,
+        replies: row.replies,
+        postedAt: row.posted_at
+      }));
+  }
+
+  static getEngagementLevel(rate) {
+    return ENGAGEMENT_RATE_THRESHOLDS.find(({ min }) => rate >= min)?.level || 'Low';
+  }
+
+  static getReachLevel(impressions, medianImpressions) {
+    if (!medianImpressions) return 'Moderate';
+    const ratio = impressions / medianImpressions;
+    return REACH_RATIO_THRESHOLDS.find(({ min }) => ratio >= min)?.level || 'Limited';
+  }
+
+  analyze() {
+    const medianImpressions = this.median(this.records.map(record => record.impressions));
+    const rates = this.records.map(record => getEngagementRate(record));
+
+    const compared = this.records.map((record, index) => {
+      const engagementRate = rates[index];
+      const actualEngagement = PredictionAccuracy.getEngagementLevel(engagementRate);
+      const actualReach = PredictionAccuracy.getReachLevel(record.impressions, medianImpressions);
+
+      return {
+        ...record,
+        engagementRate,
+        // Where this post ranks among the user's own posts, on the 0-100
+        // scale the predicted score uses
+        actualScore: this.percentileRank(engagementRate, rates),
+        actualEngagement,
+        actualReach,
+        engagementMiss: this.levelDistance(ENGAGEMENT_LEVELS, record.predictedEngagement, actualEngagement),
+        reachMiss: this.levelDistance(REACH_LEVELS, record.predictedReach, actualReach)
+      };
+    });
+
+    return {
+      count: compared.length,
+      medianImpressions,
+      ...this.summarize(compared),
+      correlation: this.correlation(
+        compared.map(record => record.predictedScore),
+        compared.map(record => record.engagementRate)
+      ),
+      timeline: this.buildTimeline(compared),
+      records: compared.sort((a, b) => new Date(b.postedAt) - new Date(a.postedAt))
+    };
+  }
+
+  summarize(compared) {
+    const count = compared.length;
+    if (!count) {
+      return {
+        engagementHitRate: null,
+        reachHitRate: null,
+        withinOneLevelRate: null,
+        meanAbsoluteError: null,
+        bias: null
+      };
+    }
+
+    const rate = predicate => Math.round(compared.filter(predicate).length / count * 100) / 100;
+    const errors = compared.map(record => record.predictedScore - record.actualScore);
+
+    return {
+      engagementHitRate: rate(record => record.engagementMiss === 0),
+      reachHitRate: rate(record => record.reachMiss === 0),
+      withinOneLevelRate: rate(record => Math.abs(record.engagementMiss) <= 1),
+      meanAbsoluteError: Math.round(errors.reduce((sum, error) => sum + Math.abs(error), 0) / count),
+      // Positive when predictions run higher than reality
+      bias: Math.round(errors.reduce((sum, error) => sum + error, 0) / count)
+    };
+  }
+
+  // Monthly buckets by posting date, oldest first
+  buildTimeline(compared) {
+    const buckets = new Map();
+    compared.forEach(record => {
+      const period = new Date(record.postedAt).toISOString().slice(0, 7);
+      if (!buckets.has(period)) buckets.set(period, []);
+      buckets.get(period).push(record);
+    });
+
+    return [...buckets.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, records]) => ({
+        period,
+        ...this.summarize(records),
+        count: records.length,
+        avgPredicted: Math.round(records.reduce((sum, record) => sum + record.predictedScore, 0) / records.length),
+        avgActual: Math.round(records.reduce((sum, record) => sum + record.actualScore, 0) / records.length)
+      }));
+  }
+
+  // Signed number of levels between prediction and actual; positive when
+  // the prediction was too optimistic
+  levelDistance(levels, predicted, actual) {
+    const predictedIndex = levels.indexOf(predicted);
+    if (predictedIndex === -1) return null;
+    return predictedIndex - levels.indexOf(actual);
+  }
+
+  percentileRank(value, values) {
+    if (values.length < 2) return 50;
+    const below = values.filter(other => other < value).length;
+    const equal = values.filter(other => other === value).length;
+    return Math.round((below + (equal - 1) / 2) / (values.length - 1) * 100);
+  }
+
+  // Pearson correlation; null until there are enough points to mean anything
+  correlation(xs, ys) {
+    if (xs.length < 3) return null;
+
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+
+    xs.forEach((x, i) => {
+      covariance += (x - meanX) * (ys[i] - meanY);
+      varianceX += (x - meanX) ** 2;
+      varianceY += (ys[i] - meanY) ** 2;
+    });
+
+    if (!varianceX || !varianceY) return null;
+    return Math.round(covariance / Math.sqrt(varianceX * varianceY) * 100) / 100;
+  }
+
+  median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+export { PredictionAccuracy, getEngagementRate };
@@ -0,0 +1,128 @@
+// readability-analyzer.js
+// Readability and clarity metrics tuned for short social text. Classic formulas
+// are unstable on a few dozen words, so entities (URLs, @mentions, #hashtags)
+// and emojis are stripped first and the results are clamped to sane ranges.
+
+// Business and tech buzzwords that make a tweet harder to skim
+const JARGON_TERMS = [
+  'synergy', 'synergies', 'leverage', 'leveraging', 'paradigm', 'utilize', 'utilise',
+  'ideate', 'ideation', 'scalable', 'bandwidth', 'stakeholder', 'stakeholders',
+  'deliverable', 'deliverables', 'holistic', 'actionable', 'omnichannel',
+  'operationalize', 'incentivize', 'disruptive', 'disruption', 'optimization',
+  'verticals', 'ecosystem', 'learnings', 'core competency', 'best-in-class',
+  'value-add', 'thought leadership', 'circle back', 'move the needle', 'low-hanging fruit'
+];
+
+// Words of this many characters or syllables count as "long"
+const LONG_WORD_CHARS = 13;
+const LONG_WORD_SYLLABLES = 4;
+
+// Tweets longer than this with no line break read as a wall of text
+const WALL_OF_TEXT_LENGTH = 200;
+
+// === Readability Analyzer Class ===
+class ReadabilityAnalyzer {
+  constructor(text) {
+    this.text = text || '';
+    this.plainText = this.text
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/[@#]\w+/g, ' ')
+      .replace(/\p{Extended_Pictographic}/gu, ' ');
+  }
+
+  analyze() {
+    const words = this.getWords();
+    const sentenceCount = Math.max(1, this.plainText.split(/[.!?\n]+/).filter(part => /\w/.test(part)).length);
+    const syllables = words.reduce((sum, word) => sum + this.countSyllables(word), 0);
+    const longWords = words.filter(word =>
+      word.length >= LONG_WORD_CHARS || this.countSyllables(word) >= LONG_WORD_SYLLABLES
+    );
+    const jargonTerms = JARGON_TERMS.filter(term => this.containsTerm(term));
+    const capsWords = this.text.split(/\s+/).filter(word => /[A-Z]{2,}/.test(word) && word === word.toUpperCase());
+    const textWords = this.text.split(/\s+/).filter(word => /\p{L}{2,}/u.test(word));
+    const punctuationRuns = this.text.match(/([!?.,])\1{2,}|[!?]{3,}/g) || [];
+    const lineBreaks = (this.text.match(/\n/g) || []).length;
+
+    const readingEase = words.length
+      ? this.clamp(206.835 - 1.015 * (words.length / sentenceCount) - 84.6 * (syllables / words.length), 0, 100)
+      : 0;
+
+    const metrics = {
+      readingEase: Math.round(readingEase),
+      gradeLabel: this.getGradeLabel(readingEase),
+      wordCount: words.length,
+      sentenceCount,
+      avgWordLength: words.length
+        ? Math.round(words.reduce((sum, word) => sum + word.length, 0) / words.length * 10) / 10
+        : 0,
+      avgSentenceLength: Math.round(words.length / sentenceCount * 10) / 10,
+      longWords,
+      longWordRatio: words.length ? Math.round(longWords.length / words.length * 100) / 100 : 0,
+      jargonTerms,
+      capsRatio: textWords.length ? Math.round(capsWords.length / textWords.length * 100) / 100 : 0,
+      punctuationRuns,
+      hasExcessivePunctuation: punctuationRuns.length > 0,
+      lineBreaks,
+      isWallOfText: this.text.length > WALL_OF_TEXT_LENGTH && lineBreaks === 0
+    };
+
+    metrics.clarityScore = this.calculateClarityScore(metrics);
+    return metrics;
+  }
+
+  // Starts from the reading-ease score and subtracts penalties for each
+  // clarity problem. ALL-CAPS is reported but not penalized here because the
+  // main scoring model already has a capitalization factor.
+  calculateClarityScore(metrics) {
+    if (metrics.wordCount === 0) return 0;
+
+    let score = metrics.readingEase;
+    score -= Math.min(metrics.longWordRatio, 0.5) * 40;
+    score -= metrics.jargonTerms.length * 8;
+    score -= metrics.punctuationRuns.length * 6;
+    if (metrics.isWallOfText) score -= 12;
+    if (metrics.avgSentenceLength > 25) score -= 10;
+
+    return Math.round(this.clamp(score, 0, 100));
+  }
+
+  getGradeLabel(readingEase) {
+    if (readingEase >= 90) return 'Very easy';
+    if (readingEase >= 70) return 'Easy';
+    if (readingEase >= 60) return 'Plain English';
+    if (readingEase >= 50) return 'Fairly difficult';
+    if (readingEase >= 30) return 'Difficult';
+    return 'Very difficult';
+  }
+
+  getWords() {
+    return this.plainText
+      .split(/[^\p{L}\p{N}'-]+/u)
+      .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+      .filter(word => /\p{L}/u.test(word));
+  }
+
+  // Vowel-group heuristic; good enough for English reading-ease estimates
+  countSyllables(word) {
+    const clean = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!clean) return 1;
+    if (clean.length <= 3) return 1;
+
+    const trimmed = clean
+      .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '')
+      .replace(/^y/, '');
+    const groups = trimmed.match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 1);
+  }
+
+  containsTerm(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}])${escaped}($|[^\\p{L}])`, 'iu').test(this.text);
+  }
+
+  clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+}
+
+export { ReadabilityAnalyzer };
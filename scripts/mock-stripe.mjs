@@ -0,0 +1,108 @@
+// mock-stripe.mjs
+// Local stand-in for Stripe's event stream. Plays a customer through a
+// sequence of billing steps and either applies the events in memory (the
+// default, no database needed) or posts them, signed, to a webhook URL such
+// as the stripe-webhook function under `supabase functions serve`.
+//
+//   node scripts/mock-stripe.mjs pack pro renew fail cancel resume end
+//   node scripts/mock-stripe.mjs pro --duplicate
+//   node scripts/mock-stripe.mjs pack-delayed settle
+//   node scripts/mock-stripe.mjs pack --user <uuid> \
+//     --webhook http://localhost:54321/functions/v1/stripe-webhook --secret whsec_test
+//
+// Steps: pack, pack-delayed (paid by bank debit; settle or settle-fail clears
+// or fails it), pro, renew, fail, cancel (at period end), cancel-now, resume, end.
+// Options: --user, --email, --customer, --trial-days N, --duplicate (deliver
+// every event twice), --webhook URL, --secret (or STRIPE_WEBHOOK_SECRET).
+
+import { randomUUID } from 'node:crypto';
+import { BillingEventProcessor } from '../supabase/functions/_shared/billing-events.js';
+import { MockStripe, MemoryBillingStore, signPayload } from '../supabase/functions/_shared/mock-stripe.js';
+
+const STEPS = {
+  pack: (mock, options) => mock.checkout('pack', options),
+  'pack-delayed': (mock, options) => mock.checkout('pack', { ...options, delayedPayment: true }),
+  pro: (mock, options) => mock.checkout('pro', options),
+  settle: mock => mock.settlePayment(),
+  'settle-fail': mock => mock.settlePayment({ succeeded: false }),
+  renew: mock => mock.renew(),
+  fail: mock => mock.failPayment(),
+  cancel: mock => mock.cancel(),
+  'cancel-now': mock => mock.cancel({ atPeriodEnd: false }),
+  resume: mock => mock.resume(),
+  end: mock => mock.end()
+};
+
+function parseArgs(argv) {
+  const args = { steps: [], options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--duplicate') {
+      args.options.duplicate = true;
+    } else if (arg.startsWith('--')) {
+      args.options[arg.slice(2)] = argv[++i];
+    } else {
+      args.steps.push(arg);
+    }
+  }
+  return args;
+}
+
+async function deliver(event, { webhook, secret }) {
+  const payload = JSON.stringify(event);
+  const response = await fetch(webhook, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': await signPayload(payload, secret)
+    },
+    body: payload
+  });
+  const body = await response.json().catch(() => ({}));
+  return { ...body, status: body.status || `HTTP ${response.status}`, error: body.error };
+}
+
+async function main() {
+  const { steps, options } = parseArgs(process.argv.slice(2));
+  const unknown = steps.filter(step => !STEPS[step]);
+  if (!steps.length || unknown.length) {
+    console.error(`Usage: node scripts/mock-stripe.mjs <${Object.keys(STEPS).join('|')}>... [options]`);
+    if (unknown.length) console.error(`Unknown step: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  const userId = options.user || randomUUID();
+  const secret = options.secret || process.env.STRIPE_WEBHOOK_SECRET;
+  if (options.webhook && !secret) {
+    console.error('--webhook needs --secret or STRIPE_WEBHOOK_SECRET');
+    process.exit(1);
+  }
+
+  const mock = new MockStripe({ userId, email: options.email, customerId: options.customer });
+  const store = new MemoryBillingStore([{ user_id: userId, email: options.email || 'mock@example.com' }]);
+  const processor = new BillingEventProcessor(store);
+  const send = event => options.webhook ? deliver(event, { webhook: options.webhook, secret }) : processor.process(event);
+
+  console.log(options.webhook ? `Posting to ${options.webhook} as user ${userId}` : `Processing in memory as user ${userId}`);
+  for (const step of steps) {
+    console.log(`\n${step}`);
+    const events = STEPS[step](mock, { trialDays: Number(options['trial-days']) || 0 });
+    for (const event of events) {
+      const deliveries = options.duplicate ? [event, event] : [event];
+      for (const delivery of deliveries) {
+        const result = await send(delivery);
+        console.log(`  ${event.type.padEnd(41)} ${event.id}  ${result.status}${result.error ? ` (${result.error})` : ''}`);
+      }
+    }
+  }
+
+  if (!options.webhook) {
+    console.log('\nProfile:', store.profiles.get(userId));
+    console.log('Usage logs:', store.logs.map(log => log.action_type).join(', ') || 'none');
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+// sentiment-analyzer.js
+// Lexicon-based sentiment and emotional-tone analysis. Everything runs locally
+// in the browser; no text ever leaves the page.
+
+// === Polarity Lexicon ===
+// AFINN-style valences from -5 (very negative) to +5 (very positive)
+const POLARITY_LEXICON = {
+  // positive
+  love: 3, loved: 3, loving: 3, lovely: 3, like: 2, liked: 2, enjoy: 2, enjoyed: 2,
+  amazing: 4, awesome: 4, incredible: 4, fantastic: 4, wonderful: 4, brilliant: 4,
+  excellent: 3, great: 3, good: 3, nice: 3, cool: 1, fun: 4, happy: 3, glad: 3,
+  excited: 3, exciting: 3, thrilled: 4, proud: 2, grateful: 3, thankful: 2, thanks: 2,
+  thank: 2, best: 3, better: 2, win: 4, won: 3, winning: 4, success: 2, successful: 3,
+  beautiful: 3, perfect: 3, easy: 1, helpful: 2, useful: 2, inspiring: 3, inspired: 2,
+  congrats: 2, congratulations: 2, celebrate: 3, finally: 1, free: 1, wow: 4, yay: 3,
+  hope: 2, hopeful: 2, laugh: 1, recommend: 2, solved: 1, smart: 1, strong: 2, fast: 1,
+  // negative
+  hate: -3, hated: -3, awful: -3, terrible: -3, horrible: -3, worst: -3, bad: -3,
+  worse: -3, sad: -2, angry: -3, annoyed: -2, annoying: -2, frustrated: -2,
+  frustrating: -2, frustrations: -2, disappointed: -2, disappointing: -2, boring: -3,
+  fail: -2, failed: -2, failure: -2, broken: -1, problem: -2, problems: -2, issue: -1,
+  wrong: -2, ugly: -3, stupid: -2, ridiculous: -3, useless: -2, waste: -1, scam: -2,
+  sucks: -3, sick: -2, tired: -2, lost: -3, lose: -3, losing: -3, pain: -2, painful: -2,
+  worried: -3, worry: -3, scared: -2, afraid: -2, furious: -3, outraged: -4, disgusting: -3,
+  meh: -1, okay: 0, ok: 0
+};
+
+// Emoji valences on the same scale
+const EMOJI_POLARITY = {
+  '😀': 2, '😃': 2, '😄': 2, '😁': 2, '😊': 2, '🙂': 1, '😍': 3, '🥰': 3, '😘': 2,
+  '😂': 2, '🤣': 2, '😆': 2, '😎': 2, '🤩': 3, '🥳': 3, '🎉': 3, '🚀': 2, '🔥': 2,
+  '✨': 1, '💯': 2, '👏': 2, '🙌': 2, '👍': 2, '❤': 3, '💪': 2, '🏆': 3,
+  '😢': -2, '😭': -2, '😞': -2, '😔': -2, '😟': -2, '😠': -3, '😡': -3, '🤬': -4,
+  '👎': -2, '💔': -3, '😤': -2, '🙄': -1, '😒': -1, '😩': -2, '😫': -2
+};
+
+// A negator flips the valence of the next few tokens
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'cannot',
+  "don't", "doesn't", "didn't", "isn't", "aren't", "wasn't", "weren't", "won't",
+  "can't", "couldn't", "shouldn't", "wouldn't", 'without'
+]);
+const NEGATION_WINDOW = 3;
+
+// Multipliers for the word that follows
+const INTENSIFIERS = {
+  very: 1.5, really: 1.4, so: 1.3, super: 1.5, extremely: 1.8, incredibly: 1.7,
+  absolutely: 1.6, totally: 1.4, truly: 1.3, insanely: 1.8, most: 1.3,
+  slightly: 0.6, somewhat: 0.7, kinda: 0.7, barely: 0.5, fairly: 0.8
+};
+
+// === Emotion Lexicon ===
+// Terms may be single words or short phrases; emojis are matched separately
+const EMOTION_LEXICON = {
+  excitement: {
+    terms: ['excited', 'exciting', 'thrilled', 'launch', 'launched', 'launching', 'finally',
+      "can't wait", 'cannot wait', 'announce', 'announcing', 'new', 'huge', 'big news',
+      'incredible', 'amazing', 'awesome', 'wow', 'lets go', "let's go", 'yay', 'celebrate'],
+    emojis: ['🚀', '🎉', '🔥', '🥳', '🤩', '✨', '💥', '⚡', '🙌', '💯']
+  },
+  anger: {
+    terms: ['angry', 'furious', 'outraged', 'hate', 'worst', 'ridiculous', 'unacceptable',
+      'disgusting', 'sick of', 'fed up', 'annoyed', 'annoying', 'scam', 'rage', 'shame',
+      'pathetic', 'terrible', 'stop'],
+    emojis: ['😠', '😡', '🤬', '😤', '👎', '💢']
+  },
+  humor: {
+    terms: ['lol', 'lmao', 'lmfao', 'rofl', 'haha', 'hahaha', 'funny', 'hilarious', 'joke',
+      'jk', 'kidding', 'meme', 'plot twist', 'nobody:', 'me:'],
+    emojis: ['😂', '🤣', '😆', '😜', '🙃', '💀', '🤡']
+  },
+  curiosity: {
+    terms: ['why', 'how', 'what if', 'wonder', 'curious', 'secret', 'secrets', 'discover',
+      'revealed', 'mystery', 'guess', 'did you know', 'here is why', "here's why",
+      'the truth', 'find out', 'thread', 'learn'],
+    emojis: ['🤔', '👀', '🧐', '❓', '👇']
+  }
+};
+
+// An emotion needs this score (0-1) to count as dominant
+const DOMINANT_EMOTION_THRESHOLD = 0.34;
+
+// === Sentiment Analyzer Class ===
+class SentimentAnalyzer {
+  constructor(text) {
+    this.text = text || '';
+    this.lowerText = this.text.toLowerCase();
+  }
+
+  analyze() {
+    const polarity = this.analyzePolarity();
+    const emotions = this.analyzeEmotions();
+    const dominantEmotions = Object.entries(emotions)
+      .filter(([, score]) => score >= DOMINANT_EMOTION_THRESHOLD)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 2)
+      .map(([emotion]) => emotion);
+
+    return {
+      polarity: polarity.normalized,
+      label: this.getLabel(polarity.normalized),
+      intensity: this.analyzeIntensity(polarity.normalized),
+      emotions,
+      dominantEmotions,
+      terms: polarity.terms
+    };
+  }
+
+  tokenize() {
+    return this.lowerText
+      .replace(/https?:\/\/\S+/g, ' ')
+      .split(/[^\p{L}\p{N}'#@]+/u)
+      .map(token => token.replace(/^'+|'+$/g, ''))
+      .filter(Boolean);
+  }
+
+  analyzePolarity() {
+    const tokens = this.tokenize();
+    const terms = [];
+    let total = 0;
+    let negateFor = 0;
+    let multiplier = 1;
+
+    tokens.forEach(token => {
+      const word = token.replace(/^[#@]/, '');
+
+      if (NEGATORS.has(word)) {
+        negateFor = NEGATION_WINDOW;
+        return;
+      }
+
+      if (INTENSIFIERS[word]) {
+        multiplier = INTENSIFIERS[word];
+        return;
+      }
+
+      const valence = POLARITY_LEXICON[word];
+      if (valence) {
+        const value = valence * multiplier * (negateFor > 0 ? -0.75 : 1);
+        total += value;
+        terms.push({ term: word, value: Math.round(value * 10) / 10 });
+      }
+
+      multiplier = 1;
+      if (negateFor > 0) negateFor -= 1;
+    });
+
+    const emojis = this.text.match(/\p{Extended_Pictographic}/gu) || [];
+    emojis.forEach(emoji => {
+      const valence = EMOJI_POLARITY[emoji];
+      if (valence) {
+        total += valence;
+        terms.push({ term: emoji, value: valence });
+      }
+    });
+
+    // Squash the raw sum into [-1, 1]; alpha controls how quickly it saturates
+    const alpha = 15;
+    const normalized = total / Math.sqrt(total * total + alpha);
+
+    return { raw: total, normalized: Math.round(normalized * 100) / 100, terms };
+  }
+
+  analyzeEmotions() {
+    const emojis = this.text.match(/\p{Extended_Pictographic}/gu) || [];
+    const exclamations = (this.text.match(/!/g) || []).length;
+    const questions = (this.text.match(/\?/g) || []).length;
+    const emotions = {};
+
+    Object.entries(EMOTION_LEXICON).forEach(([emotion, { terms, emojis: emotionEmojis }]) => {
+      let hits = terms.filter(term => this.containsTerm(term)).length;
+      hits += emojis.filter(emoji => emotionEmojis.includes(emoji)).length;
+
+      if (emotion === 'excitement') hits += Math.min(exclamations, 2) * 0.5;
+      if (emotion === 'curiosity') hits += Math.min(questions, 2);
+
+      emotions[emotion] = Math.round(Math.min(1, hits / 3) * 100) / 100;
+    });
+
+    return emotions;
+  }
+
+  analyzeIntensity(polarity) {
+    const letters = this.text.replace(/[^A-Za-z]/g, '');
+    const capsRatio = letters.length ? letters.replace(/[^A-Z]/g, '').length / letters.length : 0;
+    const exclamations = (this.text.match(/!/g) || []).length;
+    const intensifiers = this.tokenize().filter(token => (INTENSIFIERS[token] || 0) > 1).length;
+
+    const intensity = Math.abs(polarity) * 0.6
+      + Math.min(exclamations, 3) * 0.08
+      + Math.min(intensifiers, 2) * 0.08
+      + (capsRatio > 0.5 ? 0.15 : 0);
+
+    return Math.round(Math.min(1, intensity) * 100) / 100;
+  }
+
+  getLabel(polarity) {
+    if (polarity >= 0.5) return 'Very Positive';
+    if (polarity >= 0.15) return 'Positive';
+    if (polarity <= -0.5) return 'Very Negative';
+    if (polarity <= -0.15) return 'Negative';
+    return 'Neutral';
+  }
+
+  containsTerm(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}])${escaped}($|[^\\p{L}])`, 'u').test(this.lowerText);
+  }
+}
+
+export { SentimentAnalyzer };
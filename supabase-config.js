@@ -168,6 +168,28 @@ export const authHelpers = {
     }
   },
 
+  // Update the signed-in user's name and/or login email. A new email only
+  // takes effect once confirmed from the link Supabase sends to it; the
+  // profile's copy follows then (see handle_user_email_change)
+  async updateUser({ email, fullName } = {}) {
+    try {
+      const attributes = {}
+      if (email) attributes.email = email
+      if (fullName !== undefined) attributes.data = { full_name: fullName }
+
+      const { data, error } = await supabase.auth.updateUser(attributes)
+
+      if (error) {
+        console.error('Update user error:', error)
+      }
+
+      return { user: data?.user || null, error }
+    } catch (err) {
+      console.error('Update user exception:', err)
+      return { user: null, error: err }
+    }
+  },
+
   // Test connection
   async testConnection() {
     try {
@@ -236,58 +258,40 @@ export const dbHelpers = {
     }
   },
 
-  // Check if user can perform analysis
+  // Check if user can perform analysis. Reads get_analysis_quota, the same
+  // source decrement_analysis_count spends from, so the gate and the usage
+  // display always agree. The free allowance resets at local midnight in
+  // user_settings.timezone.
   async canPerformAnalysis(userId) {
     try {
       if (!userId) {
         return { canAnalyze: false, error: 'User ID is required' }
       }
 
-      const { data: profile, error } = await this.getUserProfile(userId)
-      if (error || !profile) {
+      const { data: quota, error } = await supabase.rpc('get_analysis_quota', { user_uuid: userId })
+      if (error || !quota) {
         return { canAnalyze: false, error: error || 'Profile not found' }
       }
 
-      const now = new Date()
-      const today = now.toISOString().split('T')[0]
-
-      // Check based on plan type
-      if (profile.plan_type === 'free') {
-        // Free users: 3 analyses per day
-        const { data: todayAnalyses, error: countError } = await supabase
-          .from('tweet_analyses')
-          .select('id')
-          .eq('user_id', userId)
-          .gte('created_at', today + 'T00:00:00')
-          .lt('created_at', today + 'T23:59:59')
-
-        if (countError) {
-          console.error('Error counting analyses:', countError)
-          return { canAnalyze: false, error: countError }
-        }
-        
-        const remainingAnalyses = 3 - (todayAnalyses?.length || 0)
-        return {
-          canAnalyze: remainingAnalyses > 0,
-          remainingAnalyses,
-          planType: 'free'
-        }
-      } else if (profile.plan_type === 'pack') {
-        // Pack users: limited analyses
-        const remaining = profile.pack_analyses_remaining || 0
-        return {
-          canAnalyze: remaining > 0,
-          remainingAnalyses: remaining,
-          packAnalyses: remaining,
-          planType: 'pack'
-        }
-      } else if (profile.plan_type === 'pro') {
+      const packAnalyses = quota.pack_analyses_remaining || 0
+      const base = {
+        planType: quota.plan_type,
+        packAnalyses,
+        dailyLimit: quota.daily_limit,
+        dailyRemaining: quota.daily_remaining,
+        resetsAt: quota.resets_at,
+        timezone: quota.timezone
+      }
+
+      if (quota.plan_type === 'pro') {
         // Pro users: unlimited
-        return {
-          canAnalyze: true,
-          remainingAnalyses: -1, // -1 indicates unlimited
-          planType: 'pro'
-        }
+        return { ...base, canAnalyze: true, remainingAnalyses: -1 } // -1 indicates unlimited
+      }
+
+      if (quota.plan_type === 'free' || quota.plan_type === 'pack') {
+        // Pack analyses are spent first, then the free daily allowance
+        const remainingAnalyses = packAnalyses + (quota.daily_remaining || 0)
+        return { ...base, canAnalyze: remainingAnalyses > 0, remainingAnalyses }
       }
 
       return { canAnalyze: false, error: 'Invalid plan type' }
@@ -300,42 +304,23 @@ export const dbHelpers = {
   // Rest of your existing dbHelpers methods...
   // (keeping them as they are since they look correct)
   
+  // Checks and spends one credit in a single locked database call (see
+  // decrement_analysis_count), so concurrent analyses can't both spend the
+  // last credit. reason is set when nothing was consumed.
   async consumeAnalysisCredit(userId) {
     try {
-      const { data: profile, error } = await this.getUserProfile(userId)
+      const { data, error } = await supabase.rpc('decrement_analysis_count', { user_uuid: userId })
       if (error) return { success: false, error }
 
-      if (profile.plan_type === 'pack') {
-        const { error: updateError } = await supabase
-          .from('user_profiles')
-          .update({ 
-            pack_analyses_remaining: Math.max(0, (profile.pack_analyses_remaining || 0) - 1),
-            total_analyses_used: (profile.total_analyses_used || 0) + 1
-          })
-          .eq('user_id', userId)
-        
-        return { success: !updateError, error: updateError }
-      }
-
-      if (profile.plan_type === 'free') {
-        const { error: updateError } = await supabase
-          .from('user_profiles')
-          .update({ 
-            total_analyses_used: (profile.total_analyses_used || 0) + 1
-          })
-          .eq('user_id', userId)
-        
-        return { success: !updateError, error: updateError }
+      return {
+        success: data?.consumed === true,
+        reason: data?.reason || null,
+        source: data?.source || null,
+        planType: data?.plan_type,
+        remainingAnalyses: data?.analyses_remaining,
+        packAnalyses: data?.pack_analyses_remaining,
+        error: null
       }
-
-      const { error: updateError } = await supabase
-        .from('user_profiles')
-        .update({ 
-          total_analyses_used: (profile.total_analyses_used || 0) + 1
-        })
-        .eq('user_id', userId)
-
-      return { success: !updateError, error: updateError }
     } catch (err) {
       return { success: false, error: err }
     }
@@ -354,7 +339,8 @@ export const dbHelpers = {
           detailed_analysis: analysisData.detailedAnalysis,
           suggestions: analysisData.suggestions,
           optimal_posting_time: analysisData.optimalPostingTime,
-          metadata: analysisData.metadata || {}
+          analysis_version: analysisData.analysisVersion,
+          analysis_metadata: analysisData.metadata || {}
         })
         .select()
         .single()
@@ -369,7 +355,7 @@ export const dbHelpers = {
     try {
       const { data, error } = await supabase
         .from('tweet_analyses')
-        .select('*')
+        .select('*, tweet_performance(*)')
         .eq('user_id', userId)
         .order('created_at', { ascending: false })
         .range(offset, offset + limit - 1)
@@ -380,6 +366,88 @@ export const dbHelpers = {
     }
   },
 
+  // One row per analysis; recording again overwrites the earlier numbers
+  async saveTweetPerformance(userId, analysisId, performance) {
+    try {
+      const { data, error } = await supabase
+        .from('tweet_performance')
+        .upsert({
+          user_id: userId,
+          analysis_id: analysisId,
+          impressions: performance.impressions,
+          likes: performance.likes,
+          retweets: performance.retweets,
+          replies: performance.replies,
+          posted_at: performance.postedAt
+        }, { onConflict: 'analysis_id' })
+        .select()
+        .single()
+
+      return { data, error }
+    } catch (err) {
+      return { data: null, error: err }
+    }
+  },
+
+  async getPerformanceHistory(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('tweet_performance')
+        .select('*, tweet_analyses(tweet_content, overall_score, engagement_level, reach_level, analysis_metadata, created_at)')
+        .eq('user_id', userId)
+        .order('posted_at', { ascending: false })
+
+      return { data, error }
+    } catch (err) {
+      return { data: null, error: err }
+    }
+  },
+
+  // Filtered, sorted page of a user's analyses plus the total match count.
+  // Search uses the GIN full-text index on tweet_content; sorting by date or
+  // score uses the (user_id, created_at) and (user_id, overall_score) indexes.
+  async searchAnalysisHistory(userId, options = {}) {
+    const {
+      search = '',
+      minScore = null,
+      maxScore = null,
+      engagementLevels = [],
+      reachLevels = [],
+      from = null,
+      to = null,
+      sortBy = 'created_at',
+      ascending = false,
+      limit = 20,
+      offset = 0
+    } = options
+
+    try {
+      let query = supabase
+        .from('tweet_analyses')
+        .select('*, tweet_performance(*)', { count: 'exact' })
+        .eq('user_id', userId)
+
+      if (search.trim()) {
+        query = query.textSearch('tweet_content', search.trim(), { type: 'websearch', config: 'english' })
+      }
+      if (minScore !== null) query = query.gte('overall_score', minScore)
+      if (maxScore !== null) query = query.lte('overall_score', maxScore)
+      if (engagementLevels.length) query = query.in('engagement_level', engagementLevels)
+      if (reachLevels.length) query = query.in('reach_level', reachLevels)
+      if (from) query = query.gte('created_at', from)
+      if (to) query = query.lte('created_at', to)
+
+      const { data, count, error } = await query
+        .order(sortBy === 'overall_score' ? 'overall_score' : 'created_at', { ascending })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1)
+
+      return { data, count, error }
+    } catch (err) {
+      return { data: null, count: 0, error: err }
+    }
+  },
+
   async logUserAction(userId, actionType, metadata = {}) {
     try {
       const { data, error } = await supabase
@@ -397,6 +465,34 @@ export const dbHelpers = {
     }
   },
 
+  async getUserSettings(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_settings')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle()
+
+      return { data, error }
+    } catch (err) {
+      return { data: null, error: err }
+    }
+  },
+
+  async updateUserSettings(userId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('user_settings')
+        .upsert({ user_id: userId, ...updates }, { onConflict: 'user_id' })
+        .select()
+        .single()
+
+      return { data, error }
+    } catch (err) {
+      return { data: null, error: err }
+    }
+  },
+
   async getUsageStats(userId, days = 30) {
     try {
       const startDate = new Date()
@@ -413,6 +509,171 @@ export const dbHelpers = {
     } catch (err) {
       return { data: null, error: err }
     }
+  },
+
+  async getDrafts(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('tweet_drafts')
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+
+      return { data, error }
+    } catch (err) {
+      return { data: null, error: err }
+    }
+  },
+
+  // Insert or update by id, so drafts created offline keep their id
+  async saveDraft(userId, draft) {
+    try {
+      const { data, error } = await supabase
+        .from('tweet_drafts')
+        .upsert({
+          id: draft.id,
+          user_id: userId,
+          name: draft.name,
+          content: draft.content,
+          versions: draft.versions
+        }, { onConflict: 'id' })
+        .select()
+        .single()
+
+      return { data, error }
+    } catch (err) {
+      return { data: null, error: err }
+    }
+  },
+
+  async deleteDraft(userId, draftId) {
+    try {
+      const { error } = await supabase
+        .from('tweet_drafts')
+        .delete()
+        .eq('id', draftId)
+        .eq('user_id', userId)
+
+      return { error }
+    } catch (err) {
+      return { error: err }
+    }
+  },
+
+  // Lifetime totals from the user_analytics view
+  async getUserAnalytics(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_analytics')
+        .select('total_analyses, avg_score, last_analysis_date, analyses_last_30_days, total_analyses_used, user_created_at')
+        .eq('user_id', userId)
+        .maybeSingle()
+
+      return { data, error }
+    } catch (err) {
+      return { data: null, error: err }
+    }
+  }
+}
+
+// Billing helper functions. Purchases go through the create-checkout-session
+// Edge Function; plans and credits only change once the stripe-webhook
+// function has applied Stripe's events (see supabase/functions).
+export const billingHelpers = {
+  // Returns { url, error }; send the browser to url to pay
+  async createCheckoutSession(plan) {
+    try {
+      const { data, error } = await supabase.functions.invoke('create-checkout-session', {
+        body: { plan }
+      })
+
+      if (error) {
+        // Non-2xx responses carry the function's own message in the body
+        const body = await error.context?.json?.().catch(() => null)
+        return { url: null, error: body?.error || error.message }
+      }
+
+      if (!data?.url) {
+        return { url: null, error: 'Checkout could not be started' }
+      }
+
+      return { url: data.url, error: null }
+    } catch (err) {
+      console.error('Create checkout session exception:', err)
+      return { url: null, error: err.message || err }
+    }
+  },
+
+  // Cancel Pro at the end of the paid period, or undo that. Returns
+  // { cancelAtPeriodEnd, currentPeriodEnd, error }
+  async updateSubscription(action) {
+    try {
+      const { data, error } = await supabase.functions.invoke('manage-subscription', {
+        body: { action }
+      })
+
+      if (error) {
+        const body = await error.context?.json?.().catch(() => null)
+        return { cancelAtPeriodEnd: null, currentPeriodEnd: null, error: body?.error || error.message }
+      }
+
+      return { ...data, error: null }
+    } catch (err) {
+      console.error('Update subscription exception:', err)
+      return { cancelAtPeriodEnd: null, currentPeriodEnd: null, error: err.message || err }
+    }
+  },
+
+  // The user's Stripe events, newest first, for the purchase history
+  async getBillingEvents(userId, limit = 100) {
+    try {
+      const { data, error } = await supabase
+        .from('subscription_events')
+        .select('id, event_type, event_data, processed, created_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit)
+
+      return { data: data || [], error }
+    } catch (err) {
+      return { data: [], error: err }
+    }
+  },
+
+  // Whether the webhook has applied a completed checkout yet. status is
+  // 'pending' until Stripe's event arrives, then 'processed' or 'failed'.
+  // A delayed payment method (such as a bank debit) completes checkout
+  // unpaid: status is then 'payment_pending' until the payment clears, or
+  // 'payment_failed' if it doesn't
+  async getCheckoutStatus(userId, sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('subscription_events')
+        .select('event_type, processed, processing_error, payment_status:event_data->>payment_status')
+        .eq('user_id', userId)
+        .in('event_type', ['checkout.session.completed', 'checkout.session.async_payment_succeeded', 'checkout.session.async_payment_failed'])
+        .eq('event_data->>id', sessionId)
+
+      if (error) return { status: null, error }
+
+      const eventStatus = event => {
+        if (!event) return 'pending'
+        if (event.processed) return 'processed'
+        return event.processing_error ? 'failed' : 'pending'
+      }
+      const completed = data.find(event => event.event_type === 'checkout.session.completed')
+      if (eventStatus(completed) !== 'processed' || completed.payment_status !== 'unpaid') {
+        return { status: eventStatus(completed), error: null }
+      }
+
+      if (data.some(event => event.event_type === 'checkout.session.async_payment_failed')) {
+        return { status: 'payment_failed', error: null }
+      }
+      const succeeded = data.find(event => event.event_type === 'checkout.session.async_payment_succeeded')
+      return { status: succeeded ? eventStatus(succeeded) : 'payment_pending', error: null }
+    } catch (err) {
+      return { status: null, error: err }
+    }
   }
 }
 
@@ -17,12 +17,14 @@ CREATE TABLE IF NOT EXISTS public.user_profiles (
     analyses_remaining INTEGER DEFAULT 3,
     pack_analyses_remaining INTEGER DEFAULT 0,
     total_analyses_used INTEGER DEFAULT 0,
-    daily_reset_date DATE DEFAULT CURRENT_DATE,
+    daily_resets_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- When the free allowance next refills
     
     -- Subscription management
     subscription_status TEXT DEFAULT 'inactive' CHECK (subscription_status IN ('active', 'inactive', 'cancelled', 'past_due', 'unpaid')),
     subscription_id TEXT, -- Stripe subscription ID
     customer_id TEXT, -- Stripe customer ID
+    current_period_end TIMESTAMP WITH TIME ZONE, -- When the paid Pro period ends or renews
+    cancel_at_period_end BOOLEAN DEFAULT FALSE,
     
     -- Timestamps
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -80,7 +82,7 @@ CREATE TABLE IF NOT EXISTS public.subscription_events (
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
     
     -- Stripe event details
-    event_type TEXT NOT NULL CHECK (event_type IN ('customer.subscription.created', 'customer.subscription.updated', 'customer.subscription.deleted', 'invoice.payment_succeeded', 'invoice.payment_failed', 'checkout.session.completed')),
+    event_type TEXT NOT NULL CHECK (event_type IN ('customer.subscription.created', 'customer.subscription.updated', 'customer.subscription.deleted', 'invoice.payment_succeeded', 'invoice.payment_failed', 'checkout.session.completed', 'checkout.session.async_payment_succeeded', 'checkout.session.async_payment_failed')),
     stripe_event_id TEXT UNIQUE NOT NULL,
     subscription_id TEXT,
     customer_id TEXT,
@@ -109,6 +111,42 @@ CREATE TABLE IF NOT EXISTS public.user_settings (
     -- Analysis preferences
     default_posting_schedule JSONB DEFAULT '{}', -- Store preferred posting times
     analysis_depth TEXT DEFAULT 'standard' CHECK (analysis_depth IN ('quick', 'standard', 'detailed')),
+    model_weights JSONB, -- Per-user calibrated factor weights; NULL means the default model
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Actual results of posted tweets, recorded by the user against an analysis
+CREATE TABLE IF NOT EXISTS public.tweet_performance (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    analysis_id UUID REFERENCES public.tweet_analyses(id) ON DELETE CASCADE UNIQUE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Metrics as reported by Twitter
+    impressions INTEGER NOT NULL DEFAULT 0 CHECK (impressions >= 0),
+    likes INTEGER NOT NULL DEFAULT 0 CHECK (likes >= 0),
+    retweets INTEGER NOT NULL DEFAULT 0 CHECK (retweets >= 0),
+    replies INTEGER NOT NULL DEFAULT 0 CHECK (replies >= 0),
+    engagement_rate NUMERIC GENERATED ALWAYS AS (
+        CASE WHEN impressions > 0 THEN (likes + retweets + replies)::NUMERIC / impressions END
+    ) STORED,
+    posted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Named tweet drafts. versions holds the saved revisions, oldest first, as
+-- [{ content, score, savedAt }]; ids are generated client-side so drafts
+-- written to localStorage while signed out keep their id when synced
+CREATE TABLE IF NOT EXISTS public.tweet_drafts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+    content TEXT NOT NULL DEFAULT '',
+    versions JSONB NOT NULL DEFAULT '[]',
     
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -123,13 +161,16 @@ CREATE INDEX IF NOT EXISTS idx_user_profiles_user_id ON public.user_profiles(use
 CREATE INDEX IF NOT EXISTS idx_user_profiles_email ON public.user_profiles(email);
 CREATE INDEX IF NOT EXISTS idx_user_profiles_plan_type ON public.user_profiles(plan_type);
 CREATE INDEX IF NOT EXISTS idx_user_profiles_subscription_status ON public.user_profiles(subscription_status);
-CREATE INDEX IF NOT EXISTS idx_user_profiles_daily_reset ON public.user_profiles(daily_reset_date) WHENEVER (plan_type = 'free');
+CREATE INDEX IF NOT EXISTS idx_user_profiles_customer_id ON public.user_profiles(customer_id) WHERE customer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_user_profiles_daily_reset ON public.user_profiles(daily_resets_at) WHERE (plan_type = 'free');
 
 -- Tweet analyses indexes
 CREATE INDEX IF NOT EXISTS idx_tweet_analyses_user_id ON public.tweet_analyses(user_id);
 CREATE INDEX IF NOT EXISTS idx_tweet_analyses_created_at ON public.tweet_analyses(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_tweet_analyses_overall_score ON public.tweet_analyses(overall_score DESC);
 CREATE INDEX IF NOT EXISTS idx_tweet_analyses_user_created ON public.tweet_analyses(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tweet_analyses_user_score ON public.tweet_analyses(user_id, overall_score DESC);
+CREATE INDEX IF NOT EXISTS idx_tweet_analyses_content_search ON public.tweet_analyses USING GIN (to_tsvector('english', tweet_content));
 
 -- Usage logs indexes
 CREATE INDEX IF NOT EXISTS idx_usage_logs_user_id ON public.usage_logs(user_id);
@@ -145,6 +186,12 @@ CREATE INDEX IF NOT EXISTS idx_subscription_events_processed ON public.subscript
 -- User settings indexes
 CREATE INDEX IF NOT EXISTS idx_user_settings_user_id ON public.user_settings(user_id);
 
+-- Tweet performance indexes
+CREATE INDEX IF NOT EXISTS idx_tweet_performance_user_posted ON public.tweet_performance(user_id, posted_at DESC);
+
+-- Tweet drafts indexes
+CREATE INDEX IF NOT EXISTS idx_tweet_drafts_user_updated ON public.tweet_drafts(user_id, updated_at DESC);
+
 -- ============================================================================
 -- ROW LEVEL SECURITY (RLS)
 -- ============================================================================
@@ -155,6 +202,8 @@ ALTER TABLE public.tweet_analyses ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.usage_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.subscription_events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tweet_performance ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tweet_drafts ENABLE ROW LEVEL SECURITY;
 
 -- User profiles policies
 CREATE POLICY "Users can view own profile" ON public.user_profiles
@@ -183,17 +232,31 @@ CREATE POLICY "Users can view own usage logs" ON public.usage_logs
 CREATE POLICY "System can insert usage logs" ON public.usage_logs
     FOR INSERT WITH CHECK (true); -- Allow system/service to insert logs
 
--- Subscription events policies (read-only for users)
+-- Subscription events policies (read-only for users). Only the Stripe
+-- webhook writes events, using the service role, which bypasses RLS
 CREATE POLICY "Users can view own subscription events" ON public.subscription_events
     FOR SELECT USING (auth.uid() = user_id);
 
-CREATE POLICY "System can manage subscription events" ON public.subscription_events
-    FOR ALL WITH CHECK (true); -- Allow webhook handlers to manage events
-
 -- User settings policies
 CREATE POLICY "Users can manage own settings" ON public.user_settings
     FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
 
+-- Tweet performance policies
+-- analysis_id is UNIQUE, so the check also requires the analysis to be the
+-- caller's; otherwise anyone could claim another user's analysis first
+CREATE POLICY "Users can manage own tweet performance" ON public.tweet_performance
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (
+        auth.uid() = user_id
+        AND EXISTS (
+            SELECT 1 FROM public.tweet_analyses ta
+            WHERE ta.id = analysis_id AND ta.user_id = auth.uid()
+        )
+    );
+
+-- Tweet drafts policies
+CREATE POLICY "Users can manage own drafts" ON public.tweet_drafts
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
 -- ============================================================================
 -- FUNCTIONS AND TRIGGERS
 -- ============================================================================
@@ -218,6 +281,16 @@ CREATE TRIGGER update_user_settings_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_tweet_performance_updated_at
+    BEFORE UPDATE ON public.tweet_performance
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_tweet_drafts_updated_at
+    BEFORE UPDATE ON public.tweet_drafts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to automatically create user profile and settings on signup
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS TRIGGER AS $$
@@ -255,76 +328,282 @@ CREATE TRIGGER on_auth_user_created
     AFTER INSERT ON auth.users
     FOR EACH ROW EXECUTE FUNCTION public.handle_new_user();
 
--- Function to reset daily analyses for free users
+-- Keeps the profile's email in step with the login email. Supabase only
+-- changes auth.users.email once the new address has been confirmed, so an
+-- unverified address never reaches the profile.
+CREATE OR REPLACE FUNCTION public.handle_user_email_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE public.user_profiles
+    SET email = NEW.email
+    WHERE user_id = NEW.id;
+    
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS on_auth_user_email_changed ON auth.users;
+CREATE TRIGGER on_auth_user_email_changed
+    AFTER UPDATE OF email ON auth.users
+    FOR EACH ROW
+    WHEN (OLD.email IS DISTINCT FROM NEW.email)
+    EXECUTE FUNCTION public.handle_user_email_change();
+
+-- ----------------------------------------------------------------------------
+-- Free daily quota
+-- user_profiles.analyses_remaining is the single source of truth for the
+-- free allowance, and daily_resets_at is the instant it next refills: the
+-- user's local midnight (from user_settings.timezone) when it was last
+-- topped up. The refill happens both lazily (decrement_analysis_count,
+-- get_analysis_quota) and through the scheduled reset_daily_analyses().
+-- Storing the instant rather than a local date means a later timezone
+-- change moves the following reset, never the one already due.
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION free_daily_analyses()
+RETURNS INTEGER AS $$
+    SELECT 3;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The user's IANA timezone, or UTC when unset or not recognized
+CREATE OR REPLACE FUNCTION user_timezone(user_uuid UUID)
+RETURNS TEXT AS $$
+    SELECT COALESCE(
+        (SELECT us.timezone
+         FROM public.user_settings us
+         WHERE us.user_id = user_uuid
+         AND EXISTS (SELECT 1 FROM pg_timezone_names tz WHERE tz.name = us.timezone)),
+        'UTC'
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- When the allowance refills next, for a top-up happening now: the next
+-- local midnight, but no sooner than the first local midnight 23 hours (the
+-- shortest day DST allows) after previous_reset. Switching to a timezone
+-- whose midnight comes sooner can't buy a second allowance the same day.
+CREATE OR REPLACE FUNCTION next_daily_reset(user_uuid UUID, previous_reset TIMESTAMP WITH TIME ZONE)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    tz TEXT := user_timezone(user_uuid);
+BEGIN
+    -- GREATEST ignores the NULL from a profile that has never been reset
+    RETURN GREATEST(
+        ((NOW() AT TIME ZONE tz)::DATE + 1)::TIMESTAMP AT TIME ZONE tz,
+        (((previous_reset + INTERVAL '23 hours' - INTERVAL '1 microsecond') AT TIME ZONE tz)::DATE + 1)::TIMESTAMP AT TIME ZONE tz
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Function to reset daily analyses for free users whose reset is due.
+-- Scheduled below; safe to run at any time.
 CREATE OR REPLACE FUNCTION reset_daily_analyses()
 RETURNS void AS $$
 BEGIN
-    UPDATE public.user_profiles 
+    UPDATE public.user_profiles up
     SET 
-        analyses_remaining = CASE 
-            WHEN plan_type = 'free' THEN 3
-            WHEN plan_type = 'pro' THEN 999999
-            ELSE analyses_remaining
-        END,
-        daily_reset_date = CURRENT_DATE
-    WHERE daily_reset_date < CURRENT_DATE
-    AND plan_type IN ('free');
+        analyses_remaining = free_daily_analyses(),
+        daily_resets_at = next_daily_reset(up.user_id, up.daily_resets_at)
+    WHERE up.plan_type = 'free'
+    AND (up.daily_resets_at IS NULL OR up.daily_resets_at <= NOW());
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Local midnight falls on a different UTC quarter-hour per timezone, so the
+-- reset runs every 15 minutes. Re-running this schedules the same job again
+-- rather than adding a second one.
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+SELECT cron.schedule('reset-daily-analyses', '*/15 * * * *', 'SELECT public.reset_daily_analyses()');
+
+-- Read-only view of what the user can analyze right now, counting a reset
+-- that is due but hasn't run yet. The app's gate and "x/3 remaining" display
+-- both read this. resets_at is when the allowance next refills.
+CREATE OR REPLACE FUNCTION get_analysis_quota(user_uuid UUID)
+RETURNS JSONB AS $$
+DECLARE
+    profile public.user_profiles%ROWTYPE;
+    tz TEXT := user_timezone(user_uuid);
+    reset_due BOOLEAN;
+    daily_remaining INTEGER;
+BEGIN
+    IF auth.uid() IS NOT NULL AND auth.uid() <> user_uuid THEN
+        RAISE EXCEPTION 'Cannot read another user''s quota' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO profile FROM public.user_profiles WHERE user_id = user_uuid;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    -- A pack whose credits are used up falls back to the free allowance
+    IF profile.plan_type = 'pack' AND COALESCE(profile.pack_analyses_remaining, 0) <= 0 THEN
+        profile.plan_type := 'free';
+    END IF;
+
+    reset_due := profile.daily_resets_at IS NULL OR profile.daily_resets_at <= NOW();
+
+    daily_remaining := CASE
+        WHEN profile.plan_type <> 'free' THEN 0
+        WHEN reset_due THEN free_daily_analyses()
+        ELSE GREATEST(COALESCE(profile.analyses_remaining, 0), 0)
+    END;
+
+    RETURN jsonb_build_object(
+        'plan_type', profile.plan_type,
+        'daily_limit', free_daily_analyses(),
+        'daily_remaining', daily_remaining,
+        'pack_analyses_remaining', COALESCE(profile.pack_analyses_remaining, 0),
+        'timezone', tz,
+        'resets_at', CASE
+            WHEN reset_due THEN next_daily_reset(user_uuid, profile.daily_resets_at)
+            ELSE profile.daily_resets_at
+        END
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_analysis_quota(UUID) TO authenticated;
+
+-- Function to check and consume one analysis credit in a single call. The
+-- profile row is locked until the transaction ends, so two tabs analyzing at
+-- once queue up instead of both spending the same credit. Returns
+-- { consumed, reason, source, plan_type, analyses_remaining, pack_analyses_remaining }.
+-- The return type changed from BOOLEAN, which CREATE OR REPLACE can't do
+DROP FUNCTION IF EXISTS decrement_analysis_count(UUID);
 
--- Function to decrement analysis count
 CREATE OR REPLACE FUNCTION decrement_analysis_count(user_uuid UUID)
-RETURNS BOOLEAN AS $$
+RETURNS JSONB AS $$
 DECLARE
-    user_plan TEXT;
-    remaining_analyses INTEGER;
-    pack_remaining INTEGER;
+    profile public.user_profiles%ROWTYPE;
+    credit_source TEXT;
 BEGIN
-    -- Get current user data
-    SELECT plan_type, analyses_remaining, pack_analyses_remaining 
-    INTO user_plan, remaining_analyses, pack_remaining
-    FROM public.user_profiles 
-    WHERE user_id = user_uuid;
-    
-    -- Pro users have unlimited analyses
-    IF user_plan = 'pro' THEN
-        UPDATE public.user_profiles 
-        SET total_analyses_used = total_analyses_used + 1
-        WHERE user_id = user_uuid;
-        RETURN TRUE;
+    -- Users may only spend their own credits. auth.uid() is NULL for the
+    -- service role, which may act on anyone's behalf
+    IF auth.uid() IS NOT NULL AND auth.uid() <> user_uuid THEN
+        RAISE EXCEPTION 'Cannot use another user''s analyses' USING ERRCODE = '42501';
     END IF;
-    
-    -- Use pack analyses first if available
-    IF pack_remaining > 0 THEN
-        UPDATE public.user_profiles 
-        SET 
-            pack_analyses_remaining = pack_analyses_remaining - 1,
-            total_analyses_used = total_analyses_used + 1
-        WHERE user_id = user_uuid;
-        RETURN TRUE;
+
+    SELECT * INTO profile
+    FROM public.user_profiles
+    WHERE user_id = user_uuid
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('consumed', FALSE, 'reason', 'profile_not_found');
     END IF;
-    
-    -- Use daily analyses for free users
-    IF user_plan = 'free' AND remaining_analyses > 0 THEN
-        UPDATE public.user_profiles 
-        SET 
-            analyses_remaining = analyses_remaining - 1,
-            total_analyses_used = total_analyses_used + 1
-        WHERE user_id = user_uuid;
-        RETURN TRUE;
+
+    -- Once a pack is used up the user is back on the free plan, rather
+    -- than stuck on a pack with nothing left in it
+    IF profile.plan_type = 'pack' AND COALESCE(profile.pack_analyses_remaining, 0) <= 0 THEN
+        profile.plan_type := 'free';
     END IF;
-    
-    -- No analyses remaining
-    RETURN FALSE;
+
+    -- The free allowance is topped up on the first analysis after its reset
+    -- is due, in case the scheduled reset hasn't run yet
+    IF profile.plan_type = 'free' AND (profile.daily_resets_at IS NULL OR profile.daily_resets_at <= NOW()) THEN
+        profile.analyses_remaining := free_daily_analyses();
+        profile.daily_resets_at := next_daily_reset(user_uuid, profile.daily_resets_at);
+    END IF;
+
+    -- Pro is unlimited; everyone else uses pack analyses first, then the
+    -- free daily allowance
+    IF profile.plan_type = 'pro' THEN
+        credit_source := 'pro';
+    ELSIF COALESCE(profile.pack_analyses_remaining, 0) > 0 THEN
+        credit_source := 'pack';
+        profile.pack_analyses_remaining := profile.pack_analyses_remaining - 1;
+    ELSIF profile.plan_type = 'free' AND COALESCE(profile.analyses_remaining, 0) > 0 THEN
+        credit_source := 'daily';
+        profile.analyses_remaining := profile.analyses_remaining - 1;
+    END IF;
+
+    IF credit_source IS NULL THEN
+        RETURN jsonb_build_object(
+            'consumed', FALSE,
+            'reason', CASE WHEN profile.plan_type = 'free' THEN 'daily_limit_reached' ELSE 'pack_exhausted' END,
+            'plan_type', profile.plan_type,
+            'analyses_remaining', 0,
+            'pack_analyses_remaining', COALESCE(profile.pack_analyses_remaining, 0)
+        );
+    END IF;
+
+    UPDATE public.user_profiles
+    SET
+        plan_type = profile.plan_type,
+        analyses_remaining = profile.analyses_remaining,
+        pack_analyses_remaining = profile.pack_analyses_remaining,
+        daily_resets_at = profile.daily_resets_at,
+        total_analyses_used = COALESCE(total_analyses_used, 0) + 1
+    WHERE user_id = user_uuid;
+
+    RETURN jsonb_build_object(
+        'consumed', TRUE,
+        'source', credit_source,
+        'plan_type', profile.plan_type,
+        'analyses_remaining', profile.analyses_remaining,
+        'pack_analyses_remaining', COALESCE(profile.pack_analyses_remaining, 0)
+    );
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION decrement_analysis_count(UUID) TO authenticated;
+
+-- Credits and plans only change through decrement_analysis_count and the
+-- billing webhook, and email follows the confirmed login email (see
+-- handle_user_email_change), so signed-in users may update nothing but
+-- their name directly
+REVOKE UPDATE ON public.user_profiles FROM authenticated;
+GRANT UPDATE (full_name) ON public.user_profiles TO authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Billing
+-- Stripe events are applied by supabase/functions/_shared/billing-events.js
+-- running in the stripe-webhook Edge Function with the service role. Each
+-- event is recorded in subscription_events first; stripe_event_id is unique,
+-- so a redelivered event is recognized and skipped.
+-- ----------------------------------------------------------------------------
+
+-- Adds a purchased pack to the user's credits and marks its event processed
+-- in the same transaction, so a retried event can never grant the pack twice.
+-- Returns FALSE when the event had already been applied.
+CREATE OR REPLACE FUNCTION grant_pack_analyses(event_id TEXT, user_uuid UUID, amount INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE public.subscription_events
+    SET processed = TRUE, processing_error = NULL
+    WHERE stripe_event_id = event_id
+    AND NOT processed;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    -- A Pro subscriber keeps Pro; the pack is used once the subscription ends
+    UPDATE public.user_profiles
+    SET
+        pack_analyses_remaining = COALESCE(pack_analyses_remaining, 0) + amount,
+        plan_type = CASE WHEN plan_type = 'pro' THEN 'pro' ELSE 'pack' END
+    WHERE user_id = user_uuid;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No profile for user %', user_uuid;
+    END IF;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the webhook (service role) may grant credits
+REVOKE EXECUTE ON FUNCTION grant_pack_analyses(TEXT, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION grant_pack_analyses(TEXT, UUID, INTEGER) TO service_role;
 
 -- ============================================================================
 -- VIEWS FOR COMMON QUERIES
 -- ============================================================================
 
 -- User analytics view
-CREATE OR REPLACE VIEW user_analytics AS
+-- security_invoker makes the view respect the RLS policies of the tables it
+-- reads, so each user only ever sees their own row
+CREATE OR REPLACE VIEW user_analytics WITH (security_invoker = true) AS
 SELECT 
     up.user_id,
     up.full_name,
@@ -0,0 +1,283 @@
+// billing-events.js
+// Applies Stripe webhook events to user_profiles. The stripe-webhook and
+// create-checkout-session Edge Functions and scripts/mock-stripe.mjs all share
+// it, so it only talks to the store it is given: SupabaseBillingStore in
+// production, MemoryBillingStore (mock-stripe.js) when testing offline.
+
+const PLANS = {
+  pack: { name: '100 Analyses Pack', mode: 'payment', analyses: 100, amount: 999, priceEnv: 'STRIPE_PRICE_PACK' },
+  pro: { name: 'Pro Unlimited', mode: 'subscription', amount: 1900, interval: 'month', priceEnv: 'STRIPE_PRICE_PRO' }
+};
+
+// Must match the event_type CHECK on subscription_events; configure the
+// Stripe webhook endpoint to send exactly these
+const HANDLED_EVENTS = [
+  'checkout.session.completed',
+  'checkout.session.async_payment_succeeded',
+  'checkout.session.async_payment_failed',
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'invoice.payment_succeeded',
+  'invoice.payment_failed'
+];
+
+// Stripe subscription status -> user_profiles.subscription_status
+const SUBSCRIPTION_STATUSES = {
+  active: 'active',
+  trialing: 'active',
+  past_due: 'past_due',
+  unpaid: 'unpaid',
+  canceled: 'cancelled',
+  incomplete: 'inactive',
+  incomplete_expired: 'inactive',
+  paused: 'inactive'
+};
+
+// past_due keeps Pro while Stripe retries the card
+const PRO_STATUSES = ['active', 'past_due'];
+
+const SUBSCRIPTION_ACTIONS = {
+  'customer.subscription.created': 'subscription_created',
+  'customer.subscription.updated': 'subscription_updated',
+  'customer.subscription.deleted': 'subscription_cancelled'
+};
+
+function toTimestamp(seconds) {
+  return Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Where a user lands once Pro ends: leftover pack credits keep them on the
+// pack plan, otherwise they're back on the free daily allowance
+function getDowngradePlan(profile) {
+  return (profile.pack_analyses_remaining || 0) > 0 ? 'pack' : 'free';
+}
+
+function getSubscriptionId(type, object) {
+  if (type.startsWith('customer.subscription.')) return object.id;
+  return object.subscription || null;
+}
+
+// === Billing Event Processor Class ===
+class BillingEventProcessor {
+  /**
+   * @param {Object} store Persistence for events and profiles; see
+   *   SupabaseBillingStore for the methods it must provide
+   * @param {Object} [options]
+   * @param {Function} [options.retrieveSubscription] Fetches the current
+   *   subscription from Stripe. Events can arrive out of order, so when this
+   *   is given subscription events apply the latest state rather than the
+   *   snapshot in the payload
+   */
+  constructor(store, { retrieveSubscription = null } = {}) {
+    this.store = store;
+    this.retrieveSubscription = retrieveSubscription;
+  }
+
+  /**
+   * @param {Object} event A verified Stripe event
+   * @returns {Promise<{status: string, eventId: string, type: string, userId?: string, error?: string}>}
+   *   status is processed, duplicate, in_progress, ignored or failed. The
+   *   webhook should answer failed and in_progress with an error so Stripe
+   *   delivers the event again later.
+   */
+  async process(event) {
+    const result = { eventId: event.id, type: event.type };
+    if (!HANDLED_EVENTS.includes(event.type)) return { ...result, status: 'ignored' };
+
+    const object = event.data?.object || {};
+    const userId = await this.resolveUserId(object);
+    const claim = await this.store.claimEvent({
+      stripeEventId: event.id,
+      type: event.type,
+      userId,
+      subscriptionId: getSubscriptionId(event.type, object),
+      customerId: object.customer || null,
+      data: object
+    });
+    if (claim !== 'claimed') return { ...result, userId, status: claim };
+
+    try {
+      if (!userId) throw new Error(`No user found for Stripe customer ${object.customer}`);
+      const { completed = false, duplicate = false } = await this.apply(event, object, userId) || {};
+      if (!completed) await this.store.completeEvent(event.id);
+      return { ...result, userId, status: duplicate ? 'duplicate' : 'processed' };
+    } catch (err) {
+      await this.store.completeEvent(event.id, err.message || String(err));
+      return { ...result, userId, status: 'failed', error: err.message || String(err) };
+    }
+  }
+
+  // Checkout sessions carry the user id we created them with, and
+  // subscriptions carry it in their metadata. Invoices fall back to the
+  // customer saved on the profile.
+  async resolveUserId(object) {
+    const userId = object.client_reference_id ||
+      object.metadata?.user_id ||
+      object.subscription_details?.metadata?.user_id;
+    if (userId) return userId;
+    return object.customer ? this.store.findUserIdByCustomer(object.customer) : null;
+  }
+
+  async apply(event, object, userId) {
+    switch (event.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+        return this.applyCheckout(event, object, userId);
+      case 'checkout.session.async_payment_failed':
+        return this.applyCheckoutFailure(event, object, userId);
+      case 'invoice.payment_succeeded':
+      case 'invoice.payment_failed':
+        return this.applyInvoice(event, object, userId);
+      default:
+        return this.applySubscription(event, object, userId);
+    }
+  }
+
+  async applyCheckout(event, session, userId) {
+    const customer = session.customer ? { customer_id: session.customer } : {};
+
+    if (session.mode === 'subscription') {
+      // The subscription's own events follow a delayed first payment
+      if (event.type !== 'checkout.session.completed') return {};
+      await this.store.updateProfile(userId, {
+        ...customer,
+        plan_type: 'pro',
+        subscription_id: session.subscription,
+        subscription_status: 'active',
+        cancel_at_period_end: false
+      });
+      return {};
+    }
+
+    const plan = session.metadata?.plan;
+    if (plan !== 'pack') throw new Error(`Unknown plan "${plan}" in checkout session ${session.id}`);
+    if (session.customer) await this.store.updateProfile(userId, customer);
+
+    // Delayed payment methods complete checkout before the money arrives;
+    // checkout.session.async_payment_succeeded grants the pack once it does
+    if (session.payment_status !== 'paid') return {};
+
+    // grantPack marks the event processed itself
+    const granted = await this.store.grantPack(event.id, userId, PLANS.pack.analyses);
+    if (granted) {
+      await this.store.logAction(userId, 'pack_purchased', {
+        analyses: PLANS.pack.analyses,
+        amount: session.amount_total,
+        currency: session.currency,
+        checkout_session: session.id
+      });
+    }
+    return { completed: true, duplicate: !granted };
+  }
+
+  // A delayed pack payment didn't clear, so there is nothing to grant
+  async applyCheckoutFailure(event, session, userId) {
+    if (session.mode === 'subscription') return {};
+
+    await this.store.logAction(userId, 'payment_failed', {
+      amount: session.amount_total,
+      currency: session.currency,
+      checkout_session: session.id
+    });
+    return {};
+  }
+
+  async applySubscription(event, payload, userId) {
+    const subscription = this.retrieveSubscription && event.type !== 'customer.subscription.deleted'
+      ? await this.retrieveSubscription(payload.id)
+      : payload;
+    const profile = await this.getProfile(userId);
+    if (this.isReplaced(profile, subscription.id, event.type)) return {};
+
+    const status = event.type === 'customer.subscription.deleted'
+      ? 'cancelled'
+      : SUBSCRIPTION_STATUSES[subscription.status] || 'inactive';
+
+    await this.store.updateProfile(userId, {
+      ...(subscription.customer ? { customer_id: subscription.customer } : {}),
+      plan_type: PRO_STATUSES.includes(status) ? 'pro' : getDowngradePlan(profile),
+      subscription_id: subscription.id,
+      subscription_status: status,
+      current_period_end: toTimestamp(subscription.current_period_end),
+      cancel_at_period_end: Boolean(subscription.cancel_at_period_end)
+    });
+    await this.store.logAction(userId, SUBSCRIPTION_ACTIONS[event.type], {
+      subscription: subscription.id,
+      status: subscription.status,
+      cancel_at_period_end: Boolean(subscription.cancel_at_period_end)
+    });
+    return {};
+  }
+
+  async applyInvoice(event, invoice, userId) {
+    // One-off invoices have nothing to do with Pro
+    if (!invoice.subscription) return {};
+
+    const profile = await this.getProfile(userId);
+    if (this.isReplaced(profile, invoice.subscription, event.type)) return {};
+
+    const succeeded = event.type === 'invoice.payment_succeeded';
+    await this.store.logAction(userId, succeeded ? 'payment_succeeded' : 'payment_failed', succeeded ? {
+      invoice: invoice.id,
+      amount: invoice.amount_paid,
+      currency: invoice.currency,
+      billing_reason: invoice.billing_reason
+    } : {
+      invoice: invoice.id,
+      amount: invoice.amount_due,
+      currency: invoice.currency,
+      attempt_count: invoice.attempt_count,
+      next_attempt: toTimestamp(invoice.next_payment_attempt)
+    });
+
+    // Invoice events can arrive after the subscription has ended, so the plan
+    // follows the subscription's current state rather than the payment outcome
+    if (this.retrieveSubscription) {
+      const subscription = await this.retrieveSubscription(invoice.subscription);
+      const status = SUBSCRIPTION_STATUSES[subscription.status] || 'inactive';
+      await this.store.updateProfile(userId, {
+        plan_type: PRO_STATUSES.includes(status) ? 'pro' : getDowngradePlan(profile),
+        subscription_id: subscription.id,
+        subscription_status: status,
+        current_period_end: toTimestamp(subscription.current_period_end),
+        cancel_at_period_end: Boolean(subscription.cancel_at_period_end)
+      });
+      return {};
+    }
+
+    // Without Stripe to ask, a late invoice must not revive an ended subscription
+    if (profile.subscription_id === invoice.subscription && profile.subscription_status === 'cancelled') return {};
+
+    if (succeeded) {
+      const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+      await this.store.updateProfile(userId, {
+        plan_type: 'pro',
+        subscription_id: invoice.subscription,
+        subscription_status: 'active',
+        ...(periodEnd ? { current_period_end: toTimestamp(periodEnd) } : {})
+      });
+    } else {
+      // Stripe sends customer.subscription.updated/deleted if it gives up
+      await this.store.updateProfile(userId, { subscription_status: 'past_due' });
+    }
+    return {};
+  }
+
+  async getProfile(userId) {
+    const profile = await this.store.getProfile(userId);
+    if (!profile) throw new Error(`No profile for user ${userId}`);
+    return profile;
+  }
+
+  // Late events for a subscription the user has since replaced with a live
+  // one must not touch the new subscription's state
+  isReplaced(profile, subscriptionId, type) {
+    return type !== 'customer.subscription.created' &&
+      profile.subscription_id &&
+      profile.subscription_id !== subscriptionId &&
+      PRO_STATUSES.includes(profile.subscription_status);
+  }
+}
+
+export { BillingEventProcessor, PLANS, HANDLED_EVENTS, SUBSCRIPTION_STATUSES, getDowngradePlan };
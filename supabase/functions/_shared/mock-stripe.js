@@ -0,0 +1,300 @@
+// mock-stripe.js
+// Stripe-shaped events for testing billing without a Stripe account or a
+// network connection. MockStripe plays one customer through checkout,
+// renewals, failed payments and cancellation; signPayload produces the
+// Stripe-Signature header the webhook verifies, and MemoryBillingStore lets
+// BillingEventProcessor run with no database at all.
+
+import { PLANS } from './billing-events.js';
+
+// Matches the version the Edge Functions pin their Stripe client to
+const STRIPE_API_VERSION = '2023-10-16';
+
+const DAY_SECONDS = 24 * 60 * 60;
+const MONTH_SECONDS = 30 * DAY_SECONDS;
+
+function mockId(prefix) {
+  return `${prefix}_mock_${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function createEvent(type, object) {
+  return {
+    id: mockId('evt'),
+    object: 'event',
+    api_version: STRIPE_API_VERSION,
+    created: now(),
+    livemode: false,
+    type,
+    data: { object: structuredClone(object) }
+  };
+}
+
+/**
+ * Same scheme as Stripe: HMAC-SHA256 of "timestamp.payload" keyed with the
+ * endpoint's signing secret. Uses Web Crypto, so it runs in Deno and Node.
+ * @returns {Promise<string>} Value for the Stripe-Signature header
+ */
+async function signPayload(payload, secret, timestamp = now()) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${payload}`));
+  const hex = [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `t=${timestamp},v1=${hex}`;
+}
+
+// === Mock Stripe Class ===
+class MockStripe {
+  /**
+   * @param {Object} customer
+   * @param {string} customer.userId Supabase user id
+   * @param {string} [customer.email]
+   * @param {string} [customer.customerId] Existing Stripe customer id
+   * @param {Object} [customer.subscription] Stripe-shaped fields of an existing
+   *   Pro subscription to continue from, at least its id
+   */
+  constructor({ userId, email = null, customerId = null, subscription = null }) {
+    this.userId = userId;
+    this.email = email;
+    this.customerId = customerId || mockId('cus');
+    this.subscription = subscription ? {
+      object: 'subscription',
+      customer: this.customerId,
+      status: 'active',
+      cancel_at_period_end: false,
+      current_period_start: now(),
+      current_period_end: now() + MONTH_SECONDS,
+      trial_end: null,
+      metadata: { user_id: userId, plan: 'pro' },
+      ...subscription
+    } : null;
+    this.pendingSession = null;
+  }
+
+  /**
+   * The events Stripe sends when checkout for the plan completes, in the
+   * order it usually sends them.
+   * @param {'pack'|'pro'} plan
+   * @param {Object} [options]
+   * @param {number} [options.trialDays] Pro trial length
+   * @param {boolean} [options.delayedPayment] Pay for a pack with a delayed
+   *   method such as a bank debit; settlePayment() then clears or fails it
+   */
+  checkout(plan, { trialDays = 0, delayedPayment = false } = {}) {
+    const config = PLANS[plan];
+    if (!config) throw new Error(`Unknown plan "${plan}"`);
+
+    const session = {
+      id: mockId('cs'),
+      object: 'checkout.session',
+      mode: config.mode,
+      client_reference_id: this.userId,
+      customer: this.customerId,
+      customer_email: this.email,
+      metadata: { user_id: this.userId, plan },
+      amount_total: trialDays ? 0 : config.amount,
+      currency: 'usd',
+      payment_status: trialDays ? 'no_payment_required' : delayedPayment ? 'unpaid' : 'paid',
+      status: 'complete',
+      subscription: null
+    };
+
+    if (plan === 'pack') {
+      if (delayedPayment) this.pendingSession = session;
+      return [createEvent('checkout.session.completed', session)];
+    }
+
+    const start = now();
+    const periodEnd = start + (trialDays ? trialDays * DAY_SECONDS : MONTH_SECONDS);
+    this.subscription = {
+      id: mockId('sub'),
+      object: 'subscription',
+      customer: this.customerId,
+      status: trialDays ? 'trialing' : 'active',
+      cancel_at_period_end: false,
+      current_period_start: start,
+      current_period_end: periodEnd,
+      trial_end: trialDays ? periodEnd : null,
+      metadata: { user_id: this.userId, plan }
+    };
+    session.subscription = this.subscription.id;
+
+    return [
+      createEvent('customer.subscription.created', this.subscription),
+      this.createInvoiceEvent('invoice.payment_succeeded', 'subscription_create', trialDays ? 0 : config.amount),
+      createEvent('checkout.session.completed', session)
+    ];
+  }
+
+  // A delayed pack payment from checkout(plan, { delayedPayment }) clears or fails
+  settlePayment({ succeeded = true } = {}) {
+    const session = this.pendingSession;
+    if (!session) throw new Error('No delayed payment; check out a pack with delayedPayment first');
+    this.pendingSession = null;
+    session.payment_status = succeeded ? 'paid' : 'unpaid';
+    return [createEvent(succeeded ? 'checkout.session.async_payment_succeeded' : 'checkout.session.async_payment_failed', session)];
+  }
+
+  // The next billing period starts and is paid
+  renew() {
+    const subscription = this.requireSubscription();
+    subscription.status = 'active';
+    subscription.current_period_start = subscription.current_period_end;
+    subscription.current_period_end += MONTH_SECONDS;
+    return [
+      this.createInvoiceEvent('invoice.payment_succeeded', 'subscription_cycle', PLANS.pro.amount),
+      createEvent('customer.subscription.updated', subscription)
+    ];
+  }
+
+  // The renewal charge is declined; Stripe keeps retrying
+  failPayment() {
+    const subscription = this.requireSubscription();
+    subscription.status = 'past_due';
+    return [
+      this.createInvoiceEvent('invoice.payment_failed', 'subscription_cycle', PLANS.pro.amount),
+      createEvent('customer.subscription.updated', subscription)
+    ];
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.atPeriodEnd] Keep Pro until the paid period
+   *   ends, as the customer portal does, instead of ending it now
+   */
+  cancel({ atPeriodEnd = true } = {}) {
+    const subscription = this.requireSubscription();
+    if (atPeriodEnd) {
+      subscription.cancel_at_period_end = true;
+      return [createEvent('customer.subscription.updated', subscription)];
+    }
+    return this.end();
+  }
+
+  // Undoes a cancel({ atPeriodEnd: true }) before the period ends
+  resume() {
+    const subscription = this.requireSubscription();
+    subscription.cancel_at_period_end = false;
+    return [createEvent('customer.subscription.updated', subscription)];
+  }
+
+  // The subscription ends, either now or when a scheduled cancellation is due
+  end() {
+    const subscription = this.requireSubscription();
+    subscription.status = 'canceled';
+    return [createEvent('customer.subscription.deleted', subscription)];
+  }
+
+  createInvoiceEvent(type, billingReason, amount) {
+    const subscription = this.requireSubscription();
+    const paid = type === 'invoice.payment_succeeded';
+    return createEvent(type, {
+      id: mockId('in'),
+      object: 'invoice',
+      customer: this.customerId,
+      subscription: subscription.id,
+      subscription_details: { metadata: subscription.metadata },
+      billing_reason: billingReason,
+      amount_due: amount,
+      amount_paid: paid ? amount : 0,
+      currency: 'usd',
+      attempt_count: 1,
+      next_payment_attempt: paid ? null : now() + 3 * DAY_SECONDS,
+      lines: {
+        data: [{ period: { start: subscription.current_period_start, end: subscription.current_period_end } }]
+      }
+    });
+  }
+
+  requireSubscription() {
+    if (!this.subscription) throw new Error('No subscription yet; check out the pro plan first');
+    return this.subscription;
+  }
+}
+
+// === Memory Billing Store Class ===
+// SupabaseBillingStore's contract over plain objects, for offline runs
+class MemoryBillingStore {
+  constructor(profiles = []) {
+    this.profiles = new Map(profiles.map(profile => [profile.user_id, {
+      plan_type: 'free',
+      pack_analyses_remaining: 0,
+      subscription_status: 'inactive',
+      subscription_id: null,
+      customer_id: null,
+      current_period_end: null,
+      cancel_at_period_end: false,
+      ...profile
+    }]));
+    this.events = new Map();
+    this.logs = [];
+  }
+
+  async claimEvent({ stripeEventId, type, userId, subscriptionId, customerId, data }) {
+    const existing = this.events.get(stripeEventId);
+    if (existing) {
+      if (existing.processed) return 'duplicate';
+      if (!existing.processing_error) return 'in_progress';
+      existing.processing_error = null;
+      return 'claimed';
+    }
+
+    this.events.set(stripeEventId, {
+      stripe_event_id: stripeEventId,
+      event_type: type,
+      user_id: userId,
+      subscription_id: subscriptionId,
+      customer_id: customerId,
+      event_data: data,
+      processed: false,
+      processing_error: null,
+      created_at: new Date().toISOString()
+    });
+    return 'claimed';
+  }
+
+  async completeEvent(stripeEventId, processingError = null) {
+    Object.assign(this.events.get(stripeEventId), {
+      processed: !processingError,
+      processing_error: processingError
+    });
+  }
+
+  async grantPack(stripeEventId, userId, amount) {
+    const event = this.events.get(stripeEventId);
+    if (!event || event.processed) return false;
+
+    const profile = this.profiles.get(userId);
+    if (!profile) throw new Error(`No profile for user ${userId}`);
+    profile.pack_analyses_remaining += amount;
+    if (profile.plan_type !== 'pro') profile.plan_type = 'pack';
+    event.processed = true;
+    event.processing_error = null;
+    return true;
+  }
+
+  async getProfile(userId) {
+    return this.profiles.get(userId) || null;
+  }
+
+  async findUserIdByCustomer(customerId) {
+    return [...this.profiles.values()].find(profile => profile.customer_id === customerId)?.user_id || null;
+  }
+
+  async updateProfile(userId, updates) {
+    const profile = this.profiles.get(userId);
+    if (!profile) throw new Error(`No profile for user ${userId}`);
+    Object.assign(profile, updates);
+  }
+
+  async logAction(userId, actionType, metadata = {}) {
+    this.logs.push({ user_id: userId, action_type: actionType, metadata, created_at: new Date().toISOString() });
+  }
+}
+
+export { MockStripe, MemoryBillingStore, signPayload, STRIPE_API_VERSION };
@@ -0,0 +1,123 @@
+// supabase-billing-store.js
+// BillingEventProcessor's store backed by the database. Needs a client
+// created with the service role key: subscription_events is read-only for
+// users and grant_pack_analyses is only executable by the service role.
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// An unfinished event older than this is assumed to belong to a crashed
+// attempt and may be claimed again
+const STALE_CLAIM_MINUTES = 10;
+
+// === Supabase Billing Store Class ===
+class SupabaseBillingStore {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  // Records the event, returning 'claimed' when this call should process it,
+  // 'duplicate' when it already was, or 'in_progress' when another delivery
+  // is processing it right now
+  async claimEvent({ stripeEventId, type, userId, subscriptionId, customerId, data }) {
+    const { error } = await this.supabase
+      .from('subscription_events')
+      .insert({
+        stripe_event_id: stripeEventId,
+        event_type: type,
+        user_id: userId,
+        subscription_id: subscriptionId,
+        customer_id: customerId,
+        event_data: data
+      });
+
+    if (!error) return 'claimed';
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+
+    // Seen before: take it over only if the last attempt failed or died
+    const staleBefore = new Date(Date.now() - STALE_CLAIM_MINUTES * 60 * 1000).toISOString();
+    const { data: retried, error: retryError } = await this.supabase
+      .from('subscription_events')
+      .update({ processing_error: null, ...(userId ? { user_id: userId } : {}) })
+      .eq('stripe_event_id', stripeEventId)
+      .eq('processed', false)
+      .or(`processing_error.not.is.null,created_at.lt.${staleBefore}`)
+      .select('id');
+
+    if (retryError) throw retryError;
+    if (retried.length) return 'claimed';
+
+    const { data: existing, error: readError } = await this.supabase
+      .from('subscription_events')
+      .select('processed')
+      .eq('stripe_event_id', stripeEventId)
+      .single();
+
+    if (readError) throw readError;
+    return existing.processed ? 'duplicate' : 'in_progress';
+  }
+
+  async completeEvent(stripeEventId, processingError = null) {
+    const { error } = await this.supabase
+      .from('subscription_events')
+      .update({ processed: !processingError, processing_error: processingError })
+      .eq('stripe_event_id', stripeEventId);
+
+    if (error) throw error;
+  }
+
+  async grantPack(stripeEventId, userId, amount) {
+    const { data, error } = await this.supabase.rpc('grant_pack_analyses', {
+      event_id: stripeEventId,
+      user_uuid: userId,
+      amount
+    });
+
+    if (error) throw error;
+    return data === true;
+  }
+
+  async getProfile(userId) {
+    const { data, error } = await this.supabase
+      .from('user_profiles')
+      .select('user_id, email, plan_type, pack_analyses_remaining, subscription_id, subscription_status, customer_id, current_period_end, cancel_at_period_end')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async findUserIdByCustomer(customerId) {
+    const { data, error } = await this.supabase
+      .from('user_profiles')
+      .select('user_id')
+      .eq('customer_id', customerId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.user_id || null;
+  }
+
+  async updateProfile(userId, updates) {
+    const { data, error } = await this.supabase
+      .from('user_profiles')
+      .update(updates)
+      .eq('user_id', userId)
+      .select('user_id');
+
+    if (error) throw error;
+    if (!data.length) throw new Error(`No profile for user ${userId}`);
+  }
+
+  // Usage logs are informational; failing to write one never fails the event
+  async logAction(userId, actionType, metadata = {}) {
+    const { error } = await this.supabase
+      .from('usage_logs')
+      .insert({ user_id: userId, action_type: actionType, metadata });
+
+    if (error) console.warn(`Could not log ${actionType}:`, error.message);
+  }
+}
+
+export { SupabaseBillingStore };
@@ -0,0 +1,130 @@
+// create-checkout-session/index.js
+// Starts Stripe Checkout for the pack or Pro plan on behalf of the signed-in
+// user and returns the hosted checkout page's URL. The plan and user id travel
+// in the session and subscription metadata, which is how the stripe-webhook
+// function knows whose profile to update.
+//
+// Environment: STRIPE_SECRET_KEY, STRIPE_PRICE_PACK, STRIPE_PRICE_PRO, SITE_URL
+// (where Stripe sends the user back) and optionally STRIPE_PRO_TRIAL_DAYS.
+// With STRIPE_MOCK=true the purchase is played through MockStripe and applied
+// immediately instead, so the buy buttons work against a local Supabase stack
+// without a Stripe account. Never set it in production: every checkout
+// would succeed without payment.
+
+import Stripe from 'https://esm.sh/stripe@14.25.0?target=deno';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { BillingEventProcessor, PLANS } from '../_shared/billing-events.js';
+import { SupabaseBillingStore } from '../_shared/supabase-billing-store.js';
+import { MockStripe, STRIPE_API_VERSION } from '../_shared/mock-stripe.js';
+
+const secretKey = Deno.env.get('STRIPE_SECRET_KEY');
+const useMock = Deno.env.get('STRIPE_MOCK') === 'true';
+const trialDays = Number(Deno.env.get('STRIPE_PRO_TRIAL_DAYS')) || 0;
+
+const stripe = secretKey && !useMock ? new Stripe(secretKey, {
+  apiVersion: STRIPE_API_VERSION,
+  httpClient: Stripe.createFetchHttpClient()
+}) : null;
+
+const supabase = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'), {
+  auth: { persistSession: false }
+});
+const store = new SupabaseBillingStore(supabase);
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+function hasActivePro(profile) {
+  return profile.plan_type === 'pro' && ['active', 'past_due'].includes(profile.subscription_status);
+}
+
+// Reuses the profile's Stripe customer so every purchase lands on one record
+async function getCustomerId(user, profile) {
+  if (profile.customer_id) return profile.customer_id;
+
+  const customer = await stripe.customers.create({
+    email: profile.email || user.email,
+    metadata: { user_id: user.id }
+  });
+  await store.updateProfile(user.id, { customer_id: customer.id });
+  return customer.id;
+}
+
+async function createMockCheckout(user, profile, plan, returnUrl) {
+  const mock = new MockStripe({ userId: user.id, email: profile.email, customerId: profile.customer_id });
+  const processor = new BillingEventProcessor(store);
+  const events = mock.checkout(plan, { trialDays: profile.subscription_id ? 0 : trialDays });
+
+  for (const event of events) {
+    const result = await processor.process(event);
+    if (result.status === 'failed') throw new Error(result.error);
+  }
+
+  const session = events.find(event => event.type === 'checkout.session.completed').data.object;
+  return { url: returnUrl('success').replace('{CHECKOUT_SESSION_ID}', session.id), mock: true };
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  try {
+    const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) return json({ error: 'Please sign in to purchase' }, 401);
+
+    const { plan } = await req.json().catch(() => ({}));
+    const config = PLANS[plan];
+    if (!config) return json({ error: `Unknown plan "${plan}"` }, 400);
+
+    const profile = await store.getProfile(user.id);
+    if (!profile) return json({ error: 'User profile not found' }, 404);
+    if (plan === 'pro' && hasActivePro(profile)) return json({ error: 'You already have Pro Unlimited' }, 409);
+
+    const siteUrl = (Deno.env.get('SITE_URL') || req.headers.get('origin') || '').replace(/\/$/, '');
+    // Stripe fills in {CHECKOUT_SESSION_ID}; the app uses it to wait for the
+    // session's webhook event
+    const returnUrl = status => `${siteUrl}/?checkout=${status}&plan=${plan}` +
+      (status === 'success' ? '&session_id={CHECKOUT_SESSION_ID}' : '');
+
+    if (useMock) return json(await createMockCheckout(user, profile, plan, returnUrl));
+    if (!stripe) throw new Error('STRIPE_SECRET_KEY is not set');
+
+    const price = Deno.env.get(config.priceEnv);
+    if (!price) throw new Error(`${config.priceEnv} is not set`);
+
+    const metadata = { user_id: user.id, plan };
+    const session = await stripe.checkout.sessions.create({
+      mode: config.mode,
+      customer: await getCustomerId(user, profile),
+      client_reference_id: user.id,
+      line_items: [{ price, quantity: 1 }],
+      metadata,
+      success_url: returnUrl('success'),
+      cancel_url: returnUrl('cancelled'),
+      ...(config.mode === 'subscription'
+        ? {
+            subscription_data: {
+              metadata,
+              // Only a first subscription gets the trial
+              ...(trialDays && !profile.subscription_id ? { trial_period_days: trialDays } : {})
+            }
+          }
+        : { payment_intent_data: { metadata } })
+    });
+
+    return json({ url: session.url });
+  } catch (err) {
+    console.error('Checkout session error:', err);
+    return json({ error: 'Could not start checkout. Please try again.' }, 500);
+  }
+});
@@ -0,0 +1,100 @@
+// manage-subscription/index.js
+// Cancels the signed-in user's Pro subscription at the end of the paid
+// period, or resumes it before then. POST { action: 'cancel' | 'resume' }.
+// The profile is updated straight away so the account page reflects the
+// change; the customer.subscription.updated webhook that follows confirms it.
+//
+// Environment: STRIPE_SECRET_KEY, or STRIPE_MOCK=true to play the change
+// through MockStripe (see create-checkout-session).
+
+import Stripe from 'https://esm.sh/stripe@14.25.0?target=deno';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { BillingEventProcessor } from '../_shared/billing-events.js';
+import { SupabaseBillingStore } from '../_shared/supabase-billing-store.js';
+import { MockStripe, STRIPE_API_VERSION } from '../_shared/mock-stripe.js';
+
+const secretKey = Deno.env.get('STRIPE_SECRET_KEY');
+const useMock = Deno.env.get('STRIPE_MOCK') === 'true';
+
+const stripe = secretKey && !useMock ? new Stripe(secretKey, {
+  apiVersion: STRIPE_API_VERSION,
+  httpClient: Stripe.createFetchHttpClient()
+}) : null;
+
+const supabase = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'), {
+  auth: { persistSession: false }
+});
+const store = new SupabaseBillingStore(supabase);
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+};
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+async function updateMockSubscription(user, profile, cancel) {
+  const mock = new MockStripe({
+    userId: user.id,
+    email: profile.email,
+    customerId: profile.customer_id,
+    subscription: {
+      id: profile.subscription_id,
+      cancel_at_period_end: profile.cancel_at_period_end,
+      ...(profile.current_period_end ? { current_period_end: Math.floor(new Date(profile.current_period_end) / 1000) } : {})
+    }
+  });
+  const processor = new BillingEventProcessor(store);
+
+  for (const event of cancel ? mock.cancel() : mock.resume()) {
+    const result = await processor.process(event);
+    if (result.status === 'failed') throw new Error(result.error);
+  }
+  return mock.subscription;
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+  try {
+    const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) return json({ error: 'Please sign in to manage your subscription' }, 401);
+
+    const { action } = await req.json().catch(() => ({}));
+    if (!['cancel', 'resume'].includes(action)) return json({ error: `Unknown action "${action}"` }, 400);
+
+    const profile = await store.getProfile(user.id);
+    if (!profile?.subscription_id || profile.plan_type !== 'pro' ||
+        !['active', 'past_due'].includes(profile.subscription_status)) {
+      return json({ error: 'You have no active Pro subscription' }, 409);
+    }
+
+    const cancel = action === 'cancel';
+    let subscription;
+    if (useMock) {
+      subscription = await updateMockSubscription(user, profile, cancel);
+    } else {
+      if (!stripe) throw new Error('STRIPE_SECRET_KEY is not set');
+      subscription = await stripe.subscriptions.update(profile.subscription_id, { cancel_at_period_end: cancel });
+      await store.updateProfile(user.id, {
+        cancel_at_period_end: subscription.cancel_at_period_end,
+        current_period_end: new Date(subscription.current_period_end * 1000).toISOString()
+      });
+    }
+
+    return json({
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString()
+    });
+  } catch (err) {
+    console.error('Manage subscription error:', err);
+    return json({ error: 'Could not update your subscription. Please try again.' }, 500);
+  }
+});
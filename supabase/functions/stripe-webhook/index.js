@@ -0,0 +1,66 @@
+// stripe-webhook/index.js
+// Stripe webhook endpoint. Verifies the Stripe-Signature header and hands the
+// event to BillingEventProcessor. Stripe sends no Supabase token, so deploy
+// with `supabase functions deploy stripe-webhook --no-verify-jwt`; the
+// signature is what authenticates the request.
+//
+// Environment: STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET, plus SUPABASE_URL and
+// SUPABASE_SERVICE_ROLE_KEY, which Supabase provides. Without a secret key
+// (local testing with scripts/mock-stripe.mjs) only the signature is checked.
+
+import Stripe from 'https://esm.sh/stripe@14.25.0?target=deno';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { BillingEventProcessor } from '../_shared/billing-events.js';
+import { SupabaseBillingStore } from '../_shared/supabase-billing-store.js';
+import { STRIPE_API_VERSION } from '../_shared/mock-stripe.js';
+
+const secretKey = Deno.env.get('STRIPE_SECRET_KEY');
+const webhookSecret = Deno.env.get('STRIPE_WEBHOOK_SECRET');
+
+const stripe = new Stripe(secretKey || 'sk_test_mock', {
+  apiVersion: STRIPE_API_VERSION,
+  httpClient: Stripe.createFetchHttpClient()
+});
+const cryptoProvider = Stripe.createSubtleCryptoProvider();
+
+const supabase = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'), {
+  auth: { persistSession: false }
+});
+
+const processor = new BillingEventProcessor(new SupabaseBillingStore(supabase), {
+  retrieveSubscription: secretKey ? id => stripe.subscriptions.retrieve(id) : null
+});
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+  if (!webhookSecret) return json({ error: 'STRIPE_WEBHOOK_SECRET is not set' }, 500);
+
+  // The signature covers the raw body, so read it before parsing
+  const body = await req.text();
+  let event;
+  try {
+    event = await stripe.webhooks.constructEventAsync(
+      body, req.headers.get('stripe-signature'), webhookSecret, undefined, cryptoProvider
+    );
+  } catch (err) {
+    return json({ error: `Webhook signature verification failed: ${err.message}` }, 400);
+  }
+
+  try {
+    const result = await processor.process(event);
+    if (result.status === 'failed') console.error(`Stripe event ${event.id} failed:`, result.error);
+    // Stripe redelivers anything not answered with a 2xx
+    const retry = result.status === 'failed' || result.status === 'in_progress';
+    return json(result, retry ? 500 : 200);
+  } catch (err) {
+    console.error(`Stripe event ${event.id} could not be recorded:`, err);
+    return json({ error: err.message }, 500);
+  }
+});
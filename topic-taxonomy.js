@@ -0,0 +1,150 @@
+// topic-taxonomy.js
+// Bundled topic taxonomy. Each topic lists the keywords used to classify a
+// tweet, the local hours its audience is most active (with a relative
+// weight), how much weekend activity drops or rises, and hashtags that are
+// established in that community. Multi-word hashtags are written in CamelCase
+// so screen readers can pronounce them.
+
+const TOPIC_TAXONOMY = {
+  technology: {
+    label: 'Technology',
+    keywords: ['code', 'coding', 'developer', 'developers', 'software', 'app', 'api', 'javascript',
+      'python', 'react', 'ai', 'machine learning', 'startup', 'saas', 'open source', 'github',
+      'bug', 'deploy', 'cloud', 'devops', 'data', 'llm', 'programming', 'frontend', 'backend'],
+    hashtags: ['#tech', '#WebDev', '#javascript', '#AI', '#programming', '#BuildInPublic',
+      '#OpenSource', '#DevOps', '#100DaysOfCode', '#startup'],
+    activeHours: [
+      { start: 8, end: 10, weight: 0.95 },
+      { start: 12, end: 13, weight: 0.85 },
+      { start: 16, end: 18, weight: 0.8 },
+      { start: 20, end: 22, weight: 0.7 }
+    ],
+    weekendFactor: 0.8
+  },
+  business: {
+    label: 'Business & Marketing',
+    keywords: ['marketing', 'sales', 'revenue', 'growth', 'customers', 'brand', 'business',
+      'entrepreneur', 'founder', 'leadership', 'strategy', 'b2b', 'linkedin', 'hiring',
+      'productivity', 'career', 'team', 'profit', 'investors', 'funding'],
+    hashtags: ['#marketing', '#business', '#entrepreneur', '#leadership', '#growth',
+      '#productivity', '#sales', '#startups', '#SmallBusiness'],
+    activeHours: [
+      { start: 7, end: 9, weight: 0.9 },
+      { start: 9, end: 11, weight: 0.95 },
+      { start: 12, end: 13, weight: 0.8 },
+      { start: 17, end: 18, weight: 0.65 }
+    ],
+    weekendFactor: 0.6
+  },
+  finance: {
+    label: 'Finance & Crypto',
+    keywords: ['stock', 'stocks', 'market', 'markets', 'invest', 'investing', 'crypto', 'bitcoin',
+      'btc', 'eth', 'ethereum', 'trading', 'earnings', 'fed', 'inflation', 'portfolio', 'etf'],
+    hashtags: ['#investing', '#stocks', '#crypto', '#bitcoin', '#finance', '#trading',
+      '#PersonalFinance'],
+    activeHours: [
+      { start: 8, end: 10, weight: 1 },
+      { start: 12, end: 13, weight: 0.75 },
+      { start: 15, end: 17, weight: 0.85 },
+      { start: 20, end: 21, weight: 0.6 }
+    ],
+    weekendFactor: 0.65
+  },
+  entertainment: {
+    label: 'Entertainment & Culture',
+    keywords: ['movie', 'movies', 'film', 'show', 'series', 'netflix', 'music', 'album', 'song',
+      'concert', 'tv', 'episode', 'celebrity', 'game', 'gaming', 'anime', 'book', 'meme'],
+    hashtags: ['#movies', '#music', '#gaming', '#netflix', '#anime', '#books', '#tv'],
+    activeHours: [
+      { start: 12, end: 13, weight: 0.7 },
+      { start: 18, end: 20, weight: 0.95 },
+      { start: 20, end: 23, weight: 1 }
+    ],
+    weekendFactor: 1.15
+  },
+  sports: {
+    label: 'Sports',
+    keywords: ['game', 'match', 'team', 'season', 'playoffs', 'league', 'score', 'goal', 'nba',
+      'nfl', 'football', 'soccer', 'basketball', 'baseball', 'tennis', 'f1', 'coach', 'fans'],
+    hashtags: ['#sports', '#NBA', '#NFL', '#football', '#soccer', '#F1'],
+    activeHours: [
+      { start: 11, end: 13, weight: 0.7 },
+      { start: 17, end: 19, weight: 0.85 },
+      { start: 19, end: 22, weight: 1 }
+    ],
+    weekendFactor: 1.2
+  },
+  lifestyle: {
+    label: 'Lifestyle & Wellness',
+    keywords: ['fitness', 'workout', 'health', 'wellness', 'food', 'recipe', 'travel', 'coffee',
+      'morning', 'routine', 'mindset', 'habits', 'sleep', 'yoga', 'running', 'fashion', 'home'],
+    hashtags: ['#fitness', '#wellness', '#travel', '#food', '#mindset', '#SelfCare', '#health'],
+    activeHours: [
+      { start: 6, end: 8, weight: 0.85 },
+      { start: 12, end: 13, weight: 0.8 },
+      { start: 19, end: 21, weight: 0.95 }
+    ],
+    weekendFactor: 1.1
+  },
+  news: {
+    label: 'News & Politics',
+    keywords: ['breaking', 'news', 'report', 'government', 'election', 'policy', 'president',
+      'senate', 'vote', 'law', 'court', 'war', 'climate', 'economy', 'today'],
+    hashtags: ['#news', '#politics', '#breaking', '#climate', '#election'],
+    activeHours: [
+      { start: 6, end: 9, weight: 1 },
+      { start: 12, end: 13, weight: 0.8 },
+      { start: 17, end: 19, weight: 0.9 }
+    ],
+    weekendFactor: 0.85
+  },
+  general: {
+    label: 'General',
+    keywords: [],
+    hashtags: [],
+    activeHours: [
+      { start: 9, end: 10, weight: 0.85 },
+      { start: 12, end: 13, weight: 0.9 },
+      { start: 17, end: 18, weight: 0.8 },
+      { start: 19, end: 21, weight: 0.85 }
+    ],
+    weekendFactor: 0.85
+  }
+};
+
+// === Topic Detection ===
+// Counts keyword and hashtag hits per topic. Returns the general topic when
+// nothing matches.
+function detectTopic(text) {
+  const lowerText = (text || '').toLowerCase();
+  const containsTerm = term => {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(lowerText);
+  };
+
+  const ranked = Object.entries(TOPIC_TAXONOMY)
+    .filter(([topic]) => topic !== 'general')
+    .map(([topic, { keywords, hashtags }]) => {
+      const matches = [
+        ...keywords.filter(containsTerm),
+        ...hashtags.map(tag => tag.toLowerCase()).filter(containsTerm)
+      ];
+      return { topic, matches };
+    })
+    .filter(({ matches }) => matches.length > 0)
+    .sort((a, b) => b.matches.length - a.matches.length);
+
+  if (!ranked.length) {
+    return { topic: 'general', label: TOPIC_TAXONOMY.general.label, confidence: 0, matches: [] };
+  }
+
+  const [best] = ranked;
+  return {
+    topic: best.topic,
+    label: TOPIC_TAXONOMY[best.topic].label,
+    confidence: Math.round(Math.min(1, best.matches.length / 3) * 100) / 100,
+    matches: best.matches
+  };
+}
+
+export { TOPIC_TAXONOMY, detectTopic };
@@ -0,0 +1,302 @@
+// twitter-text.js
+// Weighted tweet length counting, following the twitter-text v3 rules:
+// - text is NFC-normalized before counting
+// - every URL counts as 23 characters, however long it is
+// - emoji sequences (including ZWJ sequences, flags and skin tones) count as 2
+// - code points in the Latin/common ranges below count as 1, everything
+//   else (CJK, most other scripts) counts as 2
+
+// === Configuration ===
+const TWEET_CONFIG = {
+  version: 3,
+  maxWeightedTweetLength: 280,
+  scale: 100,
+  defaultWeight: 200,
+  transformedURLLength: 23,
+  ranges: [
+    { start: 0, end: 4351, weight: 100 },
+    { start: 8192, end: 8205, weight: 100 },
+    { start: 8208, end: 8223, weight: 100 },
+    { start: 8242, end: 8247, weight: 100 }
+  ]
+};
+
+// Characters that make a tweet invalid regardless of length
+const INVALID_CHARACTERS = /[\uFFFE\uFEFF\uFFFF]/;
+
+// Bare domains (no protocol) are only linked for common TLDs
+const BARE_DOMAIN_TLDS = [
+  'com', 'net', 'org', 'io', 'co', 'ai', 'dev', 'app', 'edu', 'gov', 'me', 'ly', 'gg',
+  'tv', 'xyz', 'info', 'biz', 'us', 'uk', 'de', 'fr', 'jp', 'ca', 'au', 'in', 'es',
+  'it', 'nl', 'br', 'ru', 'ch', 'se', 'no', 'eu', 'blog', 'news', 'shop', 'store', 'so'
+];
+
+const URL_PATTERN = new RegExp(
+  '(^|[^\\p{L}\\p{N}@$#/._-])' +
+  '(' +
+    '(?:https?:\\/\\/(?:[\\p{L}\\p{N}-]+\\.)+[\\p{L}\\p{N}-]{2,}' +
+    '|(?:[\\p{L}\\p{N}-]+\\.)+(?:' + BARE_DOMAIN_TLDS.join('|') + ')(?![\\p{L}\\p{N}-]))' +
+    '(?::\\d{1,5})?' +
+    '(?:[/?#][^\\s]*)?' +
+  ')',
+  'giu'
+);
+
+// Punctuation at the end of a URL is almost always sentence punctuation
+const URL_TRAILING_PUNCTUATION = /[.,:;!?'")\]]+$/;
+
+// Hashtags need at least one letter, so "#1" is not a hashtag. They can't be
+// glued to a preceding word character, which rules out "C#" and "a#b".
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{M}\p{N}_&])[#\uFF03]([\p{L}\p{M}\p{N}_]*\p{L}[\p{L}\p{M}\p{N}_]*)/gu;
+
+// Usernames are 1-15 ASCII word characters; "me@example.com" is not a mention
+const MENTION_PATTERN = /(^|[^A-Za-z0-9_!#$%&*@\uFF20])[@\uFF20]([A-Za-z0-9_]{1,15})(?![A-Za-z0-9_@\uFF20])/g;
+
+// Cashtags are 1-6 letters with an optional ".x"/"_xx" suffix, e.g. $TWTR or $BRK.A
+const CASHTAG_PATTERN = /(^|\s|\()\$([A-Za-z]{1,6}(?:[._][A-Za-z]{1,2})?)(?=$|\s|[^\w$])/g;
+
+// Display URLs drop the protocol and "www." and are cut to this many characters
+const DISPLAY_URL_LENGTH = 26;
+
+// Emoji sequences: flags, keycaps and pictographs with optional variation
+// selectors, skin-tone modifiers and ZWJ joins
+const EMOJI_PATTERN = /\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?)*/gu;
+
+// === Entity Extraction ===
+function extractUrlsWithIndices(text) {
+  const urls = [];
+  URL_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = URL_PATTERN.exec(text)) !== null) {
+    const url = match[2].replace(URL_TRAILING_PUNCTUATION, '');
+    const start = match.index + match[1].length;
+    urls.push({ url, indices: [start, start + url.length] });
+  }
+
+  return urls;
+}
+
+function extractUrls(text) {
+  return extractUrlsWithIndices(text).map(entity => entity.url);
+}
+
+function extractHashtagsWithIndices(text) {
+  const hashtags = [];
+  HASHTAG_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = HASHTAG_PATTERN.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    hashtags.push({ hashtag: match[2], indices: [start, start + 1 + match[2].length] });
+  }
+
+  // A "#fragment" inside a URL is part of the link
+  const urls = extractUrlsWithIndices(text);
+  return hashtags.filter(({ indices }) => !urls.some(url => overlaps(url.indices, indices)));
+}
+
+function extractHashtags(text) {
+  return extractHashtagsWithIndices(text).map(entity => entity.hashtag);
+}
+
+function extractMentionsWithIndices(text) {
+  const mentions = [];
+  MENTION_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = MENTION_PATTERN.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    mentions.push({ screenName: match[2], indices: [start, start + 1 + match[2].length] });
+  }
+
+  const urls = extractUrlsWithIndices(text);
+  return mentions.filter(({ indices }) => !urls.some(url => overlaps(url.indices, indices)));
+}
+
+function extractMentions(text) {
+  return extractMentionsWithIndices(text).map(entity => entity.screenName);
+}
+
+function extractCashtagsWithIndices(text) {
+  const cashtags = [];
+  CASHTAG_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = CASHTAG_PATTERN.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    cashtags.push({ cashtag: match[2], indices: [start, start + 1 + match[2].length] });
+  }
+
+  const urls = extractUrlsWithIndices(text);
+  return cashtags.filter(({ indices }) => !urls.some(url => overlaps(url.indices, indices)));
+}
+
+// URLs, hashtags, mentions and cashtags in text order, each tagged with its type
+function extractEntitiesWithIndices(text) {
+  return [
+    ...extractUrlsWithIndices(text).map(entity => ({ type: 'url', ...entity })),
+    ...extractHashtagsWithIndices(text).map(entity => ({ type: 'hashtag', ...entity })),
+    ...extractMentionsWithIndices(text).map(entity => ({ type: 'mention', ...entity })),
+    ...extractCashtagsWithIndices(text).map(entity => ({ type: 'cashtag', ...entity }))
+  ].sort((a, b) => a.indices[0] - b.indices[0]);
+}
+
+// The shortened form Twitter shows in the timeline, e.g.
+// "https://www.example.com/some/long/path" -> "example.com/some/long/pa…"
+function getDisplayUrl(url) {
+  const display = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '');
+  return display.length > DISPLAY_URL_LENGTH
+    ? `${display.slice(0, DISPLAY_URL_LENGTH - 1)}\u2026`
+    : display;
+}
+
+function overlaps(a, b) {
+  return a[0] < b[1] && b[0] < a[1];
+}
+
+function extractEmojiWithIndices(text) {
+  const emoji = [];
+  EMOJI_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = EMOJI_PATTERN.exec(text)) !== null) {
+    const codePoint = match[0].codePointAt(0);
+    // Symbols like © and ™ are only emoji when followed by U+FE0F
+    if (codePoint < 0x2000 && !/[\uFE0F\u20E3]/.test(match[0])) continue;
+    emoji.push({ emoji: match[0], indices: [match.index, match.index + match[0].length] });
+  }
+
+  return emoji;
+}
+
+// === Weighted Length ===
+function getCharacterWeight(codePoint, config = TWEET_CONFIG) {
+  const range = config.ranges.find(({ start, end }) => codePoint >= start && codePoint <= end);
+  return range ? range.weight : config.defaultWeight;
+}
+
+// Returns the same shape as twitter-text's parseTweet(). Indices refer to the
+// NFC-normalized text, which matches the input for anything typed normally.
+function parseTweet(text = '', config = TWEET_CONFIG) {
+  const normalized = text.normalize('NFC');
+  const maxWeighted = config.maxWeightedTweetLength * config.scale;
+
+  // Map each starting index to the entity that begins there
+  const entities = new Map();
+  extractUrlsWithIndices(normalized).forEach(({ indices }) => {
+    entities.set(indices[0], { end: indices[1], weight: config.transformedURLLength * config.scale });
+  });
+  extractEmojiWithIndices(normalized).forEach(({ indices }) => {
+    if (!entities.has(indices[0])) {
+      entities.set(indices[0], { end: indices[1], weight: config.defaultWeight });
+    }
+  });
+
+  let weighted = 0;
+  let validRangeEnd = 0;
+  let index = 0;
+
+  while (index < normalized.length) {
+    let next;
+    const entity = entities.get(index);
+
+    if (entity) {
+      weighted += entity.weight;
+      next = entity.end;
+    } else {
+      const codePoint = normalized.codePointAt(index);
+      weighted += getCharacterWeight(codePoint, config);
+      next = index + (codePoint > 0xFFFF ? 2 : 1);
+    }
+
+    if (weighted <= maxWeighted) validRangeEnd = next;
+    index = next;
+  }
+
+  const weightedLength = Math.floor(weighted / config.scale);
+  const isEmpty = normalized.trim().length === 0;
+
+  return {
+    weightedLength,
+    permillage: Math.floor((weighted / maxWeighted) * 1000),
+    valid: !isEmpty && weighted <= maxWeighted && !INVALID_CHARACTERS.test(normalized),
+    displayRangeStart: 0,
+    displayRangeEnd: Math.max(0, normalized.length - 1),
+    validRangeStart: 0,
+    validRangeEnd: Math.max(0, validRangeEnd - 1)
+  };
+}
+
+function getTweetLength(text, config = TWEET_CONFIG) {
+  return parseTweet(text, config).weightedLength;
+}
+
+// === Thread Splitting ===
+// Splits long text into tweets at sentence boundaries, falling back to word
+// boundaries for sentences that don't fit on their own. Room is reserved for
+// a " 12/15"-style counter on every part when numbering is on.
+function splitIntoThread(text, { numbering = true, config = TWEET_CONFIG } = {}) {
+  const clean = (text || '').trim();
+  if (!clean) return [];
+
+  const sentences = clean
+    .split(/(?<=[.!?\u2026])\s+|\n{2,}/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+  // Reserve space for the counter, assuming fewer than 100 parts
+  const budget = config.maxWeightedTweetLength - (numbering ? ' 99/99'.length : 0);
+  const fits = candidate => getTweetLength(candidate, config) <= budget;
+
+  const pieces = [];
+  sentences.forEach(sentence => {
+    if (fits(sentence)) {
+      pieces.push(sentence);
+      return;
+    }
+
+    let current = '';
+    sentence.split(/\s+/).forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (fits(candidate) || !current) {
+        current = candidate;
+      } else {
+        pieces.push(current);
+        current = word;
+      }
+    });
+    if (current) pieces.push(current);
+  });
+
+  const parts = [];
+  pieces.forEach(piece => {
+    const last = parts[parts.length - 1];
+    const joined = last ? `${last} ${piece}` : piece;
+    if (last && fits(joined)) {
+      parts[parts.length - 1] = joined;
+    } else {
+      parts.push(piece);
+    }
+  });
+
+  if (!numbering || parts.length < 2) return parts;
+  return parts.map((part, index) => `${part} ${index + 1}/${parts.length}`);
+}
+
+export {
+  TWEET_CONFIG,
+  parseTweet,
+  getTweetLength,
+  splitIntoThread,
+  extractUrls,
+  extractUrlsWithIndices,
+  extractHashtags,
+  extractHashtagsWithIndices,
+  extractMentions,
+  extractMentionsWithIndices,
+  extractCashtagsWithIndices,
+  extractEntitiesWithIndices,
+  extractEmojiWithIndices,
+  getDisplayUrl
+};
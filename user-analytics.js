@@ -0,0 +1,314 @@
+// user-analytics.js
+// Aggregates a user's tweet_analyses rows and usage_logs for the analytics
+// dashboard. Charts are plain inline SVG strings, so nothing is sent to a
+// third-party chart service.
+
+import { HistoryExporter } from './history-export.js';
+import { extractHashtags, extractEmojiWithIndices, parseTweet } from './twitter-text.js';
+import { toZonedDate } from './user-settings.js';
+
+// Scores at or above this count as "high" when looking for winning factors
+const HIGH_SCORE_THRESHOLD = 70;
+
+// Histories spanning more weeks than this are charted by month instead
+const MAX_WEEKLY_PERIODS = 26;
+
+const LONG_TWEET_LENGTH = 100;
+
+const FACTOR_DEFINITIONS = [
+  { key: 'hashtags', label: 'Hashtags', describe: 'Uses at least one hashtag', getValue: features => features.hashtagCount, has: features => features.hashtagCount > 0 },
+  { key: 'emojis', label: 'Emojis', describe: 'Uses at least one emoji', getValue: features => features.emojiCount, has: features => features.emojiCount > 0 },
+  { key: 'questions', label: 'Questions', describe: 'Asks a question', getValue: features => Number(features.hasQuestion), has: features => features.hasQuestion },
+  { key: 'length', label: 'Length', describe: `Longer than ${LONG_TWEET_LENGTH} characters`, getValue: features => features.length, has: features => features.length > LONG_TWEET_LENGTH }
+];
+
+const CHART_COLORS = {
+  primary: '#3b82f6',
+  secondary: '#06b6d4',
+  grid: '#e2e8f0',
+  text: '#64748b'
+};
+
+function escapeSVGText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Local calendar day as YYYY-MM-DD
+function toDayKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Monday of the date's week, local time
+function startOfWeek(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+  return start;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Pearson correlation, rounded; null when either side has no variance
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+
+  const meanX = average(xs);
+  const meanY = average(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+
+  if (!varianceX || !varianceY) return null;
+  return Math.round(covariance / Math.sqrt(varianceX * varianceY) * 100) / 100;
+}
+
+// === User Analytics Class ===
+class UserAnalytics {
+  /**
+   * @param {Array<Object>} rows tweet_analyses rows, any order
+   * @param {Array<{action_type: string, created_at: string}>} [usageLogs] From dbHelpers.getUsageStats
+   * @param {Object} [options]
+   * @param {string} [options.timezone] IANA timezone that days and weeks are
+   *   counted in; the browser's when omitted
+   */
+  constructor(rows, usageLogs = [], { timezone = null } = {}) {
+    this.rows = (rows || [])
+      .filter(row => row.created_at && Number.isFinite(row.overall_score))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    this.usageLogs = usageLogs || [];
+    this.timezone = timezone;
+    this.exporter = new HistoryExporter(this.rows, { timezone });
+  }
+
+  static get highScoreThreshold() {
+    return HIGH_SCORE_THRESHOLD;
+  }
+
+  getSummary() {
+    return this.exporter.getSummary();
+  }
+
+  // Analyses and average score per week (or month for long histories),
+  // oldest first, with empty periods filled in so gaps show on the chart
+  getTimeline() {
+    if (!this.rows.length) return [];
+
+    const first = toZonedDate(this.rows[0].created_at, this.timezone);
+    const last = toZonedDate(this.rows[this.rows.length - 1].created_at, this.timezone);
+    const weeks = Math.ceil((startOfWeek(last) - startOfWeek(first)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    const granularity = weeks > MAX_WEEKLY_PERIODS ? 'month' : 'week';
+
+    const getPeriodStart = date => granularity === 'month'
+      ? new Date(date.getFullYear(), date.getMonth(), 1)
+      : startOfWeek(date);
+    const advance = date => granularity === 'month'
+      ? new Date(date.getFullYear(), date.getMonth() + 1, 1)
+      : new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7);
+
+    const buckets = new Map();
+    for (let period = getPeriodStart(first); period <= last; period = advance(period)) {
+      buckets.set(toDayKey(period), []);
+    }
+    this.rows.forEach(row => {
+      buckets.get(toDayKey(getPeriodStart(toZonedDate(row.created_at, this.timezone))))?.push(row.overall_score);
+    });
+
+    return [...buckets.entries()].map(([period, scores]) => ({
+      period,
+      granularity,
+      count: scores.length,
+      averageScore: scores.length ? Math.round(average(scores)) : null
+    }));
+  }
+
+  // Least-squares slope of score over time, in points per 30 days
+  getScoreTrend() {
+    if (this.rows.length < 3) return null;
+
+    const start = new Date(this.rows[0].created_at);
+    const days = this.rows.map(row => (new Date(row.created_at) - start) / (24 * 60 * 60 * 1000));
+    const scores = this.rows.map(row => row.overall_score);
+    const meanDay = average(days);
+    const meanScore = average(scores);
+    const variance = days.reduce((sum, day) => sum + (day - meanDay) ** 2, 0);
+    if (!variance) return null;
+
+    const slope = days.reduce((sum, day, i) => sum + (day - meanDay) * (scores[i] - meanScore), 0) / variance;
+    return Math.round(slope * 30 * 10) / 10;
+  }
+
+  getScoreDistribution() {
+    return this.exporter.getScoreDistribution();
+  }
+
+  getSuggestionFrequency(limit = 8) {
+    return this.exporter.getSuggestionFrequency(limit);
+  }
+
+  // Features are re-derived from the tweet text so older rows without
+  // stored factors count too
+  getFeatures(content) {
+    return {
+      hashtagCount: extractHashtags(content).length,
+      emojiCount: extractEmojiWithIndices(content).length,
+      hasQuestion: content.includes('?'),
+      length: parseTweet(content).weightedLength
+    };
+  }
+
+  // For each factor: average score with and without it, how often it shows
+  // up in high-scoring tweets, and its correlation with score
+  getFactorCorrelations() {
+    const samples = this.rows.map(row => ({
+      score: row.overall_score,
+      features: this.getFeatures(row.tweet_content || '')
+    }));
+    const highScoring = samples.filter(sample => sample.score >= HIGH_SCORE_THRESHOLD);
+
+    return FACTOR_DEFINITIONS.map(factor => {
+      const withFactor = samples.filter(sample => factor.has(sample.features));
+      const withoutFactor = samples.filter(sample => !factor.has(sample.features));
+      const withAverage = average(withFactor.map(sample => sample.score));
+      const withoutAverage = average(withoutFactor.map(sample => sample.score));
+
+      return {
+        key: factor.key,
+        label: factor.label,
+        description: factor.describe,
+        withCount: withFactor.length,
+        withoutCount: withoutFactor.length,
+        withAverage: withAverage === null ? null : Math.round(withAverage),
+        withoutAverage: withoutAverage === null ? null : Math.round(withoutAverage),
+        difference: withAverage === null || withoutAverage === null ? null : Math.round(withAverage - withoutAverage),
+        highScoreShare: highScoring.length
+          ? Math.round(highScoring.filter(sample => factor.has(sample.features)).length / highScoring.length * 100) / 100
+          : null,
+        correlation: correlation(
+          samples.map(sample => factor.getValue(sample.features)),
+          samples.map(sample => sample.score)
+        )
+      };
+    }).sort((a, b) => Math.abs(b.correlation ?? 0) - Math.abs(a.correlation ?? 0));
+  }
+
+  // usage_logs actions per local day over the last `days` days, oldest first
+  getDailyActivity(days = 30) {
+    const counts = new Map();
+    const today = toZonedDate(new Date(), this.timezone);
+    for (let offset = days - 1; offset >= 0; offset--) {
+      counts.set(toDayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset)), 0);
+    }
+    this.usageLogs.forEach(log => {
+      const key = toDayKey(toZonedDate(log.created_at, this.timezone));
+      if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+    });
+
+    return [...counts.entries()].map(([day, count]) => ({ day, count }));
+  }
+
+  getActionCounts() {
+    const counts = {};
+    this.usageLogs.forEach(log => {
+      counts[log.action_type] = (counts[log.action_type] || 0) + 1;
+    });
+    return counts;
+  }
+}
+
+// === Chart Rendering ===
+// Both charts scale to their container width via viewBox
+
+/**
+ * @param {Array<{label: string, value: number}>} bars
+ * @param {Object} [options] title (for screen readers), color, height
+ */
+function renderBarChart(bars, { title = '', color = CHART_COLORS.primary, height = 160 } = {}) {
+  const width = 600;
+  const padding = { top: 16, right: 8, bottom: 28, left: 32 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+  const max = Math.max(1, ...bars.map(bar => bar.value));
+  const slot = chartWidth / Math.max(1, bars.length);
+  const barWidth = Math.max(2, slot * 0.7);
+  // Skip labels when bars are too narrow to fit them
+  const labelEvery = Math.ceil(bars.length / 12);
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="${escapeSVGText(title)}">
+      <line x1="${padding.left}" y1="${padding.top + chartHeight}" x2="${width - padding.right}" y2="${padding.top + chartHeight}" stroke="${CHART_COLORS.grid}" />
+      <text x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end" font-size="10" fill="${CHART_COLORS.text}">${max}</text>
+      <text x="${padding.left - 6}" y="${padding.top + chartHeight}" text-anchor="end" font-size="10" fill="${CHART_COLORS.text}">0</text>
+      ${bars.map((bar, i) => {
+        const barHeight = bar.value / max * chartHeight;
+        const x = padding.left + i * slot + (slot - barWidth) / 2;
+        return `
+          <rect x="${x}" y="${padding.top + chartHeight - barHeight}" width="${barWidth}" height="${barHeight}" rx="2" fill="${color}">
+            <title>${escapeSVGText(bar.label)}: ${bar.value}</title>
+          </rect>
+          ${i % labelEvery === 0 ? `<text x="${x + barWidth / 2}" y="${height - 10}" text-anchor="middle" font-size="10" fill="${CHART_COLORS.text}">${escapeSVGText(bar.label)}</text>` : ''}
+        `;
+      }).join('')}
+    </svg>
+  `;
+}
+
+/**
+ * @param {Array<{label: string, value: number|null}>} points Null values
+ *   break the line
+ * @param {Object} [options] title, color, height, min, max
+ */
+function renderLineChart(points, { title = '', color = CHART_COLORS.secondary, height = 160, min = 0, max = 100 } = {}) {
+  const width = 600;
+  const padding = { top: 16, right: 8, bottom: 28, left: 32 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+  const step = points.length > 1 ? chartWidth / (points.length - 1) : 0;
+  const x = i => padding.left + (points.length > 1 ? i * step : chartWidth / 2);
+  const y = value => padding.top + chartHeight - (value - min) / (max - min || 1) * chartHeight;
+  const labelEvery = Math.ceil(points.length / 8);
+
+  // One polyline per run of non-null values
+  const segments = [];
+  let current = [];
+  points.forEach((point, i) => {
+    if (point.value === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${x(i)},${y(point.value)}`);
+    }
+  });
+  if (current.length) segments.push(current);
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="${escapeSVGText(title)}">
+      ${[min, (min + max) / 2, max].map(value => `
+        <line x1="${padding.left}" y1="${y(value)}" x2="${width - padding.right}" y2="${y(value)}" stroke="${CHART_COLORS.grid}" />
+        <text x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="10" fill="${CHART_COLORS.text}">${value}</text>
+      `).join('')}
+      ${segments.map(segment => `<polyline points="${segment.join(' ')}" fill="none" stroke="${color}" stroke-width="2" />`).join('')}
+      ${points.map((point, i) => `
+        ${point.value === null ? '' : `
+          <circle cx="${x(i)}" cy="${y(point.value)}" r="3" fill="${color}">
+            <title>${escapeSVGText(point.label)}: ${point.value}</title>
+          </circle>
+        `}
+        ${i % labelEvery === 0 ? `<text x="${x(i)}" y="${height - 10}" text-anchor="middle" font-size="10" fill="${CHART_COLORS.text}">${escapeSVGText(point.label)}</text>` : ''}
+      `).join('')}
+    </svg>
+  `;
+}
+
+export { UserAnalytics, renderBarChart, renderLineChart };
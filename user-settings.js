@@ -0,0 +1,250 @@
+// user-settings.js
+// Defaults and validation for the user_settings row, plus what each setting
+// does in the browser: the colour theme, the timezone every date is shown
+// in, and how much TweetAnalyzer computes at each analysis depth.
+
+import { PostingTimeRecommender } from './posting-time.js';
+
+const THEMES = ['light', 'dark', 'auto'];
+
+// Last theme the user picked, so it applies before they sign back in
+const THEME_STORAGE_KEY = 'tweet_predictor_theme';
+
+const SCHEDULE_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// The overall score and factor breakdown are the same at every depth; depth
+// only changes the extras computed around them
+const ANALYSIS_DEPTHS = {
+  quick: {
+    label: 'Quick',
+    description: 'Score, top 3 suggestions and the best posting time',
+    maxSuggestions: 3,
+    estimateImpact: false,
+    postingWindows: 1,
+    hashtagRecommendations: 0,
+    details: false,
+    language: false
+  },
+  standard: {
+    label: 'Standard',
+    description: 'Adds tone, clarity, hashtag ideas and five posting windows',
+    maxSuggestions: 5,
+    estimateImpact: true,
+    postingWindows: 5,
+    hashtagRecommendations: 5,
+    details: true,
+    language: false
+  },
+  detailed: {
+    label: 'Detailed',
+    description: 'Every suggestion, ten posting windows and a language breakdown',
+    maxSuggestions: Infinity,
+    estimateImpact: true,
+    postingWindows: 10,
+    hashtagRecommendations: 10,
+    details: true,
+    language: true
+  }
+};
+
+// Column defaults from supabase-schema.sql, except timezone: null means the
+// browser's own. Open item: nothing sends product email yet, so
+// email_notifications only records the choice for a mail sender to honour.
+const DEFAULT_SETTINGS = {
+  theme: 'light',
+  timezone: null,
+  email_notifications: true,
+  analysis_reminders: true,
+  default_posting_schedule: {},
+  analysis_depth: 'standard'
+};
+
+function getBrowserTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function isValidTimezone(timezone) {
+  return typeof timezone === 'string' && timezone !== '' && PostingTimeRecommender.isValidTimezone(timezone);
+}
+
+// IANA names for the settings picker, always including the current one
+function getTimezones(current) {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return [...new Set(['UTC', getBrowserTimezone(), current, ...zones].filter(isValidTimezone))].sort();
+}
+
+/**
+ * Keeps the days and hours PostingTimeRecommender understands, as sorted
+ * day keys and whole hours.
+ * @param {Object} schedule { days: ['mon', ...], hours: [9, '18:00', ...] }
+ * @returns {{days?: string[], hours?: number[]}}
+ */
+function normalizeSchedule(schedule) {
+  // Numbers count from Sunday = 0, as in PostingTimeRecommender
+  const dayKey = value => typeof value === 'number'
+    ? SCHEDULE_DAYS[(value + 6) % 7]
+    : String(value).slice(0, 3).toLowerCase();
+  const days = SCHEDULE_DAYS.filter(day => (schedule?.days || []).some(value => dayKey(value) === day));
+  const hours = [...new Set((schedule?.hours || [])
+    .map(hour => typeof hour === 'number' ? hour : parseInt(String(hour).split(':')[0], 10))
+    .filter(hour => Number.isInteger(hour) && hour >= 0 && hour <= 23))]
+    .sort((a, b) => a - b);
+
+  return {
+    ...(days.length ? { days } : {}),
+    ...(hours.length ? { hours } : {})
+  };
+}
+
+/**
+ * A complete, valid settings object from a user_settings row (or null when
+ * signed out). Unknown or invalid values fall back to the defaults.
+ */
+function normalizeSettings(row) {
+  const settings = { ...DEFAULT_SETTINGS, ...row };
+  return {
+    ...settings,
+    theme: THEMES.includes(settings.theme) ? settings.theme : DEFAULT_SETTINGS.theme,
+    timezone: isValidTimezone(settings.timezone) ? settings.timezone : getBrowserTimezone(),
+    email_notifications: settings.email_notifications !== false,
+    analysis_reminders: settings.analysis_reminders !== false,
+    default_posting_schedule: normalizeSchedule(settings.default_posting_schedule),
+    analysis_depth: ANALYSIS_DEPTHS[settings.analysis_depth] ? settings.analysis_depth : DEFAULT_SETTINGS.analysis_depth
+  };
+}
+
+function getAnalysisDepth(depth) {
+  return ANALYSIS_DEPTHS[depth] || ANALYSIS_DEPTHS[DEFAULT_SETTINGS.analysis_depth];
+}
+
+// === Theme ===
+// 'auto' follows the operating system's light/dark preference
+function resolveTheme(theme) {
+  if (theme === 'auto') {
+    return typeof window !== 'undefined' && window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+  return theme === 'dark' ? 'dark' : 'light';
+}
+
+// Sets data-theme on <html>, which styles.css keys the dark palette off
+function applyTheme(theme, root = document.documentElement) {
+  const resolved = resolveTheme(theme);
+  root.dataset.theme = resolved;
+  root.style.colorScheme = resolved;
+  return resolved;
+}
+
+function getStoredTheme() {
+  try {
+    const theme = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(theme) ? theme : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function storeTheme(theme) {
+  try {
+    if (theme) localStorage.setItem(THEME_STORAGE_KEY, theme);
+    else localStorage.removeItem(THEME_STORAGE_KEY);
+  } catch (e) {
+    // Private browsing can block storage; the theme still applies this visit
+  }
+}
+
+// === Timezone ===
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour') % 24, minute: get('minute'), second: get('second') };
+}
+
+/**
+ * A Date whose local fields (getDate, getHours, ...) read as the wall-clock
+ * time in `timezone`, so local calendar maths buckets by the user's days.
+ * Only for grouping and labels; the instant itself is shifted.
+ */
+function toZonedDate(value, timezone) {
+  const date = new Date(value);
+  if (!timezone || Number.isNaN(date.getTime())) return date;
+
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  return new Date(year, month - 1, day, hour, minute, second, date.getMilliseconds());
+}
+
+/**
+ * The inverse of toZonedDate: reads `wallClock`'s local fields as a time in
+ * `timezone` and returns the real instant. Used for date and datetime-local
+ * inputs, which have no zone of their own.
+ */
+function fromZonedDate(wallClock, timezone) {
+  const date = new Date(wallClock);
+  if (!timezone || Number.isNaN(date.getTime())) return date;
+
+  const target = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+  const offsetAt = instant => {
+    const parts = getZonedParts(new Date(instant), timezone);
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - Math.floor(instant / 1000) * 1000;
+  };
+
+  // A second pass corrects guesses that land on the other side of a DST change
+  let instant = target - offsetAt(target);
+  instant = target - offsetAt(instant);
+  return new Date(instant);
+}
+
+// "YYYY-MM-DD" of the date in `timezone`
+function toZonedDayKey(value, timezone) {
+  const date = toZonedDate(value, timezone);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Value for a datetime-local input showing the date in `timezone`
+function toDateTimeInputValue(value, timezone) {
+  const date = toZonedDate(value, timezone);
+  const pad = number => String(number).padStart(2, '0');
+  return `${toZonedDayKey(value, timezone)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatZonedDate(value, timezone, options = {}) {
+  return new Date(value).toLocaleDateString(undefined, { ...options, timeZone: timezone || undefined });
+}
+
+function formatZonedDateTime(value, timezone, options = {}) {
+  return new Date(value).toLocaleString(undefined, { ...options, timeZone: timezone || undefined });
+}
+
+export {
+  THEMES,
+  SCHEDULE_DAYS,
+  ANALYSIS_DEPTHS,
+  DEFAULT_SETTINGS,
+  normalizeSettings,
+  normalizeSchedule,
+  getAnalysisDepth,
+  getBrowserTimezone,
+  isValidTimezone,
+  getTimezones,
+  resolveTheme,
+  applyTheme,
+  getStoredTheme,
+  storeTheme,
+  toZonedDate,
+  fromZonedDate,
+  toZonedDayKey,
+  toDateTimeInputValue,
+  formatZonedDate,
+  formatZonedDateTime
+};